@@ -0,0 +1,131 @@
+/**
+ * Guardr - Structured Action Log
+ *
+ * Typed events for R.actionLog, so history entries and test results can be
+ * queried and aggregated instead of grepped. Every event is
+ *   { time, type, phase, action, ...fields }
+ * where `action` is the human-readable line (the only field older history
+ * entries have, so renderers keep working) and `time` is ms since the run
+ * started.
+ *
+ * EVENT TYPES and the fields they carry (all optional):
+ * - phase-start / phase-end: phase, ms (phase-end: duration)
+ * - button-classified: selector, text, classification, confidence, probabilities
+ *   ({ [class]: p } from button-classifier.js)
+ * - click: selector, text, classification
+ * - toggle-unchecked: selector, text, category, classification (consent | legitimate interest ...)
+ * - api-call: api, result
+ * - wait: ms
+ * - error: message
+ * - verification: verdict
+ * - info: free text (everything logged through logAction())
+ *
+ * Loaded in content scripts and the popup; test-automation.js requires it.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const ActionLog = {
+
+  MAX_ENTRIES: 150,
+  ESSENTIAL_RESERVE: 50, // extra room for ESSENTIAL_TYPES once the log is full
+  ESSENTIAL_TYPES: ['phase-start', 'phase-end', 'error', 'verification'],
+  MAX_TEXT: 200,
+
+  TYPES: {
+    'phase-start': 'Phase start',
+    'phase-end': 'Phase end',
+    'button-classified': 'Button classified',
+    'click': 'Click',
+    'toggle-unchecked': 'Toggle unchecked',
+    'api-call': 'API call',
+    'wait': 'Wait',
+    'error': 'Error',
+    'verification': 'Verification',
+    'info': 'Info',
+  },
+
+  FIELDS: ['selector', 'text', 'classification', 'confidence', 'probabilities', 'category', 'api', 'result', 'ms', 'message', 'verdict'],
+
+  /**
+   * Build one event
+   * @param {string} type - One of TYPES (unknown types are logged as 'info')
+   * @param {string} action - Human-readable line
+   * @param {object} fields - Type-specific fields (see header); `phase` is copied too
+   * @param {number} startTime - Run start, for the relative timestamp
+   * @returns {object}
+   */
+  create(type, action, fields = {}, startTime = Date.now()) {
+    const entry = {
+      time: Date.now() - startTime,
+      type: this.TYPES[type] ? type : 'info',
+      phase: fields.phase ?? null,
+      action: String(action).substring(0, this.MAX_TEXT),
+    };
+    for (const field of this.FIELDS) {
+      const value = fields[field];
+      if (value === undefined || value === null) continue;
+      entry[field] = typeof value === 'string' ? value.substring(0, this.MAX_TEXT) : value;
+    }
+    return entry;
+  },
+
+  /**
+   * Append an event, dropping it when the log is full (phases, errors and the
+   * verification verdict get ESSENTIAL_RESERVE more room)
+   * @returns {boolean} Whether the event was kept
+   */
+  push(log, entry) {
+    const limit = this.ESSENTIAL_TYPES.includes(entry.type) ? this.MAX_ENTRIES + this.ESSENTIAL_RESERVE : this.MAX_ENTRIES;
+    if (log.length >= limit) return false;
+    log.push(entry);
+    return true;
+  },
+
+  /**
+   * Entries from before typed events only have { time, action }
+   */
+  typeOf(entry) {
+    return entry?.type && this.TYPES[entry.type] ? entry.type : 'info';
+  },
+
+  /**
+   * @param {object[]} entries
+   * @param {object} criteria - { types: string[], phase, text } (all optional)
+   * @returns {object[]}
+   */
+  filter(entries, { types = null, phase = null, text = '' } = {}) {
+    const needle = String(text || '').toLowerCase();
+    return (entries || []).filter(entry =>
+      (!types || types.length === 0 || types.includes(this.typeOf(entry))) &&
+      (phase === null || phase === '' || String(entry.phase) === String(phase)) &&
+      (!needle || `${entry.action} ${entry.text || ''} ${entry.selector || ''}`.toLowerCase().includes(needle)));
+  },
+
+  /**
+   * Number of events per type
+   * @returns {object} { [type]: count }
+   */
+  counts(entries) {
+    const counts = {};
+    for (const entry of entries || []) {
+      const type = this.typeOf(entry);
+      counts[type] = (counts[type] || 0) + 1;
+    }
+    return counts;
+  },
+
+  /**
+   * Distinct phases in the order they first appear
+   * @returns {string[]}
+   */
+  phases(entries) {
+    return [...new Set((entries || []).map(entry => entry.phase).filter(phase => phase !== null && phase !== undefined).map(String))];
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionLog;
+}
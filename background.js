@@ -7,6 +7,24 @@ const log = DEBUG ? console.log.bind(console) : () => {};
 
 // Constants
 const HISTORY_EXPIRY_DAYS = 30;
+const PRIVACY_SIGNAL_RULE_ID = 1;
+const GPC_SCRIPT_ID = 'guardr-gpc-signal';
+const MAX_GPC_SITES = 500;
+const GVL_SNAPSHOT_KEY = 'gvlSnapshot';          // VendorList.SNAPSHOT_KEY
+const GVL_SNAPSHOT_PATH = 'data/gvl-snapshot.json'; // VendorList.SNAPSHOT_PATH
+const CONSENT_LEDGER_KEY = 'consentLedger';
+const DRIFT_ALERTS_KEY = 'driftAlerts';
+const MAX_LEDGER_DOMAINS = 500;
+const MAX_DRIFT_ALERTS = 100;
+const DEFAULT_CONSENT_EXPIRY_DAYS = 390;  // CMPRegistry.DEFAULT_EXPIRY_DAYS
+const REPROMPT_EXPIRY_FRACTION = 0.5;     // re-asked before half the stated expiry = drift
+const REPROMPT_MIN_MS = 10 * 60 * 1000;   // sooner than this our own deny did not stick
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVIDENCE_PREFIX = 'evidence:';      // EvidenceBundle.STORAGE_PREFIX
+const EVIDENCE_INDEX_KEY = 'evidenceIndex';
+const MAX_EVIDENCE_BUNDLES = 25;          // screenshots are ~100-300 KB each
+const EVIDENCE_JPEG_QUALITY = 60;
+const COOKIE_PURPOSES_PATH = 'data/cookie-purposes.json'; // CookieInventory.DATA_PATH
 
 // Helper function to extract domain from URL
 function extractDomain(url) {
@@ -85,7 +103,18 @@ async function saveToHistory(result) {
     bannerFound,
     bannerClosed: result.bannerClosed || false,
     actionLog: result.actionLog || [],
-    consentOrPay: result.consentOrPay || false
+    consentOrPay: result.consentOrPay || false,
+    verification: result.verification?.verdict || null,
+    gpc: result.gpc?.status || null,
+    runId: result.runId || null,
+    darkPatterns: result.darkPatterns || null,
+    rejectEffort: result.rejectEffort || null,
+    cookies: cookieSummary(result.cookies),
+    consentMode: result.consentMode ? {
+      before: result.consentMode.before,
+      after: result.consentMode.after,
+      allDenied: result.consentMode.allDenied ?? null
+    } : null
   };
   
   // Remove expired entries (older than 30 days)
@@ -108,6 +137,380 @@ async function saveToHistory(result) {
   console.log(`[DenyStealthCookies] Saved to history: ${domain} - ${historyItem.denied} denied${detailsStr}, banner ${bannerFound ? (result.bannerClosed ? 'closed' : 'found but not closed') : 'not found'}`);
 }
 
+// ── Consent ledger / drift alerts ──────────────────────────────────────────
+// Per domain: the CMP, a hash of the TC string it stored and when we denied.
+// A CMP that asks again long before its own stated expiry, or consent that
+// turns into "accepted" without a run, raises a consent drift alert.
+async function raiseDriftAlert(alert) {
+  const data = await chrome.storage.local.get(DRIFT_ALERTS_KEY);
+  const alerts = [{ id: Date.now(), detectedAt: Date.now(), ...alert }, ...(data[DRIFT_ALERTS_KEY] || [])]
+    .slice(0, MAX_DRIFT_ALERTS);
+  await chrome.storage.local.set({ [DRIFT_ALERTS_KEY]: alerts });
+  console.log(`[Background] Consent drift (${alert.type}) on ${alert.domain}: ${alert.detail}`);
+}
+
+async function saveLedger(ledger) {
+  const domains = Object.keys(ledger);
+  if (domains.length > MAX_LEDGER_DOMAINS) {
+    domains.sort((a, b) => ledger[a].updatedAt - ledger[b].updatedAt)
+      .slice(0, domains.length - MAX_LEDGER_DOMAINS)
+      .forEach(d => delete ledger[d]);
+  }
+  await chrome.storage.local.set({ [CONSENT_LEDGER_KEY]: ledger });
+}
+
+// What changed on the CMP's side since the ledger entry was written
+function describeCmpChanges(entry, { cmp, vendorListVersion, tcHash }) {
+  const changes = [];
+  if (cmp && entry.cmp && cmp !== entry.cmp) changes.push(`CMP changed from ${entry.cmp} to ${cmp}`);
+  if (vendorListVersion && entry.vendorListVersion && vendorListVersion !== entry.vendorListVersion) {
+    changes.push(`vendor list v${entry.vendorListVersion} → v${vendorListVersion}`);
+  }
+  if (tcHash && entry.tcHash && tcHash !== entry.tcHash) changes.push('TC string rewritten');
+  return changes;
+}
+
+// A finished run: check for an early re-prompt, then record the new denial
+async function recordDenial(result) {
+  const domain = extractDomain(result.url || '');
+  if (domain === 'unknown' || result.cancelled) return;
+  if (!result.bannerClosed && !(result.unchecked?.length > 0)) return;
+
+  const data = await chrome.storage.local.get(CONSENT_LEDGER_KEY);
+  const ledger = data[CONSENT_LEDGER_KEY] || {};
+  const previous = ledger[domain];
+  const now = Date.now();
+  const expiryDays = result.consentExpiryDays || DEFAULT_CONSENT_EXPIRY_DAYS;
+  const cmp = result.cmpDetected || null;
+  const tcHash = result.tcfAudit?.hash || null;
+  const vendorListVersion = result.tcfAudit?.vendorListVersion ?? null;
+
+  if (previous?.state === 'denied' && result.bannerVisibleAtStart) {
+    const elapsed = now - previous.deniedAt;
+    if (elapsed >= REPROMPT_MIN_MS && elapsed < expiryDays * REPROMPT_EXPIRY_FRACTION * DAY_MS) {
+      const days = Math.max(1, Math.round(elapsed / DAY_MS));
+      const changes = describeCmpChanges(previous, { cmp, vendorListVersion });
+      await raiseDriftAlert({
+        domain, type: 'reprompt', cmp, runId: result.runId || null,
+        deniedAt: previous.deniedAt, expiryDays,
+        detail: `Banner shown again ${days} day${days === 1 ? '' : 's'} after the last denial ` +
+                `(CMP keeps choices ${expiryDays} days)${changes.length ? `; ${changes.join(', ')}` : ''}`,
+      });
+    }
+  }
+
+  ledger[domain] = {
+    cmp, tcHash, vendorListVersion, expiryDays,
+    deniedAt: now,
+    denials: (previous?.denials || 0) + 1,
+    state: 'denied',
+    verified: result.verification?.verdict === 'verified', // only a clean denial can flip
+    updatedAt: now,
+  };
+  await saveLedger(ledger);
+}
+
+// A page load without a run: consent granted since our denial is drift
+async function recordConsentObservation(observation) {
+  const domain = extractDomain(observation.url || '');
+  const data = await chrome.storage.local.get(CONSENT_LEDGER_KEY);
+  const ledger = data[CONSENT_LEDGER_KEY] || {};
+  const entry = ledger[domain];
+  if (!entry) return; // Never denied here
+
+  const granted = observation.granted || [];
+  if (entry.state === 'denied' && entry.verified && granted.length > 0) {
+    const changes = describeCmpChanges(entry, observation);
+    await raiseDriftAlert({
+      domain, type: 'flip', cmp: observation.cmp || entry.cmp, runId: null,
+      deniedAt: entry.deniedAt, expiryDays: entry.expiryDays,
+      detail: `Consent ${observation.acceptedAll ? 'flipped to accepted' : 'partly granted'} without a Guardr run ` +
+              `(${granted.slice(0, 5).join(', ')}${granted.length > 5 ? '…' : ''})` +
+              `${changes.length ? `; ${changes.join(', ')}` : ''}`,
+    });
+    entry.state = 'granted'; // One alert per flip; the next denial re-arms it
+  }
+
+  entry.observedAt = observation.observedAt || Date.now();
+  entry.updatedAt = Date.now();
+  await saveLedger(ledger);
+}
+
+// ── Evidence capture ───────────────────────────────────────────────────────
+// With "Capture evidence" on, content.js asks for a screenshot and hands over
+// the page's cookies at the start and end of a run; the finished result joins
+// them under evidence:<runId> for the popup's evidence export. Only the newest
+// MAX_EVIDENCE_BUNDLES runs are kept.
+let evidenceQueue = Promise.resolve();
+
+// Read-modify-write of one run's record; serialised so the before / after
+// captures and the result cannot overwrite each other
+function updateEvidence(runId, mutate) {
+  evidenceQueue = evidenceQueue.then(async () => {
+    const key = EVIDENCE_PREFIX + runId;
+    const data = await chrome.storage.local.get([key, EVIDENCE_INDEX_KEY]);
+    const record = data[key] || { runId, createdAt: Date.now(), screenshots: {}, cookies: {}, result: null };
+    mutate(record);
+
+    const index = [runId, ...(data[EVIDENCE_INDEX_KEY] || []).filter(id => id !== runId)];
+    const dropped = index.splice(MAX_EVIDENCE_BUNDLES);
+    await chrome.storage.local.set({ [key]: record, [EVIDENCE_INDEX_KEY]: index });
+    if (dropped.length > 0) await chrome.storage.local.remove(dropped.map(id => EVIDENCE_PREFIX + id));
+  }).catch(err => console.log('[Background] Evidence store error:', err.message));
+  return evidenceQueue;
+}
+
+async function captureEvidence(tab, { runId, stage, cookies }) {
+  if (!tab || !runId) return { captured: false, error: 'No tab' };
+  let screenshot;
+  // captureVisibleTab only sees the tab in front
+  if (!tab.active) {
+    screenshot = { error: 'Tab was in the background' };
+  } else {
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: EVIDENCE_JPEG_QUALITY });
+      screenshot = { dataUrl, capturedAt: Date.now() };
+    } catch (err) {
+      screenshot = { error: err.message };
+    }
+  }
+  await updateEvidence(runId, record => {
+    record.screenshots[stage] = screenshot;
+    record.cookies[stage] = cookies || [];
+  });
+  return { captured: !!screenshot.dataUrl, error: screenshot.error || null };
+}
+
+// What of a finished run goes into its evidence record
+function evidenceResult(result) {
+  const fields = ['url', 'title', 'startTime', 'runtime', 'cmpDetected', 'cmpMethod', 'tcfAudit', 'verification',
+    'consentMode', 'gpc', 'darkPatterns', 'rejectEffort', 'cookies', 'actionLog', 'unchecked', 'mandatory'];
+  return Object.fromEntries(fields.map(field => [field, result[field] ?? null]));
+}
+
+// ── Cookie inventory ───────────────────────────────────────────────────────
+// content.js classifies (cookie-inventory.js); the background reads the
+// cookies, since chrome.cookies is not available to content scripts.
+async function getCookiePurposes() {
+  try {
+    const response = await fetch(chrome.runtime.getURL(COOKIE_PURPOSES_PATH));
+    return await response.json();
+  } catch (err) {
+    console.log('[Background] Cookie purposes error:', err.message);
+    return null;
+  }
+}
+
+// Every cookie the tab's frames can see, HttpOnly included (no values)
+async function getCookies(tab) {
+  if (!tab?.id) return { cookies: null };
+  const frames = await chrome.webNavigation.getAllFrames({ tabId: tab.id }).catch(() => null) || [];
+  const urls = [...new Set([tab.url, ...frames.map(frame => frame.url)].filter(url => /^https?:/.test(url || '')))];
+  const cookies = new Map();
+  for (const url of urls) {
+    for (const cookie of await chrome.cookies.getAll({ url }).catch(() => [])) {
+      cookies.set(`${cookie.name}|${cookie.domain}|${cookie.path}`, {
+        name: cookie.name, domain: cookie.domain, path: cookie.path,
+        session: cookie.session, expirationDate: cookie.expirationDate ?? null,
+        httpOnly: cookie.httpOnly, secure: cookie.secure, sameSite: cookie.sameSite,
+      });
+    }
+  }
+  return { cookies: [...cookies.values()] };
+}
+
+// A report without its full snapshots (CookieInventory.summary)
+function cookieSummary(report) {
+  if (!report) return null;
+  const { stages, ...summary } = report;
+  return summary;
+}
+
+// The "after reload" snapshot of an earlier run: update its result, history
+// entry and evidence record
+async function saveCookieRecheck(runId, report) {
+  if (!runId || !report) return;
+  const data = await chrome.storage.local.get(['lastScanResult', 'denyHistory', EVIDENCE_INDEX_KEY]);
+  if (data.lastScanResult?.runId === runId) {
+    await chrome.storage.local.set({ lastScanResult: { ...data.lastScanResult, cookies: report } });
+  }
+  const history = data.denyHistory || [];
+  const item = history.find(entry => entry.runId === runId);
+  if (item) {
+    item.cookies = cookieSummary(report);
+    await chrome.storage.local.set({ denyHistory: history });
+  }
+  if ((data[EVIDENCE_INDEX_KEY] || []).includes(runId)) {
+    await updateEvidence(runId, record => { if (record.result) record.result.cookies = report; });
+  }
+  console.log(`[Background] Cookie recheck for run ${runId}: ${report.persisting.length} tracking cookies after reload`);
+}
+
+// ── Privacy signals (GPC / DNT) ─────────────────────────────────────────────
+// Sec-GPC and DNT request headers via a dynamic declarativeNetRequest rule, plus
+// navigator.globalPrivacyControl in the page via a registered MAIN-world script
+async function applyPrivacySignals(enabled) {
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: [PRIVACY_SIGNAL_RULE_ID],
+      addRules: enabled ? [{
+        id: PRIVACY_SIGNAL_RULE_ID,
+        priority: 1,
+        action: {
+          type: 'modifyHeaders',
+          requestHeaders: [
+            { header: 'Sec-GPC', operation: 'set', value: '1' },
+            { header: 'DNT', operation: 'set', value: '1' }
+          ]
+        },
+        condition: {
+          urlFilter: '*',
+          // Without an explicit list main_frame requests would be excluded
+          resourceTypes: ['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font',
+                          'object', 'xmlhttprequest', 'ping', 'media', 'websocket', 'other']
+        }
+      }] : []
+    });
+  } catch (err) {
+    console.log('[Background] Privacy signal rule error:', err.message);
+  }
+
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [GPC_SCRIPT_ID] });
+    if (enabled && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: GPC_SCRIPT_ID,
+        js: ['gpc-signal.js'],
+        matches: ['<all_urls>'],
+        runAt: 'document_start',
+        world: 'MAIN',
+        allFrames: true
+      }]);
+    } else if (!enabled && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [GPC_SCRIPT_ID] });
+    }
+  } catch (err) {
+    console.log('[Background] GPC script registration error:', err.message);
+  }
+
+  log('[Background] Privacy signals', enabled ? 'enabled' : 'disabled');
+}
+
+async function syncPrivacySignals() {
+  const data = await chrome.storage.local.get('privacySignals');
+  await applyPrivacySignals(data.privacySignals === true);
+}
+
+chrome.runtime.onInstalled.addListener(() => syncPrivacySignals());
+chrome.runtime.onStartup.addListener(() => syncPrivacySignals());
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.privacySignals) {
+    applyPrivacySignals(changes.privacySignals.newValue === true);
+  }
+});
+
+// Remember, per domain, whether the site honoured GPC (shown in the popup)
+async function saveGpcStatus(status) {
+  const domain = extractDomain(status.url || '');
+  if (domain === 'unknown') return;
+
+  const data = await chrome.storage.local.get('gpcSites');
+  const sites = data.gpcSites || {};
+  sites[domain] = { status: status.status, bannerVisible: status.bannerVisible, verdict: status.verdict, checkedAt: status.checkedAt };
+
+  // Keep the most recently checked sites only
+  const domains = Object.keys(sites);
+  if (domains.length > MAX_GPC_SITES) {
+    domains.sort((a, b) => sites[a].checkedAt - sites[b].checkedAt)
+      .slice(0, domains.length - MAX_GPC_SITES)
+      .forEach(d => delete sites[d]);
+  }
+  await chrome.storage.local.set({ gpcSites: sites });
+}
+
+// Vendor list for content scripts: a GVL imported in the popup wins over the
+// bundled snapshot
+async function getVendorList() {
+  const data = await chrome.storage.local.get(GVL_SNAPSHOT_KEY);
+  if (data[GVL_SNAPSHOT_KEY]) return { source: 'imported', gvl: data[GVL_SNAPSHOT_KEY] };
+  try {
+    const response = await fetch(chrome.runtime.getURL(GVL_SNAPSHOT_PATH));
+    return { source: 'bundled', gvl: await response.json() };
+  } catch (err) {
+    console.log('[Background] Vendor list snapshot error:', err.message);
+    return null;
+  }
+}
+
+// The document_idle content scripts (content.js and its modules) run in the
+// top frame only, so ad and video iframes never load them on their own. A
+// child frame gets them here, right before its first RUN_FRAME_DENY; the
+// document_start group (bridge client, banner selectors, seeder) is already
+// in every frame. A cheap probe runs first so frames with nothing that looks
+// like a banner never get the ~30 files. Resolves to whether the frame is
+// ready for RUN_FRAME_DENY.
+async function injectFrameScripts(tabId, frameId) {
+  const files = chrome.runtime.getManifest().content_scripts
+    .find(group => group.run_at === 'document_idle')?.js || [];
+  try {
+    const target = { tabId, frameIds: [frameId] };
+    const [probe] = await chrome.scripting.executeScript({ target, func: probeFrame });
+    if (probe?.result === 'loaded') return true;
+    if (!probe?.result) return false;
+    await chrome.scripting.executeScript({ target, files });
+    return true;
+  } catch (err) {
+    // Frame gone or not scriptable (sandboxed, error page); it stays unanswered
+    log('[Background] Frame script injection error:', err.message);
+    return false;
+  }
+}
+
+// Runs in the frame: 'loaded' when content.js is already there, otherwise
+// whether anything matches a banner selector. Frames from before the
+// extension loaded have no BannerSelectors and are injected to be safe.
+function probeFrame() {
+  if (typeof RunController !== 'undefined') return 'loaded';
+  if (typeof BannerSelectors === 'undefined') return true;
+  return BannerSelectors.visibility().some(selector => document.querySelector(selector));
+}
+
+// Run the deny flow in every child frame of a tab (CMPs rendered in
+// cross-origin iframes) and collect the frames that actually did something.
+// Frames still running when the timeout wins are cancelled.
+async function denyInFrames(tabId, timeoutMs, { policy, profile, tcfChoices } = {}) {
+  if (!tabId) return [];
+
+  let frames = [];
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  } catch (err) {
+    console.log('[Background] getAllFrames error:', err.message);
+    return [];
+  }
+
+  const children = frames.filter(frame => frame.frameId !== 0 && /^https?:/.test(frame.url));
+  log('[Background] Fanning out deny to', children.length, 'child frames');
+
+  const results = await Promise.all(children.map(async (frame) => {
+    const target = { frameId: frame.frameId };
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), timeoutMs); });
+    const reply = injectFrameScripts(tabId, frame.frameId)
+      .then(ready => ready ? chrome.tabs.sendMessage(tabId, { type: 'RUN_FRAME_DENY', policy, profile, tcfChoices }, target) : null)
+      .catch(() => null); // No content script in this frame (e.g. not scriptable)
+    const result = await Promise.race([reply, timeout]);
+    clearTimeout(timer);
+    if (result === 'timeout') {
+      chrome.tabs.sendMessage(tabId, { type: 'CANCEL_RUN', reason: 'timeout' }, target).catch(() => {});
+      return { frameId: frame.frameId, url: frame.url, result: null };
+    }
+    return { frameId: frame.frameId, url: frame.url, result };
+  }));
+
+  return results.filter(({ result }) => result && !result.skipped);
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'DSC_SCAN_COMPLETE') {
     const result = {
@@ -125,6 +528,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     
     chrome.storage.local.set({ lastScanResult: result });
+    recordDenial(result).catch(err => console.log('[Background] Consent ledger error:', err.message));
+    if (result.evidence && result.runId) {
+      updateEvidence(result.runId, record => { record.result = evidenceResult(result); });
+    }
     
     // Save to history if auto-mode was used and banner was found
     (async () => {
@@ -151,6 +558,45 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
   }
 
+  if (message.type === 'GPC_STATUS') {
+    saveGpcStatus({ ...message.data, url: sender.tab?.url || message.data.url });
+  }
+
+  if (message.type === 'CONSENT_OBSERVED') {
+    recordConsentObservation({ ...message.data, url: sender.tab?.url || message.data.url })
+      .catch(err => console.log('[Background] Consent ledger error:', err.message));
+  }
+
+  if (message.type === 'CAPTURE_EVIDENCE') {
+    captureEvidence(sender.tab, message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'GET_COOKIE_PURPOSES') {
+    getCookiePurposes().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'GET_COOKIES') {
+    getCookies(sender.tab).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'COOKIE_RECHECK') {
+    saveCookieRecheck(message.runId, message.report)
+      .catch(err => console.log('[Background] Cookie recheck error:', err.message));
+  }
+
+  if (message.type === 'DENY_IN_FRAMES') {
+    denyInFrames(sender.tab?.id, message.timeoutMs || 10000, message).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'GET_VENDOR_LIST') {
+    getVendorList().then(sendResponse);
+    return true;
+  }
+
   if (message.type === 'GET_RESULTS') {
     chrome.storage.local.get('lastScanResult', (data) => {
       sendResponse(data.lastScanResult || null);
@@ -0,0 +1,77 @@
+/**
+ * Guardr - Banner Pre-hide
+ *
+ * When a page load denies on its own (auto mode or an "Always deny" site
+ * policy) a deny is always pending, so the known CMP containers are hidden
+ * from document_start (BannerSelectors.prehideCss) and the banner never
+ * flashes. content.js calls release() when the auto run ends:
+ * after a failed deny the stylesheet is removed at once so the user can still
+ * use the banner; after a successful one it stays a little longer to cover the
+ * CMP's closing animation, then goes so "Cookie settings" links work again.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const BannerPrehide = {
+
+  STYLE_ID: 'guardr-prehide',
+  MAX_PREHIDE_MS: 60000, // never leave a banner hidden if the auto run never reports back
+  KEEP_AFTER_DENY_MS: 2000,
+  CONSENT_RESET_KEY: 'guardr_consent_reset', // content.js CONSENT_RESET_KEY: the user asked to see the banner
+
+  timer: null,
+
+  async init() {
+    if (window.top !== window) return;
+    if (sessionStorage.getItem(this.CONSENT_RESET_KEY) === 'true') return;
+    const data = await chrome.storage.local.get(['autoMode', 'evidenceCapture']);
+    const policy = await SitePolicy.get(SitePolicy.domainKey());
+    if (!SitePolicy.runsAutomatically(policy, data.autoMode)) return;
+    // The "before" screenshot of an evidence bundle has to show the banner
+    if (data.evidenceCapture) return;
+
+    this.inject();
+    this.timer = setTimeout(() => this.remove(), this.MAX_PREHIDE_MS);
+  },
+
+  inject() {
+    if (document.getElementById(this.STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = this.STYLE_ID;
+    style.textContent = BannerSelectors.prehideCss();
+    // <head> may not exist yet at document_start
+    (document.head || document.documentElement).appendChild(style);
+  },
+
+  remove() {
+    clearTimeout(this.timer);
+    document.getElementById(this.STYLE_ID)?.remove();
+  },
+
+  isActive() {
+    return !!document.getElementById(this.STYLE_ID);
+  },
+
+  /**
+   * End of the pending deny
+   * @param {boolean} denied - Whether the banner was closed
+   */
+  release(denied) {
+    if (!this.isActive()) return;
+    if (denied) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.remove(), this.KEEP_AFTER_DENY_MS);
+    } else {
+      this.remove();
+      console.log('[Guardr] Deny did not complete, showing banner again');
+    }
+  },
+};
+
+BannerPrehide.init().catch(() => {});
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BannerPrehide;
+}
@@ -0,0 +1,81 @@
+/**
+ * Guardr - Banner Selectors
+ *
+ * One list of cookie-banner selectors shared by everything that looks for a
+ * banner: content.js (tryHideBanner, isBannerVisible) and the document_start
+ * pre-hide stylesheet (banner-prehide.js).
+ *
+ * GROUPS:
+ * - KNOWN: containers of specific CMPs; specific enough to hide unconditionally
+ * - GENERIC: name patterns for home-grown banners; only hidden after a visibility check
+ * - BROAD: wide id/class/dialog patterns used only to ask "is a banner still
+ *   showing?" - always combined with a cookie/consent text check
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const BannerSelectors = {
+
+  KNOWN: [
+    '#onetrust-banner-sdk', '#onetrust-consent-sdk',
+    '#CybotCookiebotDialog', '#qc-cmp2-ui', '.qc-cmp2-container',
+    '#truste-consent-track', '#truste-overlay',
+    '#didomi-host', '#didomi-popup',
+    '[data-testid="uc-center-container"]',
+    '.osano-cm-window', '.iubenda-cs-banner', '#cmpbox', '#sp_message_container',
+    '.cc-window', '.cc-banner', '.cookielawinfo-bar',
+    '#cookie-notice', '.cookie-notice-container', '.cmplz-cookiebanner', '.fc-consent-root',
+  ],
+
+  GENERIC: [
+    '[id*="cookie-banner"],[class*="cookie-banner"]',
+    '[id*="consent-banner"],[class*="consent-banner"]',
+    '[id*="gdpr-banner"],[class*="gdpr-banner"]',
+    '[id*="cookie-popup"],[class*="cookie-popup"]',
+    '[id*="privacy-banner"],[class*="privacy-banner"]',
+  ],
+
+  BROAD: [
+    '[id*="cookie"],[id*="consent"],[id*="gdpr"]',
+    '[class*="cookie"],[class*="consent"],[class*="gdpr"]',
+    '[class*="banner"][class*="cookie"],[class*="banner"][class*="consent"]',
+    'dialog[open]', '[role="dialog"][aria-modal="true"]',
+    '[class*="modal"][class*="cookie"],[class*="modal"][class*="consent"]',
+    '[class*="overlay"][class*="cookie"],[class*="overlay"][class*="consent"]',
+  ],
+
+  /**
+   * Selectors tryHideBanner() may hide, most specific first
+   * @returns {string[]}
+   */
+  hideable() {
+    return [...this.KNOWN, ...this.GENERIC];
+  },
+
+  /**
+   * Selectors isBannerVisible() checks
+   * @returns {string[]}
+   */
+  visibility() {
+    return [...this.BROAD, ...this.KNOWN];
+  },
+
+  /**
+   * Stylesheet that keeps known CMP containers out of sight without changing
+   * their layout or computed display, so detection (isVisible) and scripted
+   * clicks keep working while a deny runs underneath
+   * @returns {string}
+   */
+  prehideCss() {
+    return `${this.KNOWN.join(',\n')} {\n` +
+      '  clip-path: inset(100%) !important;\n' +
+      '  pointer-events: none !important;\n' +
+      '}\n';
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BannerSelectors;
+}
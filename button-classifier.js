@@ -0,0 +1,296 @@
+/**
+ * Guardr - Button Classifier
+ *
+ * Scores a consent button against every class instead of taking the first
+ * regex hit. Each signal adds evidence (a logit) to one or more classes:
+ *
+ *   text        visible text through SemanticLibrary.classifyButton (15+ languages)
+ *   aria        aria-label / title through the same library
+ *   tokens      id / class / data-testid / name tokens ("btn-reject", "ucDenyAll")
+ *   prominence  filled, high-contrast or "primary" styling and the biggest
+ *               button of its group - consent banners dress up "Accept"
+ *   order       first / last of its group (the accept button usually comes last)
+ *   container   inside a consent banner, or in site navigation outside one
+ *
+ * and a softmax turns the logits into per-class probabilities. Callers act
+ * only when the winning probability reaches ACT_THRESHOLD and log the top
+ * candidates otherwise.
+ *
+ *   classify(el, options)   → { type, confidence, probabilities, signals }
+ *   rank(elements, options) → [{ element, text, ...classify() }] in DOM order
+ *   topK(ranked, type, k)   → the k most likely buttons of one class
+ *
+ * Classes: 'reject' | 'accept' | 'manage' | 'confirm' | 'unknown'.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const ButtonClassifier = {
+
+  CLASSES: ['reject', 'accept', 'manage', 'confirm', 'unknown'],
+  ACT_THRESHOLD: 0.6,  // act on a button only when its class is at least this likely
+  UNSURE_MIN: 0.3,     // below ACT_THRESHOLD but above this: logged as a near miss
+  TOP_K: 3,
+  BASE_UNKNOWN: 1,     // prior for 'unknown': weak evidence must not win on its own
+
+  WEIGHTS: {
+    text: 3,
+    aria: 2.5,
+    token: 1.5,
+    consentToken: 0.5,   // "consent" in a class name leans accept, weakly
+    prominent: 0.8,      // → accept
+    largest: 0.5,        // → accept
+    linkStyle: 0.3,      // → reject / manage (hidden-away options)
+    first: 0.2,          // → reject / manage
+    last: 0.3,           // → accept
+    inBanner: -0.5,      // → unknown
+    inNavigation: 2,     // → unknown
+  },
+
+  // id / class / data-testid tokens per class
+  TOKENS: {
+    reject: /^(reject|deny|decline|refuse|disagree|denyall|rejectall|declineall|necessary|essential)$/,
+    accept: /^(accept|allow|agree|acceptall|allowall|agreeall|ok|optin)$/,
+    manage: /^(manage|settings?|preferences?|prefs|customi[sz]e|options|more|details|configure)$/,
+    confirm: /^(save|confirm|apply|submit|done)$/,
+  },
+  PRIMARY_TOKENS: /^(primary|cta|highlight|main|solid|filled|accent)$/,
+
+  CONSENT_CONTAINER: [
+    '[id*="cookie"],[id*="consent"],[id*="gdpr"],[id*="privacy"],[id*="cmp"]',
+    '[class*="cookie"],[class*="consent"],[class*="gdpr"],[class*="cmp"]',
+    '#onetrust-banner-sdk,#onetrust-pc-sdk,#didomi-host,#CybotCookiebotDialog,.qc-cmp2-container',
+    '[id*="usercentrics"],[data-testid*="uc-"],#sp_message_container,#truste-consent-track',
+    'dialog,[role="dialog"],[role="alertdialog"],[aria-modal="true"]',
+  ].join(','),
+  NAVIGATION: 'nav,header,footer,[role="navigation"]',
+
+  /**
+   * Per-class probabilities for one button
+   * @param {Element} el
+   * @param {object} options - { text: visible text (default el.textContent),
+   *   group: the buttons it is shown with, for order and relative size }
+   * @returns {{type: string, confidence: number, probabilities: object, signals: string[]}}
+   */
+  classify(el, { text = null, group = null } = {}) {
+    const logits = { reject: 0, accept: 0, manage: 0, confirm: 0, unknown: this.BASE_UNKNOWN };
+    const signals = [];
+    const add = (type, weight, signal) => {
+      logits[type] += weight;
+      signals.push(signal);
+    };
+
+    // 1. Visible text, then aria-label / title
+    const visible = (text ?? el.textContent ?? '').replace(/\s+/g, ' ').trim();
+    const byText = this.fromText(visible);
+    if (byText) add(byText, this.WEIGHTS.text, `text:${byText}`);
+
+    const labels = [el.getAttribute?.('aria-label'), el.getAttribute?.('title'), el.value]
+      .filter(label => typeof label === 'string' && label.trim());
+    for (const label of labels) {
+      const byLabel = this.fromText(label);
+      if (byLabel) {
+        add(byLabel, this.WEIGHTS.aria, `aria:${byLabel}`);
+        break;
+      }
+    }
+
+    // 2. id / class / data-testid tokens
+    const tokens = this.tokens(el);
+    for (const type of ['reject', 'accept', 'manage', 'confirm']) {
+      if (tokens.some(token => this.TOKENS[type].test(token))) add(type, this.WEIGHTS.token, `token:${type}`);
+    }
+    if (tokens.includes('consent') && !tokens.some(token => this.TOKENS.reject.test(token))) {
+      add('accept', this.WEIGHTS.consentToken, 'token:consent');
+    }
+
+    // 3. Visual prominence
+    const style = this.style(el);
+    if (style) {
+      if ((style.filled && style.contrast >= 3) || tokens.some(token => this.PRIMARY_TOKENS.test(token))) {
+        add('accept', this.WEIGHTS.prominent, 'prominent');
+      } else if (style.linkStyle) {
+        add('reject', this.WEIGHTS.linkStyle, 'link-style');
+        logits.manage += this.WEIGHTS.linkStyle;
+      }
+    }
+
+    // 4. Position in its group: DOM order and relative size
+    if (group && group.length > 1) {
+      const index = group.indexOf(el);
+      if (index === 0) {
+        add('reject', this.WEIGHTS.first, 'first');
+        logits.manage += this.WEIGHTS.first;
+      } else if (index === group.length - 1) {
+        add('accept', this.WEIGHTS.last, 'last');
+      }
+      const area = this.area(el);
+      if (area > 0 && group.every(other => other === el || this.area(other) < area * 0.9)) {
+        add('accept', this.WEIGHTS.largest, 'largest');
+      }
+    }
+
+    // 5. Container
+    try {
+      if (el.closest(this.CONSENT_CONTAINER)) {
+        add('unknown', this.WEIGHTS.inBanner, 'in-banner');
+      } else if (el.closest(this.NAVIGATION)) {
+        add('unknown', this.WEIGHTS.inNavigation, 'in-navigation');
+      }
+    } catch (_) {}
+
+    const probabilities = this.softmax(logits);
+    const type = this.CLASSES.reduce((best, c) => probabilities[c] > probabilities[best] ? c : best, 'unknown');
+    return { type, confidence: probabilities[type], probabilities, signals };
+  },
+
+  /**
+   * Classify a set of buttons shown together. Buttons are grouped by their
+   * consent container (or parent) so order and size compare like with like.
+   * @param {Element[]} elements
+   * @param {object} options - { textOf: visible text reader (default textContent) }
+   * @returns {object[]} { element, text, type, confidence, probabilities, signals }
+   */
+  rank(elements, { textOf = null } = {}) {
+    const groupOf = new Map();
+    const groups = new Map();
+    for (const el of elements) {
+      let key = null;
+      try { key = el.closest(this.CONSENT_CONTAINER) || el.parentElement; } catch (_) {}
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(el);
+      groupOf.set(el, groups.get(key));
+    }
+    return elements.map(el => {
+      const text = textOf ? textOf(el) : (el.textContent || '').replace(/\s+/g, ' ').trim();
+      return { element: el, text, ...this.classify(el, { text, group: groupOf.get(el) }) };
+    });
+  },
+
+  /**
+   * The k buttons most likely to be `type`, most likely first
+   */
+  topK(ranked, type, k = this.TOP_K) {
+    return [...ranked].sort((a, b) => b.probabilities[type] - a.probabilities[type]).slice(0, k);
+  },
+
+  /**
+   * Best button of `type` when it reaches ACT_THRESHOLD, else null
+   */
+  pick(ranked, type, threshold = this.ACT_THRESHOLD) {
+    const [best] = this.topK(ranked, type, 1);
+    return best && best.type === type && best.probabilities[type] >= threshold ? best : null;
+  },
+
+  /**
+   * Probabilities rounded to 2 decimals, classes under 1% dropped (for logs)
+   */
+  round(probabilities) {
+    return Object.fromEntries(Object.entries(probabilities)
+      .filter(([, p]) => p >= 0.01)
+      .map(([c, p]) => [c, Math.round(p * 100) / 100]));
+  },
+
+  /**
+   * "a 0.55 · b 0.31" summary of the top candidates for logging
+   */
+  describe(candidates, type) {
+    return candidates.map(c => `"${(c.text || '').substring(0, 30)}" ${c.probabilities[type].toFixed(2)}`).join(' · ');
+  },
+
+  // ── Signals ───────────────────────────────────────────────────────────────
+
+  fromText(text) {
+    if (!text || text.length > 80 || typeof SemanticLibrary === 'undefined') return null;
+    const classification = SemanticLibrary.classifyButton(text);
+    if (classification === 'unknown') return null;
+    return classification === 'deny' ? 'reject' : classification;
+  },
+
+  // "onetrust-reject-all-handler ucDenyAll" → ['onetrust', 'reject', 'all', 'handler', 'uc', 'deny', 'all', 'rejectall', ...]
+  tokens(el) {
+    const raw = [el.id, typeof el.className === 'string' ? el.className : el.getAttribute?.('class'),
+      el.getAttribute?.('data-testid'), el.getAttribute?.('name'), el.getAttribute?.('data-action')]
+      .filter(Boolean).join(' ');
+    const words = raw.split(/\s+/).filter(Boolean);
+    const tokens = new Set();
+    for (const word of words) {
+      const parts = word.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[\s\-_.:]+/).filter(Boolean);
+      parts.forEach(part => tokens.add(part));
+      for (let i = 0; i < parts.length - 1; i++) tokens.add(parts[i] + parts[i + 1]);
+    }
+    return [...tokens];
+  },
+
+  style(el) {
+    try {
+      const computed = getComputedStyle(el);
+      const bg = this.parseColor(computed.backgroundColor);
+      const fg = this.parseColor(computed.color);
+      const hasBorder = parseFloat(computed.borderTopWidth) > 0 && computed.borderTopStyle !== 'none';
+      const filled = !!bg && bg.a >= 0.5 && !this.isBackdrop(el, bg);
+      return {
+        filled,
+        contrast: filled && fg ? this.contrast(fg, bg) : 1,
+        linkStyle: !filled && !hasBorder,
+      };
+    } catch (_) {
+      return null;
+    }
+  },
+
+  // The button's background is just its container's (not a filled button)
+  isBackdrop(el, bg) {
+    let parent = el.parentElement;
+    while (parent) {
+      const color = this.parseColor(getComputedStyle(parent).backgroundColor);
+      if (color && color.a >= 0.5) {
+        return Math.abs(color.r - bg.r) + Math.abs(color.g - bg.g) + Math.abs(color.b - bg.b) < 60;
+      }
+      parent = parent.parentElement;
+    }
+    return bg.r > 240 && bg.g > 240 && bg.b > 240; // page default: white
+  },
+
+  parseColor(value) {
+    const m = /rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?/.exec(value || '');
+    if (!m) return null;
+    const alpha = m[4] === undefined ? 1 : m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+    return { r: +m[1], g: +m[2], b: +m[3], a: alpha };
+  },
+
+  // WCAG contrast ratio
+  contrast(a, b) {
+    const luminance = ({ r, g, b: blue }) => {
+      const [R, G, B] = [r, g, blue].map(v => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    };
+    const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+  },
+
+  area(el) {
+    try {
+      const rect = el.getBoundingClientRect();
+      return rect.width * rect.height;
+    } catch (_) {
+      return 0;
+    }
+  },
+
+  softmax(logits) {
+    const max = Math.max(...Object.values(logits));
+    const exp = Object.fromEntries(Object.entries(logits).map(([c, v]) => [c, Math.exp(v - max)]));
+    const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+    return Object.fromEntries(Object.entries(exp).map(([c, v]) => [c, v / sum]));
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ButtonClassifier;
+}
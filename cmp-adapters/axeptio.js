@@ -0,0 +1,25 @@
+/**
+ * Guardr - Axeptio CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const AxeptioAdapter = {
+  name: 'Axeptio',
+  containers: ['#axeptio_overlay'],
+  globals: ['axeptio'],
+  storageKeys: [
+    { type: 'cookie', name: 'axeptio_cookies' },
+    { type: 'cookie', name: 'axeptio_authorized_vendors' },
+    { type: 'cookie', name: 'axeptio_all_vendors' },
+  ],
+
+  detect({ has, doc }) {
+    return !!(has('axeptio') || doc.getElementById('axeptio_overlay'));
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(AxeptioAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AxeptioAdapter;
+}
@@ -0,0 +1,20 @@
+/**
+ * Guardr - Complianz CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const ComplianzAdapter = {
+  name: 'Complianz',
+  containers: ['.cmplz-cookiebanner'],
+  storageKeys: [{ type: 'cookie', pattern: /^cmplz_/ }],
+
+  detect({ doc }) {
+    return !!doc.querySelector('.cmplz-cookiebanner');
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(ComplianzAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ComplianzAdapter;
+}
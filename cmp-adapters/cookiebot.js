@@ -0,0 +1,72 @@
+/**
+ * Guardr - Cookiebot CMP Adapter
+ * Cookiebot exposes deny() on either window.Cookiebot or window.CookieConsent.
+ */
+
+const CookiebotAdapter = {
+  name: 'Cookiebot',
+  containers: ['#CybotCookiebotDialog'],
+  globals: ['Cookiebot', 'Cookiebot.deny', 'Cookiebot.renew', 'CookieConsent', 'CookieConsent.deny', 'CookieConsent.renew'],
+  storageKeys: [{ type: 'cookie', name: 'CookieConsent' }],
+  consentExpiryDays: 365, // default consent expiry: 12 months
+
+  detect({ has, doc }) {
+    return !!(has('Cookiebot') || has('CookieConsent') || doc.getElementById('CybotCookiebotDialog'));
+  },
+
+  async denyViaApi(ctx) {
+    const { R } = ctx;
+    const api = ['Cookiebot', 'CookieConsent'].find(root => ctx.has(`${root}.deny`));
+    if (!api) return false;
+
+    ctx.logAction('Cookiebot: Calling deny() API');
+    await ctx.main.call(`${api}.deny`);
+    R.cmpMethod = R.cmpMethod || 'api';
+    R.unchecked.push({label:'Cookiebot: deny()',category:'CMP API',type:'deny-all'});
+    return true;
+  },
+
+  /**
+   * Category flags from Cookiebot.consent, falling back to the CookieConsent cookie
+   * ({stamp:'...',necessary:true,preferences:false,statistics:false,marketing:false,...})
+   */
+  async readState({ doc, has, main }) {
+    const CATEGORIES = ['preferences', 'statistics', 'marketing'];
+    let flags = null;
+    let source = 'Cookiebot.consent';
+
+    const root = has('Cookiebot') ? 'Cookiebot' : has('CookieConsent') ? 'CookieConsent' : null;
+    const consent = root ? await main.get(`${root}.consent`).catch(() => null) : null;
+    if (consent && typeof consent === 'object') {
+      flags = consent;
+    } else {
+      const match = doc.cookie.match(/(?:^|;\s*)CookieConsent=([^;]*)/);
+      if (!match) return null;
+      const raw = decodeURIComponent(match[1]);
+      flags = {};
+      for (const cat of CATEGORIES) {
+        const m = raw.match(new RegExp(`${cat}:(true|false)`));
+        if (m) flags[cat] = m[1] === 'true';
+      }
+      source = 'CookieConsent cookie';
+    }
+
+    const granted = CATEGORIES.filter(c => flags[c] === true);
+    const denied = CATEGORIES.filter(c => flags[c] === false);
+    if (granted.length === 0 && denied.length === 0) return null;
+    return { source, granted, denied, data: flags };
+  },
+
+  async reopen({ has, main }) {
+    const api = ['Cookiebot', 'CookieConsent'].find(root => has(`${root}.renew`));
+    if (!api) return false;
+    await main.call(`${api}.renew`);
+    return true;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(CookiebotAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CookiebotAdapter;
+}
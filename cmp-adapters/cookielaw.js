@@ -0,0 +1,24 @@
+/**
+ * Guardr - CookieLaw CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const CookieLawAdapter = {
+  name: 'CookieLaw',
+  containers: ['.cc-window', '.cc-banner'],
+  storageKeys: [
+    { type: 'cookie', name: 'CookieLawInfoConsent' },
+    { type: 'cookie', pattern: /^cookielawinfo-checkbox-/ },
+    { type: 'cookie', name: 'viewed_cookie_policy' },
+  ],
+
+  detect({ doc }) {
+    return !!doc.querySelector('.cc-window,.cc-banner');
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(CookieLawAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CookieLawAdapter;
+}
@@ -0,0 +1,20 @@
+/**
+ * Guardr - CookieYes CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const CookieYesAdapter = {
+  name: 'CookieYes',
+  containers: ['.cky-consent-container'],
+  storageKeys: [{ type: 'cookie', name: 'cookieyes-consent' }],
+
+  detect({ doc }) {
+    return !!doc.querySelector('.cky-consent-container,[class*="cookieyes"]');
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(CookieYesAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CookieYesAdapter;
+}
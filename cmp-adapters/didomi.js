@@ -0,0 +1,151 @@
+/**
+ * Guardr - Didomi CMP Adapter
+ */
+
+const DidomiAdapter = {
+  name: 'Didomi',
+  containers: ['#didomi-notice', '#didomi-popup'],
+  globals: ['Didomi', 'Didomi.setUserDisagreeToAll', 'Didomi.getUserStatus', 'Didomi.setUserStatus', 'Didomi.preferences.show'],
+  storageKeys: [
+    { type: 'cookie', name: 'didomi_token' },
+    { type: 'localStorage', name: 'didomi_token' },
+    { type: 'cookie', name: 'euconsent-v2' },
+    { type: 'localStorage', name: 'euconsent-v2' },
+  ],
+  consentExpiryDays: 365, // didomi_token default lifetime
+  honorsProfile: true,
+
+  // Didomi's ids for the IAB TCF purposes
+  IAB_PURPOSES: {
+    cookies: 1, select_basic_ads: 2, create_ads_profile: 3, select_personalized_ads: 4,
+    create_content_profile: 5, select_personalized_content: 6, measure_ad_performance: 7,
+    measure_content_performance: 8, market_research: 9, improve_products: 10,
+    use_limited_data_to_select_content: 11,
+  },
+
+  detect({ has, doc }) {
+    return !!(has('Didomi') || doc.getElementById('didomi-host'));
+  },
+
+  async denyViaApi(ctx) {
+    const { R } = ctx;
+    if (ctx.keepsTcfChoices || ctx.tcfChoices.legitimateInterest) {
+      return this.applyChoices(ctx);
+    }
+    if (!ctx.has('Didomi.setUserDisagreeToAll')) return false;
+
+    ctx.logAction('Didomi: Calling setUserDisagreeToAll()');
+    await ctx.main.call('Didomi.setUserDisagreeToAll');
+    R.cmpMethod = R.cmpMethod || 'api';
+    R.unchecked.push({label:'Didomi: setUserDisagreeToAll()',category:'CMP API',type:'deny-all'});
+    return true;
+  },
+
+  /**
+   * Per-purpose / per-vendor choices through setUserStatus(): everything the
+   * current status lists is enabled or disabled according to ctx.tcfChoices.
+   * Didomi-specific (non-IAB) purposes and vendors are disabled.
+   */
+  async applyChoices(ctx) {
+    const { R, tcfChoices, MANDATORY_TCF_PURPOSES } = ctx;
+    if (!ctx.has('Didomi.getUserStatus') || !ctx.has('Didomi.setUserStatus')) return false;
+
+    const status = await ctx.main.call('Didomi.getUserStatus');
+    if (!status?.purposes || !status?.vendors) return false;
+
+    const all = group => [...(group?.enabled || []), ...(group?.disabled || [])];
+    const split = (ids, keep) => ({
+      enabled: ids.filter(keep),
+      disabled: ids.filter(id => !keep(id)),
+    });
+    const keepPurpose = id => {
+      const iab = this.IAB_PURPOSES[id];
+      return !!iab && (tcfChoices.purposes.includes(iab) || MANDATORY_TCF_PURPOSES.has(iab));
+    };
+    const keepVendor = id => /^\d+$/.test(String(id)) && ctx.keepsVendor(Number(id));
+    const keepLI = keep => id => tcfChoices.legitimateInterest && keep(id);
+
+    const update = {
+      purposes: {
+        consent: split(all(status.purposes.consent), keepPurpose),
+        legitimate_interest: split(all(status.purposes.legitimate_interest), keepLI(keepPurpose)),
+      },
+      vendors: {
+        consent: split(all(status.vendors.consent), keepVendor),
+        legitimate_interest: split(all(status.vendors.legitimate_interest), keepLI(keepVendor)),
+      },
+      action: 'click',
+    };
+
+    ctx.logAction(`Didomi: setUserStatus() keeping ${update.purposes.consent.enabled.length} purposes, ` +
+      `${update.vendors.consent.enabled.length} vendors`);
+    await ctx.main.call('Didomi.setUserStatus', update);
+    R.cmpMethod = R.cmpMethod || 'api';
+    R.unchecked.push({label:`Didomi: setUserStatus() (${update.purposes.consent.disabled.length} purposes, ${update.vendors.consent.disabled.length} vendors denied)`,category:'CMP API',type:'deny-choices'});
+    for (const id of update.purposes.consent.enabled) {
+      const iab = this.IAB_PURPOSES[id];
+      if (!MANDATORY_TCF_PURPOSES.has(iab)) {
+        R.mandatory.push({label:ctx.TCF_PURPOSE_LABELS[iab]||id,category:'TCF Purpose',type:'profile',source:'profile'});
+      }
+    }
+    return true;
+  },
+
+  /**
+   * Disable every purpose and vendor legitimate interest still enabled,
+   * leaving consent as it is
+   */
+  async objectLegitimateInterest(ctx) {
+    const { R } = ctx;
+    if (ctx.tcfChoices.legitimateInterest) return 0;
+    if (!ctx.has('Didomi.getUserStatus') || !ctx.has('Didomi.setUserStatus')) return 0;
+
+    const status = await ctx.main.call('Didomi.getUserStatus');
+    const purposes = status?.purposes?.legitimate_interest?.enabled || [];
+    const vendors = status?.vendors?.legitimate_interest?.enabled || [];
+    if (purposes.length + vendors.length === 0) return 0;
+
+    const objectAll = group => ({ enabled: [], disabled: [...(group?.enabled || []), ...(group?.disabled || [])] });
+    await ctx.main.call('Didomi.setUserStatus', {
+      purposes: { consent: status.purposes.consent, legitimate_interest: objectAll(status.purposes.legitimate_interest) },
+      vendors: { consent: status.vendors.consent, legitimate_interest: objectAll(status.vendors.legitimate_interest) },
+      action: 'click',
+    });
+    ctx.logAction(`Didomi: Objected to LI for ${purposes.length} purposes, ${vendors.length} vendors`);
+    for (const id of purposes) {
+      R.unchecked.push({label:ctx.TCF_PURPOSE_LABELS[this.IAB_PURPOSES[id]]||id,category:'Legitimate Interest',type:'legitimate interest'});
+    }
+    for (const id of vendors) {
+      const label = /^\d+$/.test(String(id)) ? ctx.describeVendor(Number(id)).label : id;
+      R.unchecked.push({label,category:'Legitimate Interest',type:'legitimate interest'});
+    }
+    return purposes.length + vendors.length;
+  },
+
+  /**
+   * Purpose consent from Didomi.getUserStatus()
+   */
+  async readState({ has, main }) {
+    if (!has('Didomi.getUserStatus')) return null;
+    const status = await main.call('Didomi.getUserStatus');
+    if (!status?.purposes) return null;
+    return {
+      source: 'Didomi.getUserStatus()',
+      granted: status.purposes.consent?.enabled || [],
+      denied: status.purposes.consent?.disabled || [],
+      data: status,
+    };
+  },
+
+  async reopen({ has, main }) {
+    if (!has('Didomi.preferences.show')) return false;
+    await main.call('Didomi.preferences.show');
+    return true;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(DidomiAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DidomiAdapter;
+}
@@ -0,0 +1,32 @@
+/**
+ * Guardr - Iubenda CMP Adapter
+ */
+
+const IubendaAdapter = {
+  name: 'Iubenda',
+  containers: ['.iubenda-cs-banner', '#iubenda-cs-banner'],
+  globals: ['_iub', '_iub.cs.api.rejectAll', '_iub.cs.api.openPreferences'],
+  storageKeys: [{ type: 'cookie', pattern: /^_iub_cs-/ }],
+
+  detect({ has, doc }) {
+    return !!(has('_iub') || doc.querySelector('.iubenda-cs-banner'));
+  },
+
+  async denyViaApi({ has, main }) {
+    if (!has('_iub.cs.api.rejectAll')) return false;
+    await main.call('_iub.cs.api.rejectAll');
+    return true;
+  },
+
+  async reopen({ has, main }) {
+    if (!has('_iub.cs.api.openPreferences')) return false;
+    await main.call('_iub.cs.api.openPreferences');
+    return true;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(IubendaAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IubendaAdapter;
+}
@@ -0,0 +1,168 @@
+/**
+ * Guardr - OneTrust CMP Adapter
+ * Reject button first (most reliable), then RejectAll() API, then preference center.
+ * Neither the reject button nor RejectAll() objects to legitimate interest in
+ * TCF preference centers, so objectLegitimateInterest() does that separately.
+ */
+
+const OneTrustAdapter = {
+  name: 'OneTrust',
+  containers: ['#onetrust-banner-sdk', '.onetrust-banner-sdk'],
+  preferDom: true,
+  globals: ['OneTrust', 'OneTrust.RejectAll', 'OneTrust.Close', 'OneTrust.ToggleInfoDisplay'],
+  storageKeys: [
+    { type: 'cookie', name: 'OptanonConsent' },
+    { type: 'cookie', name: 'OptanonAlertBoxClosed' },
+    { type: 'cookie', name: 'eupubconsent-v2' },
+  ],
+  consentExpiryDays: 365, // OptanonConsent default lifetime
+
+  detect({ has, doc }) {
+    return !!(has('OneTrust') || doc.getElementById('onetrust-banner-sdk') || doc.querySelector('.onetrust-banner-sdk'));
+  },
+
+  async denyViaDom(ctx) {
+    const { doc, R } = ctx;
+    ctx.logAction('Checking OneTrust CMP...');
+
+    const rejectBtn = doc.querySelector(
+      '#onetrust-reject-all-handler,.onetrust-close-btn-handler,.save-preference-btn-handler,button[id*="onetrust"][id*="reject"]'
+    );
+    if (rejectBtn && ctx.isVisible(rejectBtn)) {
+      ctx.logAction('OneTrust: Clicking reject button directly');
+      rejectBtn.click();
+      await ctx.waitForBannerGone();
+      R.cmpMethod = R.cmpMethod || 'button-click'; R.bannerFound = true; R.bannerClosed = true;
+      R.unchecked.push({label:'OneTrust: Reject button clicked',category:'CMP API',type:'deny-all'});
+      this.closeBanner(ctx);
+      return true;
+    }
+
+    // No API available - open the preference center and reject from there
+    if (!ctx.has('OneTrust.RejectAll') && ctx.has('OneTrust') && doc.getElementById('onetrust-banner-sdk')) {
+      ctx.logAction('OneTrust: Opening preference center for manual rejection');
+      const btn = doc.querySelector('#onetrust-pc-btn-handler');
+      if (btn && ctx.isVisible(btn)) {
+        btn.click();
+        const findRejectAll = () => doc.querySelector('.ot-pc-refuse-all-handler,button[class*="rejectAll"]');
+        await ctx.waitUntil(() => ctx.isVisible(findRejectAll()), 1500, 'OneTrust preference center');
+        const rejectAll = findRejectAll();
+        if (rejectAll && ctx.isVisible(rejectAll)) {
+          ctx.logAction('OneTrust: Clicking reject all in preference center');
+          rejectAll.click();
+          await ctx.waitUntil(() => !ctx.isVisible(doc.getElementById('onetrust-pc-sdk')), 1500, 'OneTrust preference center to close');
+          return true;
+        }
+      }
+    }
+    return false;
+  },
+
+  async denyViaApi(ctx) {
+    const { R } = ctx;
+    if (!ctx.has('OneTrust.RejectAll')) return false;
+
+    ctx.logAction('OneTrust: Calling RejectAll() API');
+    await ctx.main.call('OneTrust.RejectAll');
+    await ctx.waitForBannerGone();
+    R.cmpMethod = R.cmpMethod || 'api'; R.bannerFound = true; R.bannerClosed = true;
+    R.unchecked.push({label:'OneTrust: RejectAll()',category:'CMP API',type:'deny-all'});
+    this.closeBanner(ctx);
+    return true;
+  },
+
+  /**
+   * Consent groups from the OptanonConsent cookie, e.g. groups=C0001:1,C0002:0
+   */
+  async readState({ doc }) {
+    const match = doc.cookie.match(/(?:^|;\s*)OptanonConsent=([^;]*)/);
+    if (!match) return null;
+
+    const params = new URLSearchParams(match[1]);
+    const groups = (params.get('groups') || '').split(',').filter(Boolean);
+    if (groups.length === 0) return null;
+
+    const granted = [], denied = [];
+    for (const group of groups) {
+      const [id, flag] = group.split(':');
+      if (id === 'C0001') continue; // Strictly necessary, always on
+      (flag === '1' ? granted : denied).push(id);
+    }
+    return { source: 'OptanonConsent cookie', granted, denied, data: { groups } };
+  },
+
+  /**
+   * Click every purpose's "Object to Legitimate Interests" button and switch
+   * off the vendor LI toggles in the preference center, then save. Only TCF
+   * OneTrust setups have LI objections, so the closed preference center is
+   * reopened for those alone - and closed again when there was nothing to do.
+   */
+  async objectLegitimateInterest(ctx) {
+    const { doc, win, R } = ctx;
+    let pc = doc.getElementById('onetrust-pc-sdk');
+    let reopened = false;
+    if (!pc || !ctx.isVisible(pc)) {
+      if (!ctx.has('__tcfapi') || !await this.reopen(ctx)) return 0;
+      reopened = true;
+      await ctx.waitUntil(() => ctx.isVisible(doc.getElementById('onetrust-pc-sdk')), 1500, 'OneTrust preference center');
+      pc = doc.getElementById('onetrust-pc-sdk');
+      if (!pc) return 0;
+    }
+
+    let count = 0;
+    // Buttons sit in collapsed accordions; OneTrust hides them once objected
+    for (const btn of pc.querySelectorAll('.ot-obj-leg-btn-handler')) {
+      if (win.getComputedStyle(btn).display === 'none') continue;
+      const purpose = ctx.textOf(btn.closest('.ot-accordion-layout')?.querySelector('.ot-cat-header,h4,h5')) || 'Purpose';
+      btn.click();
+      count++;
+      R.unchecked.push({label:`OneTrust: Objected to ${purpose}`,category:'Legitimate Interest',type:'legitimate interest'});
+    }
+    for (const toggle of pc.querySelectorAll('#select-all-vendor-leg-handler,input[id$="-leg-out"],input.vendor-leg-checkbox-handler')) {
+      if (!toggle.checked) continue;
+      toggle.click();
+      count++;
+      const label = toggle.id === 'select-all-vendor-leg-handler' ? 'All vendors' : ctx.textOf(toggle.closest('li,.ot-ven-item,.ot-accordion-layout')?.querySelector('h3,h4,.ot-ven-name,.ot-cat-header')) || 'Vendor';
+      R.unchecked.push({label:`OneTrust: Objected to ${label}`,category:'Legitimate Interest',type:'legitimate interest'});
+    }
+
+    if (count > 0) {
+      await ctx.waitForSettle(500, 'OneTrust LI objections');
+      pc.querySelector('.save-preference-btn-handler')?.click();
+      await ctx.waitUntil(() => !ctx.isVisible(pc), 1000, 'OneTrust preference center to save');
+    } else if (reopened) {
+      await this.closePreferenceCenter(ctx, pc);
+    }
+    return count;
+  },
+
+  // Close the preference center without saving anything
+  async closePreferenceCenter(ctx, pc) {
+    if (ctx.has('OneTrust.Close')) {
+      await ctx.main.call('OneTrust.Close').catch(() => {});
+    } else {
+      pc.querySelector('#close-pc-btn-handler,.ot-close-icon')?.click();
+    }
+    await ctx.waitUntil(() => !ctx.isVisible(pc), 1000, 'OneTrust preference center to close');
+  },
+
+  async reopen({ has, main }) {
+    if (!has('OneTrust.ToggleInfoDisplay')) return false;
+    await main.call('OneTrust.ToggleInfoDisplay');
+    return true;
+  },
+
+  closeBanner({ doc, has, main }) {
+    try {
+      if (has('OneTrust.Close')) main.call('OneTrust.Close').catch(() => {});
+      const banner = doc.getElementById('onetrust-banner-sdk');
+      if (banner) banner.style.display = 'none';
+    } catch(_){}
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(OneTrustAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OneTrustAdapter;
+}
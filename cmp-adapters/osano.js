@@ -0,0 +1,35 @@
+/**
+ * Guardr - Osano CMP Adapter
+ */
+
+const OsanoAdapter = {
+  name: 'Osano',
+  containers: ['.osano-cm-dialog'],
+  globals: ['Osano', 'Osano.cm.deny', 'Osano.cm.showDrawer'],
+  storageKeys: [
+    { type: 'cookie', name: 'osano_consentmanager' },
+    { type: 'cookie', name: 'osano_consentmanager_uuid' },
+  ],
+
+  detect({ has, doc }) {
+    return !!(has('Osano') || doc.querySelector('.osano-cm-window'));
+  },
+
+  async denyViaApi({ has, main }) {
+    if (!has('Osano.cm.deny')) return false;
+    await main.call('Osano.cm.deny');
+    return true;
+  },
+
+  async reopen({ has, main }) {
+    if (!has('Osano.cm.showDrawer')) return false;
+    await main.call('Osano.cm.showDrawer', 'osano-cm-dom-info-dialog-open');
+    return true;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(OsanoAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OsanoAdapter;
+}
@@ -0,0 +1,92 @@
+/**
+ * Guardr - Quantcast Choice CMP Adapter
+ * setConsentedToAll(false) leaves legitimate interest on; objectLegitimateInterest()
+ * reopens the UI and uses its "Object all" buttons.
+ */
+
+const QuantcastAdapter = {
+  name: 'Quantcast',
+  containers: ['#qc-cmp2-ui', '.qc-cmp2-container'],
+  globals: ['__qcCmpApi'],
+  storageKeys: [
+    { type: 'cookie', name: 'euconsent-v2' },
+    { type: 'cookie', name: 'addtl_consent' },
+    { type: 'localStorage', name: 'noniabvendorconsent' },
+    { type: 'localStorage', name: '_cmpRepromptHash' },
+  ],
+  consentExpiryDays: 390, // 13 months, the TCF re-ask limit
+  LI_TABS: [/^legitimate interest$/i, /^partners$/i],
+
+  detect({ has, doc }) {
+    return !!(has('__qcCmpApi') || doc.getElementById('qc-cmp2-ui'));
+  },
+
+  async denyViaApi(ctx) {
+    const { doc, R } = ctx;
+    if (!ctx.has('__qcCmpApi')) return false;
+
+    ctx.logAction('Quantcast: Calling setConsentedToAll(false)');
+    await ctx.main.call('__qcCmpApi', 'setConsentedToAll', false, null);
+    await ctx.waitForSettle(500, 'Quantcast to store the choice');
+    // Also try to close the UI
+    const qcUI = doc.getElementById('qc-cmp2-ui');
+    if (qcUI) qcUI.style.display = 'none';
+    R.cmpMethod = R.cmpMethod || 'api';
+    R.unchecked.push({label:'Quantcast: setConsentedToAll(false)',category:'CMP API',type:'deny-all'});
+    return true;
+  },
+
+  async reopen({ has, main }) {
+    if (!has('__tcfapi')) return false;
+    await main.tcf('displayConsentUi');
+    return true;
+  },
+
+  /**
+   * More options → Legitimate interest / Partners → "Object all" → Save & exit
+   */
+  async objectLegitimateInterest(ctx) {
+    const { doc, R } = ctx;
+    let ui = doc.getElementById('qc-cmp2-ui');
+    if (!ui || !ctx.isVisible(ui)) {
+      if (ui) ui.style.display = ''; // denyViaApi hides it
+      if (!await this.reopen(ctx)) return 0;
+      await ctx.waitUntil(() => ctx.isVisible(doc.getElementById('qc-cmp2-ui')), 1500, 'Quantcast UI');
+      ui = doc.getElementById('qc-cmp2-ui');
+      if (!ui || !ctx.isVisible(ui)) return 0;
+    }
+
+    const buttons = pattern => Array.from(ui.querySelectorAll('button'))
+      .filter(btn => ctx.isVisible(btn) && pattern.test(ctx.textOf(btn)));
+    // Returns the clicked button's text
+    const clickFirst = async pattern => {
+      const [btn] = buttons(pattern);
+      if (!btn) return null;
+      const text = ctx.textOf(btn);
+      ctx.clickElement(btn);
+      await ctx.waitForSettle(1000, `Quantcast "${text}"`, { requireChange: true });
+      return text;
+    };
+
+    await clickFirst(/^more options$/i);
+    let count = 0;
+    for (const tab of this.LI_TABS) {
+      const section = await clickFirst(tab);
+      if (!section) continue;
+      for (const btn of buttons(/^object all$/i)) {
+        ctx.clickElement(btn);
+        count++;
+        R.unchecked.push({label:`Quantcast: Object all (${section})`,category:'Legitimate Interest',type:'legitimate interest'});
+      }
+      await ctx.waitForSettle(500, `Quantcast "${section}" objections`);
+    }
+    if (count > 0) await clickFirst(/^save( & exit)?$/i);
+    return count;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(QuantcastAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuantcastAdapter;
+}
@@ -0,0 +1,207 @@
+/**
+ * Guardr - CMP Adapter Registry
+ *
+ * One adapter per consent management platform. Each adapter is a plain object
+ * registered from its own file in cmp-adapters/ and may implement any of:
+ *
+ *   name            {string}   Display name used in R.cmpDetected (required)
+ *   containers      {string[]} Selectors for the CMP's banner/dialog elements
+ *   globals         {string[]} Page globals the adapter reads, e.g. 'OneTrust.RejectAll'
+ *   storageKeys     {object[]} Where the CMP stores the user's choice, cleared by a
+ *                              consent reset: { type: 'cookie'|'localStorage',
+ *                              name } or { type, pattern: RegExp }
+ *   consentExpiryDays {number} How long the CMP keeps a choice before asking again
+ *                              (default CMPRegistry.DEFAULT_EXPIRY_DAYS); a re-prompt
+ *                              much sooner is reported as consent drift
+ *   preferDom       {boolean}  Try denyViaDom before denyViaApi (default: API first)
+ *   honorsProfile   {boolean}  Deny hooks respect ctx.tcfChoices / allowedTcfPurposes,
+ *                              so they still run when the user keeps something
+ *   detect(ctx)     → boolean              Is this CMP present on the page?
+ *   denyViaApi(ctx) → Promise<boolean>     Deny through the CMP's JavaScript API
+ *   denyViaDom(ctx) → Promise<boolean>     Deny by clicking the CMP's own buttons
+ *   verifyClosed(ctx) → boolean|null       Is the CMP UI gone? (default: containers check)
+ *   readState(ctx)  → Promise<object|null> Current consent state as
+ *                                          { source, granted: [], denied: [], data }
+ *                                          (optional purposes only - strictly
+ *                                          necessary ones are left out)
+ *   reopen(ctx)     → Promise<boolean>     Re-open the CMP's preference UI
+ *   objectLegitimateInterest(ctx) → Promise<number>
+ *                                          Open the CMP's legitimate-interest view
+ *                                          and object (LI objections made, each
+ *                                          reported with type 'legitimate interest')
+ *
+ * Hooks receive a context object built by content.js so adapters never touch
+ * the content script's private state directly (and can be exercised against
+ * a fixture document/window):
+ *   { win, doc, R, main, has, isVisible, textOf, clickElement, sleep, logAction,
+ *     isBannerVisible, waitUntil, waitForSettle, waitForBannerGone, TCF_PURPOSE_LABELS, MANDATORY_TCF_PURPOSES, allowedTcfPurposes,
+ *     tcfChoices, keepsTcfChoices, keepsVendor, describeVendor }
+ *
+ * CMP globals live in the page's main world, not in the content script's
+ * isolated world, so adapters check them with has('Didomi.getUserStatus')
+ * (answered from the last probe of globalPaths()) and reach them through
+ * main.get()/main.call()/main.tcf() (see main-world-client.js).
+ *
+ * Prefer the wait helpers (waitUntil(predicate, maxMs, what), waitForSettle(maxMs,
+ * what, options), waitForBannerGone(maxMs) - see dom-wait.js) over sleep(): they
+ * return as soon as the UI is ready and respect the run's per-phase budget.
+ *
+ * Adapters run in registration order, which is the order of the files in
+ * manifest.json.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const CMPRegistry = {
+
+  adapters: [],
+  DEFAULT_EXPIRY_DAYS: 390, // 13 months, the longest re-ask interval TCF / CNIL accept
+
+  /**
+   * Register an adapter. Re-registering a name replaces the earlier adapter
+   * in place so load order is preserved.
+   * @param {object} adapter
+   * @returns {object} The registered adapter
+   */
+  register(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name) {
+      throw new Error('[CMPRegistry] Adapter must have a name');
+    }
+    const existing = this.adapters.findIndex(a => a.name === adapter.name);
+    if (existing >= 0) {
+      this.adapters[existing] = adapter;
+    } else {
+      this.adapters.push(adapter);
+    }
+    return adapter;
+  },
+
+  /**
+   * Look up an adapter by name
+   */
+  get(name) {
+    return this.adapters.find(a => a.name === name) || null;
+  },
+
+  /**
+   * All registered adapters, in registration order
+   */
+  list() {
+    return [...this.adapters];
+  },
+
+  /**
+   * Every page global any adapter declared, for MainWorldBridge.probe()
+   * @returns {string[]}
+   */
+  globalPaths() {
+    const paths = new Set();
+    for (const adapter of this.adapters) {
+      (adapter.globals || []).forEach(path => paths.add(path));
+    }
+    return [...paths];
+  },
+
+  /**
+   * Names of all adapters whose detect() hook matches
+   * @param {object} ctx - Adapter context
+   * @returns {string[]}
+   */
+  detect(ctx) {
+    return this.adapters
+      .filter(adapter => {
+        if (typeof adapter.detect !== 'function') return false;
+        try { return !!adapter.detect(ctx); } catch (_) { return false; }
+      })
+      .map(adapter => adapter.name);
+  },
+
+  /**
+   * Whether the adapter's UI has closed. Uses the adapter's own verifyClosed()
+   * hook, otherwise checks that none of its containers are visible.
+   * @returns {boolean|null} null when the adapter cannot tell
+   */
+  isClosed(adapter, ctx) {
+    try {
+      if (typeof adapter.verifyClosed === 'function') {
+        return adapter.verifyClosed(ctx);
+      }
+      if (!adapter.containers || adapter.containers.length === 0) return null;
+      return !adapter.containers.some(sel => {
+        const el = ctx.doc.querySelector(sel);
+        return el && ctx.isVisible(el);
+      });
+    } catch (_) {
+      return null;
+    }
+  },
+
+  /**
+   * Shortest stated consent lifetime among the named adapters
+   * @param {string[]} names - Adapter names (unknown names are ignored)
+   * @returns {number} Days
+   */
+  consentExpiryDays(names) {
+    const days = names.map(name => this.get(name)?.consentExpiryDays).filter(Number.isFinite);
+    return days.length > 0 ? Math.min(...days) : this.DEFAULT_EXPIRY_DAYS;
+  },
+
+  /**
+   * Call reopen() on every detected adapter that has one
+   * @param {object} ctx - Adapter context
+   * @returns {Promise<string[]>} Names of the adapters that reopened their UI
+   */
+  async reopen(ctx) {
+    const detected = this.detect(ctx);
+    const reopened = [];
+    for (const adapter of this.adapters) {
+      if (typeof adapter.reopen !== 'function' || !detected.includes(adapter.name)) continue;
+      try {
+        if (await adapter.reopen(ctx)) reopened.push(adapter.name);
+      } catch (_) {}
+    }
+    return reopened;
+  },
+
+  /**
+   * Call objectLegitimateInterest() on every detected adapter that has one
+   * @param {object} ctx - Adapter context
+   * @returns {Promise<{name: string, count: number}[]>} Objections per adapter
+   */
+  async objectLegitimateInterest(ctx) {
+    const detected = this.detect(ctx);
+    const results = [];
+    for (const adapter of this.adapters) {
+      if (typeof adapter.objectLegitimateInterest !== 'function' || !detected.includes(adapter.name)) continue;
+      try {
+        results.push({ name: adapter.name, count: await adapter.objectLegitimateInterest(ctx) || 0 });
+      } catch (err) {
+        ctx.logAction(`${adapter.name}: LI objection failed (${err.message})`);
+      }
+    }
+    return results;
+  },
+
+  /**
+   * Run an adapter's deny hooks (API first unless preferDom is set) and stop
+   * at the first one that reports a hit.
+   * @returns {Promise<boolean>}
+   */
+  async deny(adapter, ctx) {
+    const steps = adapter.preferDom
+      ? [adapter.denyViaDom, adapter.denyViaApi]
+      : [adapter.denyViaApi, adapter.denyViaDom];
+
+    for (const step of steps) {
+      if (typeof step !== 'function') continue;
+      if (await step.call(adapter, ctx)) return true;
+    }
+    return false;
+  },
+};
+
+// Export for use in adapter files and tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CMPRegistry;
+}
@@ -0,0 +1,34 @@
+/**
+ * Guardr - Sourcepoint CMP Adapter
+ */
+
+const SourcepointAdapter = {
+  name: 'Sourcepoint',
+  containers: ['#sp_message_container', '[id^="sp_message_container"]'],
+  globals: ['_sp_', '_sp_.pushData'],
+  storageKeys: [
+    { type: 'cookie', name: 'consentUUID' },
+    { type: 'cookie', name: 'euconsent-v2' },
+    { type: 'localStorage', pattern: /^_sp_/ },
+  ],
+
+  detect({ has, doc }) {
+    return !!(has('_sp_') || doc.getElementById('sp_message_container') || doc.querySelector('[id^="sp_message"]'));
+  },
+
+  async denyViaApi(ctx) {
+    const { R } = ctx;
+    if (!ctx.has('_sp_.pushData')) return false;
+
+    ctx.logAction('Sourcepoint: Calling pushData(\'reject_all\')');
+    await ctx.main.call('_sp_.pushData', 'reject_all');
+    R.unchecked.push({label:'Sourcepoint: reject_all',category:'CMP API',type:'deny-all'});
+    return true;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(SourcepointAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourcepointAdapter;
+}
@@ -0,0 +1,121 @@
+/**
+ * Guardr - IAB TCF v2 Adapter
+ * Generic __tcfapi handling for any TCF-registered CMP: try rejectAll, then read
+ * getTCData and report the purposes that are still consented and the vendors
+ * (named from the Global Vendor List) that were denied or kept.
+ */
+
+const TCFAdapter = {
+  name: 'TCF/IAB',
+  containers: [],
+  globals: ['__tcfapi', '__cmp'],
+  storageKeys: [
+    { type: 'cookie', name: 'euconsent-v2' },
+    { type: 'cookie', name: 'addtl_consent' },
+    { type: 'cookie', name: 'FCCDCF' },
+    { type: 'cookie', name: 'FCNEC' },
+  ],
+  honorsProfile: true,
+  TIMEOUT_MS: 1000,
+
+  detect({ has, doc }) {
+    return !!(has('__tcfapi') || has('__cmp') || doc.cookie.includes('FCCDCF'));
+  },
+
+  async denyViaApi(ctx) {
+    const { R, TCF_PURPOSE_LABELS, MANDATORY_TCF_PURPOSES, allowedTcfPurposes } = ctx;
+    if (!ctx.has('__tcfapi')) return false;
+
+    // rejectAll would also drop the purposes the preference profile keeps
+    let tcfSuccess = false;
+    if (allowedTcfPurposes.size > 0) {
+      ctx.logAction(`TCF/IAB: Profile keeps purposes ${[...allowedTcfPurposes].join(', ')} - not calling rejectAll()`);
+    } else {
+      ctx.logAction('TCF/IAB: Attempting rejectAll()');
+      // rejectAll is a CMP extension: its callback's first argument is the success flag
+      const reply = await ctx.main.tcf('rejectAll', undefined, this.TIMEOUT_MS);
+      tcfSuccess = !!reply?.data;
+    }
+    if (tcfSuccess) {
+      ctx.logAction('TCF/IAB: rejectAll() succeeded');
+      R.unchecked.push({label:'TCF: rejectAll()',category:'CMP API',type:'deny-all'});
+    }
+
+    // Read TCF data for reporting
+    const state = await this.readState(ctx);
+    const tcData = state?.data;
+    if (tcData) {
+      R.cmpMethod = R.cmpMethod || 'api';
+      Object.entries(tcData.purpose?.consents || {}).forEach(([id, consented]) => {
+        const n = parseInt(id);
+        if (MANDATORY_TCF_PURPOSES.has(n)) {
+          if (consented) R.mandatory.push({label:TCF_PURPOSE_LABELS[n]||`Purpose ${id}`,category:'TCF (mandatory)',type:'consent'});
+        } else if (allowedTcfPurposes.has(n)) {
+          if (consented) R.mandatory.push({label:TCF_PURPOSE_LABELS[n]||`Purpose ${id}`,category:'TCF Purpose',type:'profile',source:'profile'});
+        } else if (consented && !tcfSuccess) {
+          R.unchecked.push({label:TCF_PURPOSE_LABELS[n]||`Purpose ${id}`,category:'TCF Purpose',type:'consent'});
+        }
+      });
+      Object.entries(tcData.purpose?.legitimateInterests || {}).forEach(([id, hasLI]) => {
+        const n = parseInt(id);
+        if (!MANDATORY_TCF_PURPOSES.has(n) && !allowedTcfPurposes.has(n) && hasLI && !tcfSuccess)
+          R.unchecked.push({label:TCF_PURPOSE_LABELS[n]||`Purpose ${id}`,category:'TCF Purpose',type:'legitimate interest'});
+      });
+      this.reportVendors(ctx, tcData, tcfSuccess);
+    }
+    return true;
+  },
+
+  /**
+   * Report the vendors the CMP discloses in getTCData: vendors the choices
+   * keep go to mandatory; the rest become one summary item once rejectAll
+   * succeeded (before that a false entry only means "not asked yet"). A vendor
+   * counts as denied only with neither consent nor legitimate interest left.
+   */
+  reportVendors(ctx, tcData, tcfSuccess) {
+    const consents = tcData.vendor?.consents || {};
+    const legInts = tcData.vendor?.legitimateInterests || {};
+    const ids = [...new Set([...Object.keys(consents), ...Object.keys(legInts)])].map(Number);
+    let denied = 0;
+    let stillGranted = 0;
+    for (const id of ids) {
+      const granted = !!(consents[id] || legInts[id]);
+      if (ctx.keepsVendor(id)) {
+        if (granted) {
+          const { label, retention } = ctx.describeVendor(id);
+          ctx.R.mandatory.push({label,category:'TCF Vendor',type:'profile',source:'profile',vendorId:id,retention});
+        }
+      } else if (granted) {
+        stillGranted++;
+      } else {
+        denied++;
+      }
+    }
+    if (tcfSuccess && denied + stillGranted > 0) {
+      const label = `${denied} vendor${denied === 1 ? '' : 's'} denied${stillGranted ? `, ${stillGranted} still granted` : ''}`;
+      ctx.R.unchecked.push({label,category:'TCF Vendors',type:'deny-all',vendorsDenied:denied,vendorsGranted:stillGranted});
+      ctx.logAction(`TCF/IAB: ${label}`);
+    }
+  },
+
+  /**
+   * Purpose consents from getTCData
+   */
+  async readState(ctx) {
+    if (!ctx.has('__tcfapi')) return null;
+    const reply = await ctx.main.tcf('getTCData', undefined, this.TIMEOUT_MS);
+    const tcData = reply?.success ? reply.data : null;
+    if (!tcData) return null;
+
+    const consents = tcData.purpose?.consents || {};
+    const granted = Object.keys(consents).filter(id => consents[id]).map(Number);
+    const denied = Object.keys(consents).filter(id => !consents[id]).map(Number);
+    return { source: 'getTCData', granted, denied, data: tcData };
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(TCFAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TCFAdapter;
+}
@@ -0,0 +1,20 @@
+/**
+ * Guardr - Termly CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const TermlyAdapter = {
+  name: 'Termly',
+  containers: ['#termly-code-snippet-support'],
+  storageKeys: [{ type: 'localStorage', pattern: /^TERMLY_/ }],
+
+  detect({ doc }) {
+    return !!doc.querySelector('#termly-code-snippet-support');
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(TermlyAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TermlyAdapter;
+}
@@ -0,0 +1,26 @@
+/**
+ * Guardr - TrustArc CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const TrustArcAdapter = {
+  name: 'TrustArc',
+  containers: ['#truste-consent-track', '#truste-overlay'],
+  globals: ['truste'],
+  storageKeys: [
+    { type: 'cookie', name: 'notice_preferences' },
+    { type: 'cookie', name: 'notice_gdpr_prefs' },
+    { type: 'cookie', name: 'cmapi_cookie_privacy' },
+    { type: 'cookie', name: 'TAconsentID' },
+  ],
+
+  detect({ has, doc }) {
+    return !!(has('truste') || doc.getElementById('truste-consent-track'));
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(TrustArcAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrustArcAdapter;
+}
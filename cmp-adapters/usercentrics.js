@@ -0,0 +1,196 @@
+/**
+ * Guardr - Usercentrics CMP Adapter
+ * API first (UC_UI.denyAllConsents / denyAll), then known deny buttons, then a
+ * text search inside the Usercentrics containers (which often use shadow DOM).
+ */
+
+const UsercentricsAdapter = {
+  name: 'Usercentrics',
+  containers: ['[data-testid="uc-center-container"]', '#uc-banner', '.uc-banner'],
+  globals: ['UC_UI', 'UC_UI.denyAllConsents', 'UC_UI.denyAll', 'UC_UI.getServicesBaseInfo', 'UC_UI.showSecondLayer'],
+  storageKeys: [
+    { type: 'localStorage', name: 'uc_settings' },
+    { type: 'localStorage', name: 'uc_user_interaction' },
+    { type: 'localStorage', name: 'ucData' },
+    { type: 'localStorage', name: 'ucString' },
+    { type: 'cookie', name: 'uc_user_interaction' },
+  ],
+
+  detect({ has, doc }) {
+    return !!(has('UC_UI') || doc.querySelector('[data-testid="uc-center-container"]') ||
+              doc.querySelector('[id*="usercentrics"]') || doc.querySelector('[class*="uc-banner"]'));
+  },
+
+  async denyViaApi(ctx) {
+    const { R } = ctx;
+
+    if (ctx.has('UC_UI.denyAllConsents')) {
+      ctx.logAction('Usercentrics: Calling UC_UI.denyAllConsents()');
+      await ctx.main.call('UC_UI.denyAllConsents');
+      R.cmpMethod = R.cmpMethod || 'api';
+      R.unchecked.push({label:'Usercentrics: denyAllConsents()',category:'CMP API',type:'deny-all'});
+      return true;
+    }
+
+    if (ctx.has('UC_UI.denyAll')) {
+      ctx.logAction('Usercentrics: Calling UC_UI.denyAll()');
+      await ctx.main.call('UC_UI.denyAll');
+      return true;
+    }
+    return false;
+  },
+
+  async denyViaDom(ctx) {
+    const { doc, R } = ctx;
+
+    const ucDenySelectors = [
+      '[data-testid="uc-deny-all-button"]',
+      'button[data-testid="uc-deny-all-button"]',
+      '[data-testid="uc-deny-button"]',
+      'button[data-testid="uc-deny-button"]',
+      'button.sc-button-secondary',
+      'button[aria-label*="Deny"]',
+      'button[aria-label*="Reject"]',
+      'button.uc-deny-button',
+      'button[class*="uc-deny"]',
+      'button[id*="uc-deny"]',
+      '.uc-banner button:not([data-testid*="accept"])',
+      // Add specific text-based selectors for Usercentrics
+      'button[data-testid="uc-reject-all-button"]',
+      'button[data-testid*="reject"]',
+      'button.uc-list-button__deny',
+    ];
+
+    for (const sel of ucDenySelectors) {
+      const btn = doc.querySelector(sel);
+      if (btn && ctx.isVisible(btn)) {
+        const btnText = ctx.textOf(btn);
+        ctx.logAction(`Usercentrics: Clicking button "${btnText}" (${sel})`);
+        ctx.clickElement(btn);
+        await ctx.waitForBannerGone();
+        R.cmpMethod = R.cmpMethod || 'button-click';
+        R.unchecked.push({label:`Usercentrics: Clicked "${btnText}"`,category:'CMP Button',type:'deny-all'});
+        return true;
+      }
+    }
+
+    // Try to find "Reject All" button by text within Usercentrics container
+    ctx.logAction('Usercentrics: Trying text-based button search...');
+    const ucSelectors = [
+      '[id*="usercentrics"]',
+      '[class*="usercentrics"]',
+      '[data-testid*="uc-"]',
+      '[class*="uc-banner"]',
+      'usercentrics-cmp',
+      'usercentrics-banner'
+    ];
+    const ucContainers = doc.querySelectorAll(ucSelectors.join(','));
+
+    for (const container of ucContainers) {
+      // More lenient visibility check for custom elements
+      const rect = container.getBoundingClientRect();
+      const style = ctx.win.getComputedStyle(container);
+      const isActuallyVisible = rect.width > 0 && rect.height > 0 &&
+                                 style.display !== 'none' &&
+                                 style.visibility !== 'hidden' &&
+                                 parseFloat(style.opacity) > 0;
+
+      if (!isActuallyVisible) continue;
+
+      // Check for shadow DOM with recursive search
+      let buttons = [];
+      if (container.shadowRoot) {
+        console.log('[Guardr] Phase 2: Found Shadow DOM in Usercentrics, scanning inside...');
+        buttons = this.findButtonsInShadow(ctx, container.shadowRoot);
+      } else {
+        buttons = Array.from(container.querySelectorAll('button,[role="button"]')).filter(ctx.isVisible);
+        // Also check children for shadow roots
+        const children = container.querySelectorAll('*');
+        for (const child of children) {
+          if (child.shadowRoot) {
+            buttons.push(...this.findButtonsInShadow(ctx, child.shadowRoot));
+          }
+        }
+      }
+
+      console.log(`[Guardr] Phase 2 Usercentrics: Found ${buttons.length} buttons in container${container.shadowRoot ? ' (shadow DOM)' : ''}`);
+
+      for (const btn of buttons) {
+        const text = ctx.textOf(btn).trim();
+        const dataTestId = btn.getAttribute('data-testid') || '';
+        const ariaLabel = btn.getAttribute('aria-label') || '';
+
+        console.log('[Guardr] Phase 2 Usercentrics button:', {
+          text: text.substring(0, 40),
+          dataTestId,
+          ariaLabel
+        });
+
+        if (this.isDenyButton(text, dataTestId, ariaLabel)) {
+          ctx.logAction(`Usercentrics: Found "${text || dataTestId}" button by enhanced search`);
+          ctx.clickElement(btn);
+          const bannerGone = await ctx.waitForBannerGone();
+
+          R.bannerFound = true;
+          R.bannerClosed = bannerGone;
+          R.cmpMethod = R.cmpMethod || 'button-click';
+          R.unchecked.push({label:`Usercentrics: Clicked "${text || dataTestId}" button`,category:'CMP Button',type:'deny-all'});
+          ctx.logAction(bannerGone ? '✓ Banner closed successfully' : '⚠ Banner still visible after click');
+          return true;
+        }
+      }
+    }
+
+    ctx.logAction('⚠ Usercentrics: No API or deny button found');
+    return false;
+  },
+
+  /**
+   * Service consent from UC_UI.getServicesBaseInfo()
+   */
+  async readState({ has, main }) {
+    if (!has('UC_UI.getServicesBaseInfo')) return null;
+    const all = await main.call('UC_UI.getServicesBaseInfo');
+    if (!Array.isArray(all) || all.length === 0) return null;
+    const services = all.filter(s => !s.isEssential && s.categorySlug !== 'essential');
+    const granted = services.filter(s => s.consent?.status === true).map(s => s.name);
+    const denied = services.filter(s => s.consent?.status === false).map(s => s.name);
+    return { source: 'UC_UI.getServicesBaseInfo()', granted, denied, data: services };
+  },
+
+  async reopen({ has, main }) {
+    if (!has('UC_UI.showSecondLayer')) return false;
+    await main.call('UC_UI.showSecondLayer');
+    return true;
+  },
+
+  // Look for "Reject All" or similar deny text, or deny-related attributes
+  isDenyButton(text, dataTestId, ariaLabel) {
+    return /^reject\s*all$/i.test(text) ||
+           /^deny\s*all$/i.test(text) ||
+           /^refuse\s*all$/i.test(text) ||
+           /decline.*all/i.test(text) ||
+           dataTestId.includes('deny') ||
+           dataTestId.includes('reject') ||
+           ariaLabel.toLowerCase().includes('deny') ||
+           ariaLabel.toLowerCase().includes('reject');
+  },
+
+  // Recursive shadow DOM search helper
+  findButtonsInShadow(ctx, root, depth = 0) {
+    if (depth > 3) return [];
+    const buttons = Array.from(root.querySelectorAll('button,[role="button"]')).filter(ctx.isVisible);
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) {
+        buttons.push(...this.findButtonsInShadow(ctx, el.shadowRoot, depth + 1));
+      }
+    }
+    return buttons;
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(UsercentricsAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsercentricsAdapter;
+}
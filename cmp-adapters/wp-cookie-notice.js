@@ -0,0 +1,20 @@
+/**
+ * Guardr - WP Cookie CMP Adapter
+ * Detection only; denial is handled by the generic button/toggle phases.
+ */
+
+const WPCookieNoticeAdapter = {
+  name: 'WP Cookie',
+  containers: ['#cookie-notice', '.cookie-notice-container'],
+  storageKeys: [{ type: 'cookie', name: 'cookie_notice_accepted' }],
+
+  detect({ doc }) {
+    return !!doc.querySelector('#cookie-notice,.cookie-notice-container');
+  },
+};
+
+if (typeof CMPRegistry !== 'undefined') CMPRegistry.register(WPCookieNoticeAdapter);
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WPCookieNoticeAdapter;
+}
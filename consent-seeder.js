@@ -0,0 +1,285 @@
+/**
+ * Guardr - Consent Seeder
+ *
+ * Runs at document_start (before content.js) and writes a "rejected" consent
+ * cookie / localStorage value for CMPs this domain is known to use, so the CMP
+ * starts up already answered and never flashes its banner.
+ *
+ * WHICH CMPs A DOMAIN USES:
+ * No CMP script has loaded at document_start, so the seeder can only act on
+ * a domain record. The first run that detects a CMP with a template creates
+ * one (remember()); a verified run replaces it with captured values
+ * (capture()). The very first load of a domain is therefore never seeded -
+ * its banner goes through the normal deny flow - but every later load is,
+ * verified run or not.
+ *
+ * SOURCES OF SEED VALUES:
+ * - Captured: after a run on the domain is verified (Phase 7), the values the
+ *   CMP itself wrote for that rejection are saved and replayed on later
+ *   visits; they override the templates
+ * - Template: a reject value built from the CMP's documented format, used
+ *   when nothing was captured. OneTrust and Cookiebot keep their own format;
+ *   Didomi and Quantcast also need a TC string that grants nothing
+ *   (TCString.encodeRejection); Usercentrics only needs the interaction flag,
+ *   since without stored settings it starts from its opt-in defaults
+ *
+ * Only keys that are absent are written - an existing choice is never
+ * overwritten. content.js checks whether the seed was accepted (no banner) and
+ * falls back to the normal deny flow when it wasn't; seeds that keep failing
+ * are dropped.
+ *
+ * Seeding is part of auto mode: it only runs where a page load denies on its
+ * own (see SitePolicy.runsAutomatically).
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const ConsentSeeder = {
+
+  STORAGE_KEY: 'consentSeeds',
+  MAX_FAILURES: 2,
+  COOKIE_MAX_AGE: 180 * 24 * 60 * 60, // seconds
+  TCF_VENDOR_LIST_VERSION: 110, // data/gvl-snapshot.json; CMPs accept strings from older lists
+  CMP_IDS: { 'Didomi': 7, 'Quantcast': 10 }, // IAB CMP list
+  DIDOMI_PURPOSES: [
+    'cookies', 'select_basic_ads', 'create_ads_profile', 'select_personalized_ads',
+    'create_content_profile', 'select_personalized_content', 'measure_ad_performance',
+    'measure_content_performance', 'market_research', 'improve_products', 'use_limited_data_to_select_content',
+  ],
+
+  // Where each CMP keeps the user's choice
+  CMP_KEYS: {
+    'OneTrust': [
+      { type: 'cookie', name: 'OptanonConsent' },
+      { type: 'cookie', name: 'OptanonAlertBoxClosed' },
+    ],
+    'Cookiebot': [
+      { type: 'cookie', name: 'CookieConsent' },
+    ],
+    'Didomi': [
+      { type: 'cookie', name: 'didomi_token' },
+      { type: 'localStorage', name: 'didomi_token' },
+      { type: 'cookie', name: 'euconsent-v2' },
+    ],
+    'Usercentrics': [
+      { type: 'localStorage', name: 'uc_settings' },
+      { type: 'localStorage', name: 'uc_user_interaction' },
+      { type: 'localStorage', name: 'ucData' },
+      { type: 'localStorage', name: 'ucString' },
+    ],
+    'Quantcast': [
+      { type: 'cookie', name: 'euconsent-v2' },
+      { type: 'cookie', name: 'addtl_consent' },
+      { type: 'localStorage', name: 'noniabvendorconsent' },
+    ],
+  },
+
+  // Reject values for CMPs with a stable format
+  TEMPLATES: {
+    'OneTrust': () => {
+      const now = new Date();
+      const consent = new URLSearchParams({
+        isGpcEnabled: '0',
+        datestamp: now.toString(),
+        version: '6.0.0',
+        isIABGlobal: 'false',
+        hosts: '',
+        interactionCount: '1',
+        landingPath: 'NotLandingPage',
+        groups: 'C0001:1,C0002:0,C0003:0,C0004:0,C0005:0',
+        AwaitingReconsent: 'false',
+      });
+      return [
+        { type: 'cookie', name: 'OptanonConsent', value: consent.toString() },
+        { type: 'cookie', name: 'OptanonAlertBoxClosed', value: now.toISOString() },
+      ];
+    },
+    'Cookiebot': () => [{
+      type: 'cookie',
+      name: 'CookieConsent',
+      value: encodeURIComponent(`{stamp:'-1',necessary:true,preferences:false,statistics:false,marketing:false,method:'explicit',ver:1,utc:${Date.now()}}`),
+    }],
+    'Didomi': () => {
+      const now = new Date().toISOString();
+      const none = { enabled: [], disabled: [] };
+      const token = btoa(JSON.stringify({
+        user_id: ConsentSeeder.uuid(),
+        created: now,
+        updated: now,
+        vendors: none,
+        vendors_li: none,
+        purposes: { enabled: [], disabled: ConsentSeeder.DIDOMI_PURPOSES },
+        purposes_li: { enabled: [], disabled: ConsentSeeder.DIDOMI_PURPOSES },
+        version: 2,
+      }));
+      return [
+        { type: 'cookie', name: 'didomi_token', value: token },
+        { type: 'localStorage', name: 'didomi_token', value: token },
+        { type: 'cookie', name: 'euconsent-v2', value: ConsentSeeder.tcfRejection('Didomi') },
+      ];
+    },
+    'Usercentrics': () => [
+      { type: 'localStorage', name: 'uc_user_interaction', value: 'true' },
+    ],
+    'Quantcast': () => [
+      { type: 'cookie', name: 'euconsent-v2', value: ConsentSeeder.tcfRejection('Quantcast') },
+      { type: 'cookie', name: 'addtl_consent', value: '1~' }, // Google Additional Consent: no providers
+    ],
+  },
+
+  seeded: [],   // CMP names seeded on this page load
+  ready: null,  // Promise<string[]> resolved once seeding has run
+
+  // TC string that grants nothing, in the named CMP's name
+  tcfRejection(cmp) {
+    return TCString.encodeRejection({
+      cmpId: this.CMP_IDS[cmp],
+      vendorListVersion: this.TCF_VENDOR_LIST_VERSION,
+      consentLanguage: (navigator.language || 'en').substring(0, 2),
+    });
+  },
+
+  // crypto.randomUUID() needs a secure context; http pages get seeded too
+  uuid() {
+    const hex = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${(8 | parseInt(hex[16], 16) & 3).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  },
+
+  domainKey(hostname = window.location.hostname) {
+    return hostname.replace(/^www\./, '');
+  },
+
+  readKey({ type, name }) {
+    try {
+      if (type === 'localStorage') return localStorage.getItem(name);
+      const match = document.cookie.match(new RegExp(`(?:^|;\\s*)${name.replace(/[-.]/g, '\\$&')}=([^;]*)`));
+      return match ? match[1] : null;
+    } catch (_) {
+      return null;
+    }
+  },
+
+  writeKey({ type, name, value }, domain) {
+    try {
+      if (type === 'localStorage') {
+        localStorage.setItem(name, value);
+      } else {
+        document.cookie = `${name}=${value}; path=/; domain=${domain}; max-age=${this.COOKIE_MAX_AGE}; SameSite=Lax`;
+      }
+      return true;
+    } catch (_) {
+      return false;
+    }
+  },
+
+  /**
+   * Write the stored seed for this domain (top frame, automatic runs only)
+   * @returns {Promise<string[]>} CMP names that were seeded
+   */
+  async run() {
+    if (window.top !== window) return [];
+
+    const domain = this.domainKey();
+    const data = await chrome.storage.local.get(['autoMode', this.STORAGE_KEY]);
+    const seed = data[this.STORAGE_KEY]?.[domain];
+    const policy = await SitePolicy.get(domain);
+    if (!seed || !SitePolicy.runsAutomatically(policy, data.autoMode)) return [];
+    // A seed is a full rejection; sites where the preference profile or the
+    // TCF choices keep something go through the normal flow
+    const profile = await PreferenceProfile.resolve(domain, policy);
+    if (profile.allowed.size > 0) return [];
+    if (VendorList.keepsAnything(VendorList.resolve(await VendorList.loadChoices(), profile))) return [];
+
+    for (const cmp of seed.cmps) {
+      const values = seed.values.filter(v => v.cmp === cmp);
+      const entries = values.length > 0 ? values : (this.TEMPLATES[cmp]?.() || []);
+      let wrote = false;
+      for (const entry of entries) {
+        if (this.readKey(entry) !== null) continue; // Never overwrite an existing choice
+        wrote = this.writeKey(entry, domain) || wrote;
+      }
+      if (wrote) this.seeded.push(cmp);
+    }
+
+    if (this.seeded.length > 0) {
+      console.log(`[Guardr] Seeded reject consent for ${this.seeded.join(', ')}`);
+    }
+    return this.seeded;
+  },
+
+  /**
+   * Save what the CMPs wrote for a verified rejection, for replay on later visits
+   * @param {string} domain
+   * @param {string[]} cmpNames - CMPs detected during the run
+   */
+  async capture(domain, cmpNames) {
+    const cmps = cmpNames.filter(name => this.CMP_KEYS[name]);
+    if (cmps.length === 0) return;
+
+    const values = [];
+    for (const cmp of cmps) {
+      for (const key of this.CMP_KEYS[cmp]) {
+        const value = this.readKey(key);
+        if (value !== null) values.push({ ...key, cmp, value });
+      }
+    }
+
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const seeds = data[this.STORAGE_KEY] || {};
+    seeds[domain] = { cmps, values, failures: 0, savedAt: Date.now() };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: seeds });
+  },
+
+  /**
+   * Note the CMPs a run detected on a domain with no record yet, so later
+   * loads get their templates (captured records are left alone)
+   * @param {string} domain
+   * @param {string[]} cmpNames - CMPs detected during the run
+   */
+  async remember(domain, cmpNames) {
+    const cmps = cmpNames.filter(name => this.TEMPLATES[name]);
+    if (cmps.length === 0) return;
+
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const seeds = data[this.STORAGE_KEY] || {};
+    if (seeds[domain]) return;
+    seeds[domain] = { cmps, values: [], failures: 0, savedAt: Date.now() };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: seeds });
+  },
+
+  /**
+   * Drop the domain's seed (consent reset)
+   */
+  async forget(domain) {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const seeds = data[this.STORAGE_KEY] || {};
+    if (!seeds[domain]) return;
+    delete seeds[domain];
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: seeds });
+  },
+
+  /**
+   * Record whether the CMP accepted this page's seed; drop seeds that keep failing
+   */
+  async markResult(domain, accepted) {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const seeds = data[this.STORAGE_KEY] || {};
+    const seed = seeds[domain];
+    if (!seed) return;
+
+    seed.failures = accepted ? 0 : (seed.failures || 0) + 1;
+    if (seed.failures >= this.MAX_FAILURES) {
+      delete seeds[domain];
+      console.log(`[Guardr] Dropping consent seed for ${domain} after ${seed.failures} failures`);
+    }
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: seeds });
+  },
+};
+
+ConsentSeeder.ready = ConsentSeeder.run().catch(() => []);
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConsentSeeder;
+}
@@ -25,17 +25,31 @@
   const MANDATORY_TCF_PURPOSES = new Set([10, 11]);
   const MAX_WAIT_PER_SECTION = 1000; // ms - wait for dynamic content after clicking tabs
   const MAX_TOTAL_RUNTIME = 30000; // ms - safety timeout for entire operation
+  const FRAME_DENY_TIMEOUT = 10000; // ms - max wait for child frames during Phase 5
+  const VERIFY_SETTLE_MS = 800; // ms - let the CMP persist its choice before Phase 7 reads it
+  const TCF_ACCEPT_ALL_MIN_PURPOSES = 7; // this many consented purposes reads as "Accept all"
+  const TCF_AUDIT_VENDOR_LIMIT = 50; // vendors named per list in the TC string audit
+  const CONSENT_MODE_SIGNALS = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+  const GPC_ASSESS_DELAY = 2500; // ms - give the CMP time to decide whether to show a banner
+  const SEED_CHECK_DELAY = 1500; // ms - give a seeded CMP time to decide whether to show a banner
+  // Waits (dom-wait.js) end as soon as their condition holds; these are the caps
+  const BANNER_CLOSE_WAIT = 1500; // ms - max wait for a banner to close after a reject click
+  const PANEL_OPEN_WAIT = 2600; // ms - max wait for a settings panel to render after "manage"
+  const PANEL_QUIET_MS = 300; // ms - a panel is rendered once the DOM has been quiet this long
+  const CMP_RENDER_WAIT = 1500; // ms - max wait for a detected CMP to finish rendering
+  const UC_RENDER_WAIT = 3000; // ms - same for Usercentrics, which is known to be slow
+  // Share of MAX_TOTAL_RUNTIME each phase may spend waiting; phases not listed
+  // get whatever is left of the run
+  const PHASE_WAIT_BUDGET = { '0': 0.1, '0.5': 0.2, '1': 0.15, '2': 0.15, '2.5': 0.15, '3': 0.3, '4': 0.15, '6': 0.05, '7': 0.15 };
+  // manifest.json loads this script group into the top frame only; when a run
+  // fans out to child frames (CMPs rendered in third-party iframes) background.js
+  // injects it there first. Only the top frame talks to the popup and runs
+  // auto-mode; child frames just answer RUN_FRAME_DENY.
+  const IS_TOP_FRAME = window.top === window;
   const MAX_RETRIES_PER_ACTION = 2;
   const MAX_LEARNED_PATTERNS_PER_DOMAIN = 10; // Limit learned patterns per domain
   const LEARNED_PATTERN_EXPIRY_DAYS = 90; // Expire old patterns after 90 days
-  const TCF_PURPOSE_LABELS = {
-    1:'Store and/or access information on a device',2:'Use limited data to select advertising',
-    3:'Create profiles for personalised advertising',4:'Use profiles to select personalised advertising',
-    5:'Create profiles to personalise content',6:'Use profiles to select personalised content',
-    7:'Measure advertising performance',8:'Measure content performance',
-    9:'Understand audiences through statistics or combinations of data',
-    10:'Develop and improve services',11:'Use limited data to select content',
-  };
+  const TCF_PURPOSE_LABELS = TCString.PURPOSE_NAMES;
 
   // ══════════════════════════════════════════════════════════════════════════
   // ═══ SEMANTIC LIBRARY - Comprehensive button patterns for all CMPs  ═══════
@@ -220,49 +234,27 @@
     return ((hasPrivacyKeyword && hasChoiceKeyword) || isRejectAcceptPair) && hasButtons && appearedRecently;
   }
   
+  // Button scoring (button-classifier.js): classify buttons shown together in
+  // one go, so DOM order and relative size count
+  const classifyButtons = buttons => ButtonClassifier.rank(buttons, { textOf });
+
+  function logClassified(classified) {
+    classified.forEach(({ element, text, type, confidence, probabilities }) => {
+      logEvent('button-classified', `Button "${text.substring(0, 40)}" → ${type} (${confidence.toFixed(2)})`,
+        { selector: getUniqueSelector(element), text, classification: type, confidence, probabilities: ButtonClassifier.round(probabilities) });
+    });
+  }
+
   /**
-   * Classify a button's intent using comprehensive SemanticLibrary
-   * Supports 15+ languages and all dark pattern variations
-   * @param {HTMLElement} button - Button element to classify
-   * @returns {'deny'|'accept'|'manage'|'confirm'|'unknown'}
+   * No button reached ButtonClassifier.ACT_THRESHOLD for `type`: log the
+   * nearest candidates so the miss can be tuned from the action log
    */
-  function classifyButton(button) {
-    // Gather all text sources
-    const text = textOf(button);
-    const ariaLabel = button.getAttribute('aria-label') || '';
-    const title = button.getAttribute('title') || '';
-    
-    // Try each text source with SemanticLibrary
-    const sources = [text, ariaLabel, title].filter(Boolean);
-    
-    for (const source of sources) {
-      const classification = SemanticLibrary.classifyButton(source);
-      if (classification !== 'unknown') {
-        // Map 'deny' to 'reject' for backwards compatibility with existing code
-        return classification === 'deny' ? 'reject' : classification;
-      }
-    }
-    
-    // Fallback: check button attributes for hints
-    const id = button.id || '';
-    const className = button.className || '';
-    const combined = (id + ' ' + className).toLowerCase();
-    
-    // Check common CSS class patterns
-    if (/\b(reject|deny|decline|refuse)\b/i.test(combined)) {
-      return 'reject';
-    }
-    if (/\b(accept|allow|agree|consent)\b/i.test(combined)) {
-      return 'accept';
-    }
-    if (/\b(manage|settings?|preferences?|customize)\b/i.test(combined)) {
-      return 'manage';
-    }
-    if (/\b(save|confirm|apply)\b/i.test(combined)) {
-      return 'confirm';
-    }
-    
-    return 'unknown';
+  function logUnsure(classified, type, where) {
+    const near = ButtonClassifier.topK(classified, type)
+      .filter(c => c.probabilities[type] >= ButtonClassifier.UNSURE_MIN);
+    if (near.length === 0) return;
+    logAction(`${where}: no ${type} button above ${ButtonClassifier.ACT_THRESHOLD}, not clicking - ` +
+              `top candidates ${ButtonClassifier.describe(near, type)}`);
   }
   
   /**
@@ -311,30 +303,20 @@
       console.log(`[Guardr] Found ${buttons.length} buttons in modal`);
       
       // Classify all buttons
-      const classified = buttons.map(btn => ({
-        element: btn,
-        text: textOf(btn),
-        type: classifyButton(btn)
-      }));
+      const classified = classifyButtons(buttons);
+      logClassified(classified);
       
-      // Log classification
-      classified.forEach(({ text, type }) => {
-        console.log(`[Guardr]   Button: "${text.substring(0, 40)}" → ${type}`);
-      });
-      
-      // Priority: reject > manage > unknown > accept (never accept!)
-      let targetButton = classified.find(b => b.type === 'reject');
+      // Priority: reject > manage (never accept!), each only when the classifier is sure
+      let targetButton = ButtonClassifier.pick(classified, 'reject');
       
       if (!targetButton) {
         // No reject button found - try manage/settings to access more options
-        targetButton = classified.find(b => b.type === 'manage');
+        targetButton = ButtonClassifier.pick(classified, 'manage');
         console.log('[Guardr] No reject button found, trying manage/settings');
       }
       
       if (!targetButton) {
-        // Last resort: click any unknown button (but never 'accept')
-        targetButton = classified.find(b => b.type === 'unknown');
-        console.log('[Guardr] No reject/manage found, trying unknown button');
+        logUnsure(classified, 'reject', 'Universal detection');
       }
       
       if (targetButton) {
@@ -344,7 +326,8 @@
         // Mark this modal as processed before clicking
         processedModals.add(modal);
         
-        clickElement(targetButton.element);
+        const layerBefore = targetButton.type === 'reject' ? consentLayerText() : null;
+        clickElement(targetButton.element, targetButton.type);
         
         // LEARN from successful button click
         if (typeof LearningModule !== 'undefined' && targetButton.type === 'reject') {
@@ -358,7 +341,11 @@
           console.log('[Guardr] 📚 Learned from successful button click');
         }
         
-        await sleep(800);
+        // Anything but "manage" should close the modal
+        if (targetButton.type !== 'manage') {
+          await waitUntil(() => !isVisible(modal), BANNER_CLOSE_WAIT, 'modal to close');
+          if (layerBefore !== null && isVisible(modal)) noteRejectOutcome(targetButton.text, layerBefore);
+        }
         
         // If we clicked "manage", wait for settings panel to appear and scan again
         if (targetButton.type === 'manage') {
@@ -373,7 +360,8 @@
           });
           
           const manageClickTime = Date.now(); // Save time when we clicked manage
-          await sleep(1800); // Wait longer for settings panel animation/load (OneTrust can be slow)
+          // Settings panels animate in or load over the network (OneTrust can be slow)
+          await waitForSettle(PANEL_OPEN_WAIT, 'settings panel', { requireChange: true, quietMs: PANEL_QUIET_MS });
           
           // Scan for NEW modals (side panels, drawers, etc.) that appeared after clicking manage
           console.log('[Guardr] Scanning for new modals (settings panels, side drawers)...');
@@ -417,19 +405,14 @@
             
             settingsButtons = settingsButtons.filter(isVisible);
             
-            const settingsClassified = settingsButtons.map(btn => ({
-              element: btn,
-              text: textOf(btn),
-              type: classifyButton(btn)
-            }));
+            const settingsClassified = classifyButtons(settingsButtons);
             
             console.log(`[Guardr] Step 2: Found ${settingsButtons.length} buttons in new settings panel`);
-            settingsClassified.forEach(({ text, type }) => {
-              console.log(`[Guardr]   Button: "${text.substring(0, 40)}" → ${type}`);
-            });
+            logClassified(settingsClassified);
             
             // Look for reject button
-            const rejectBtn = settingsClassified.find(b => b.type === 'reject');
+            const rejectBtn = ButtonClassifier.pick(settingsClassified, 'reject');
+            if (!rejectBtn) logUnsure(settingsClassified, 'reject', 'Universal detection (step 2)');
             if (rejectBtn) {
               console.log(`[Guardr] Step 2: Clicking "${rejectBtn.text}" in settings panel`);
               logAction(`Universal detection: Clicking "${rejectBtn.text}" (Step 2)`);
@@ -449,7 +432,7 @@
                 console.log('[Guardr] 📚 Learned from settings panel button');
               }
               
-              await sleep(800);
+              await waitUntil(() => !isVisible(modal) && !isVisible(newModal), BANNER_CLOSE_WAIT, 'settings panel to close');
               
               // Check if both modals are gone
               const bothGone = !isVisible(modal) && !isVisible(newModal);
@@ -474,7 +457,7 @@
           return false;
         }
         
-        // For reject/unknown buttons, check if modal closed and finalize
+        // For reject buttons, check if modal closed and finalize
         const modalGone = !isVisible(modal);
         R.bannerFound = true;
         R.bannerClosed = modalGone;
@@ -512,17 +495,39 @@
       totalTogglesFound:0,
       sectionsProcessed:[],  // Track which sections/tabs were clicked
       iframesScanned:0,
+      frames:[],  // Per-frame summary of child frames that ran a deny
       startTime:Date.now(),
       timestamp:Date.now(),
       processedLabels:new Set(),  // Dedupe during processing
       actionLog:[],  // Detailed action log for debugging and history
-      consentOrPay:false  // Flag for "consent or pay/subscribe" scenarios
+      consentOrPay:false,  // Flag for "consent or pay/subscribe" scenarios
+      tcfAudit:null,  // Decoded TC string stored by the CMP after the run
+      verification:null,  // Phase 7 verdict: verified | partially-denied | accepted-by-mistake | unverified
+      consentMode:null,  // Google Consent Mode v2 signals before/after the run
+      gpc:null,  // Whether the site honoured Global Privacy Control (privacy signals mode)
+      policy:null,  // Site policy the run was made under (site-policy.js)
+      profile:null,  // Preference profile the run was made under: { allowed, source }
+      liObjection:null,  // Phase 2.5 result: { count, via: [CMP names | 'page'] }
+      darkPatterns:null,  // Dark pattern report: { findings, score } (dark-patterns.js)
+      firstLayerAccept:false,  // The first layer offered a one-click Accept
+      rejectEffort:null,  // Clicks / screens / seconds the denial took (reject-effort.js)
+      evidence:false,  // Screenshots + cookies captured for the evidence bundle ("Capture evidence")
+      cookies:null,  // Cookie inventory before / after the run (cookie-inventory.js)
+      bannerVisibleAtStart:false,  // A banner was up when the run began (re-prompt evidence for the consent ledger)
+      consentExpiryDays:null  // How long the detected CMP says a choice lasts (CMPRegistry.consentExpiryDays)
     };
   }
   let R = freshResults();
   let operationStartTime = 0;
-  const MAX_ACTION_LOG_ENTRIES = 100;  // Prevent unbounded growth
+  let currentPhase = null;  // Phase tag for action-log events (startPhase)
+  let phaseStartTime = 0;
+  let waitBudget = null;  // DomWait.budget() for the current run (null outside runs)
+  let runSignal = null;  // AbortSignal of the current run (run-controller.js)
   let learnedPatterns = null; // Loaded from storage
+  let pageGlobals = new Set(); // CMP globals seen in the page's main world (last probe)
+  let sitePolicy = SitePolicy.DEFAULT; // Per-site policy for the current run (child frames get the top frame's)
+  let profile = PreferenceProfile.none(); // Categories to keep for the current run (preference-profile.js)
+  let tcfChoices = VendorList.resolve(VendorList.defaultChoices(), profile); // TCF purposes / vendors to keep (vendor-list.js)
   let teachingMode = false; // Manual selection mode
   
   // Inject CSS animations for notifications
@@ -544,7 +549,62 @@
   })();
 
   // ── Utilities ──────────────────────────────────────────────────────────────
-  const sleep = ms => new Promise(r => setTimeout(r,ms));
+  const WAIT_LOG_MIN_MS = 500; // shorter sleeps are not logged as 'wait' events
+  // Fixed delay for the few places with nothing to wait on; ends early and
+  // throws an AbortError when the run is cancelled
+  const sleep = ms => {
+    if (ms >= WAIT_LOG_MIN_MS) logEvent('wait', `Waiting ${ms}ms`, { ms });
+    const signal = runSignal;
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener('abort', done);
+    }).then(() => RunController.throwIfAborted(signal));
+  };
+
+  /**
+   * Out of time or cancelled: optional phases and section loops stop here
+   */
+  function runOutOfTime() {
+    return Date.now() - operationStartTime > MAX_TOTAL_RUNTIME || !!runSignal?.aborted;
+  }
+
+  /**
+   * Wait until predicate() holds, for at most maxMs and never past the
+   * current phase's wait budget. Throws an AbortError when the run is cancelled.
+   * @returns {Promise<boolean>} false if the wait timed out
+   */
+  async function waitUntil(predicate, maxMs, what) {
+    const started = Date.now();
+    const ok = await DomWait.until(predicate, { timeoutMs: waitBudget ? waitBudget.cap(maxMs) : maxMs, signal: runSignal });
+    logWait(what, ok, started);
+    RunController.throwIfAborted(runSignal);
+    return ok;
+  }
+
+  /**
+   * Wait for the DOM to settle (see DomWait.settle), capped like waitUntil()
+   * @param {object} options - DomWait.settle options (quietMs, requireChange)
+   */
+  async function waitForSettle(maxMs, what, options = {}) {
+    const started = Date.now();
+    const ok = await DomWait.settle({ ...options, timeoutMs: waitBudget ? waitBudget.cap(maxMs) : maxMs, signal: runSignal });
+    logWait(what, ok, started);
+    RunController.throwIfAborted(runSignal);
+    return ok;
+  }
+
+  function logWait(what, ok, started) {
+    const ms = Date.now() - started;
+    logEvent('wait', `Waited ${ms}ms for ${what}${ok ? '' : ' (timed out)'}`, { ms, result: ok ? 'ok' : 'timed out' });
+  }
+
+  // Resolves true once no banner is visible
+  const waitForBannerGone = (maxMs = BANNER_CLOSE_WAIT) => waitUntil(() => !isBannerVisible(), maxMs, 'banner to close');
 
   // ── Learned Patterns Storage ───────────────────────────────────────────────
   async function loadLearnedPatterns() {
@@ -632,16 +692,40 @@
     }
   }
 
-  // Log action with timestamp (capped at MAX_ACTION_LOG_ENTRIES)
+  // Free-text log line (an 'info' event)
   function logAction(action) {
-    if (R.actionLog.length >= MAX_ACTION_LOG_ENTRIES) return;
-    const logEntry = {
-      time: Date.now() - R.startTime,  // Relative time in ms
-      action: String(action).substring(0, 200)  // Sanitize and limit length
-    };
-    R.actionLog.push(logEntry);
+    logEvent('info', action);
+  }
+
+  /**
+   * Typed action-log event (see action-log.js), tagged with the current phase
+   * @param {string} type - ActionLog.TYPES key
+   * @param {string} action - Human-readable line
+   * @param {object} fields - Type-specific fields
+   */
+  function logEvent(type, action, fields = {}) {
+    const entry = ActionLog.create(type, action, { phase: currentPhase, ...fields }, R.startTime);
+    ActionLog.push(R.actionLog, entry);
     // Also log to console for real-time debugging
-    console.log(`[Guardr] ${logEntry.action}`);
+    console.log(`[Guardr] ${entry.action}`);
+  }
+
+  /**
+   * Close the running phase (phase-end with its duration) and open the next.
+   * Opening a phase throws an AbortError once the run has been cancelled.
+   * @param {string|null} phase - e.g. '2.5'; null only closes
+   * @param {string} description
+   */
+  function startPhase(phase, description = '') {
+    if (currentPhase !== null) {
+      logEvent('phase-end', `Phase ${currentPhase} done`, { ms: Date.now() - phaseStartTime });
+    }
+    currentPhase = null;
+    if (phase !== null) RunController.throwIfAborted(runSignal);
+    currentPhase = phase;
+    if (waitBudget) waitBudget.startPhase(phase);
+    phaseStartTime = Date.now();
+    if (phase !== null) logEvent('phase-start', `Phase ${phase}: ${description}`);
   }
 
   function isVisible(el) {
@@ -653,9 +737,17 @@
     } catch(_){ return false; }
   }
 
+  // 'click' event for the action log (reject-effort.js counts these); plain
+  // el.click() calls on the deny path log through here too
+  function logClick(el, classification = null) {
+    const text = textOf(el).substring(0, 80);
+    logEvent('click', `Click "${text}"`, { selector: getUniqueSelector(el), text, classification });
+  }
+
   // Enhanced click with proper event dispatching for better compatibility
   // Note: CSP violations may be logged by browser on strict sites - this is expected behavior
-  function clickElement(el) {
+  function clickElement(el, classification = null) {
+    logClick(el, classification);
     try {
       // Try focus first (some buttons need it)
       if (el.focus) el.focus();
@@ -682,15 +774,7 @@
 
   // Check if banner is still visible after clicking
   function isBannerVisible() {
-    const bannerSelectors = [
-      '[id*="cookie"],[id*="consent"],[id*="gdpr"]',
-      '[class*="cookie"],[class*="consent"],[class*="gdpr"]',
-      '[class*="banner"][class*="cookie"],[class*="banner"][class*="consent"]',
-      '#onetrust-banner-sdk','#CybotCookiebotDialog','#didomi-host',
-      '.qc-cmp2-container','dialog[open]','[role="dialog"][aria-modal="true"]',
-      '[class*="modal"][class*="cookie"],[class*="modal"][class*="consent"]',
-      '[class*="overlay"][class*="cookie"],[class*="overlay"][class*="consent"]',
-    ];
+    const bannerSelectors = BannerSelectors.visibility();
     
     // Special handling: OneTrust preference center (#onetrust-pc-sdk) is NOT the main banner
     // Only count it as "banner visible" if the main banner (#onetrust-banner-sdk) is also visible
@@ -789,6 +873,8 @@
 
   function safeUncheck(toggle, label, category, type='consent', section='') {
     try {
+      if (keepForProfile(toggle, label, category, section)) return false;
+
       // Dedupe check
       const dedupeKey = `${label}|${category}|${type}`;
       if (R.processedLabels.has(dedupeKey)) return false;
@@ -814,12 +900,18 @@
       }
       
       R.processedLabels.add(dedupeKey);
+      // Vendor rows the vendor list knows get the IAB name, purposes and retention
+      const vendorId = /vendor|partner/i.test(`${category} ${section}`) ? VendorList.findByName(label) : null;
       R.unchecked.push({
-        label:label.substring(0,150),
+        label: vendorId ? VendorList.describe(vendorId) : label.substring(0,150),
         category,
         type,
-        section: section.substring(0,50) || 'Main'
+        section: section.substring(0,50) || 'Main',
+        source: 'toggle',  // switched off in the UI (dark-patterns.js counts these as pre-checked)
+        ...(vendorId && { vendorId, retention: VendorList.retention(vendorId) }),
       });
+      logEvent('toggle-unchecked', `Unchecked "${label.substring(0,80)}"`,
+        { selector: getUniqueSelector(toggle), text: label, category, classification: type });
       return true;
     } catch(err){ 
       R.errors.push({label:label.substring(0,100),error:err.message}); 
@@ -827,32 +919,122 @@
     }
   }
 
+  // Does the profile or the TCF choices keep anything? If not, "reject all" is right
+  function keepsSomething() {
+    return profile.allowed.size > 0 || VendorList.keepsAnything(tcfChoices);
+  }
+
+  function describeKeeps() {
+    const parts = [...profile.allowed];
+    if (tcfChoices.purposes.length) parts.push(`TCF purposes ${tcfChoices.purposes.join(',')}`);
+    if (tcfChoices.specialFeatures.length) parts.push(`special features ${tcfChoices.specialFeatures.join(',')}`);
+    if (tcfChoices.vendorMode === 'allowlist' && tcfChoices.vendors.length) parts.push(`${tcfChoices.vendors.length} allowed vendors`);
+    return parts.join(', ');
+  }
+
+  /**
+   * What the user's choices say about a toggle whose label is a TCF purpose,
+   * special feature or known vendor (IAB texts as CMPs print them)
+   * @returns {{kept: boolean, category: string}|null} null when it is none of those
+   */
+  function tcfChoiceFor(label, category) {
+    const text = label.trim().toLowerCase();
+    const idFor = names => Number(Object.keys(names).find(id => names[id].toLowerCase() === text)) || null;
+
+    const purpose = idFor(TCF_PURPOSE_LABELS);
+    if (purpose) return { kept: tcfChoices.purposes.includes(purpose), category: 'TCF Purpose' };
+    const feature = idFor(TCString.SPECIAL_FEATURE_NAMES);
+    if (feature) return { kept: tcfChoices.specialFeatures.includes(feature), category: 'Special Feature' };
+    if (/vendor/i.test(category)) {
+      const vendor = VendorList.findByName(label);
+      if (vendor) return { kept: VendorList.keepsVendor(tcfChoices, vendor), category: `Vendor ${vendor}` };
+    }
+    return null;
+  }
+
+  /**
+   * Keep a toggle the user's choices allow (TCF purpose / special feature /
+   * vendor choices first, then preference profile categories): leave it on,
+   * switching it on if the CMP defaulted it off, and report it as kept
+   * @returns {boolean} true when the choices keep it
+   */
+  function keepForProfile(toggle, label, category, section='') {
+    const tcf = tcfChoiceFor(label, category);
+    const keptFor = tcf ? (tcf.kept ? tcf.category : null)
+      : PreferenceProfile.CATEGORIES[PreferenceProfile.keeps(profile, label, /legitimate/i.test(category))]?.label;
+    if (!keptFor) return false;
+
+    const dedupeKey = `${label}|profile|${keptFor}`;
+    if (R.processedLabels.has(dedupeKey)) return true;
+    R.processedLabels.add(dedupeKey);
+
+    const on = toggle.type==='checkbox' ? toggle.checked : toggle.getAttribute('aria-checked')==='true';
+    if (!on) toggle.click();
+    R.mandatory.push({
+      label: label.substring(0,150),
+      category: keptFor,
+      type: 'profile',
+      section: section.substring(0,50) || 'Main',
+      source: 'profile'
+    });
+    return true;
+  }
+
   function dedupe(arr) {
     const seen=new Set();
     return arr.filter(i=>{ const k=(i.label||'')+(i.category||''); return seen.has(k)?false:(seen.add(k),true); });
   }
 
+  // MainWorldBridge for adapters: call()/tcf() are logged as api-call events
+  const loggedBridge = Object.assign(Object.create(MainWorldBridge), {
+    async call(path, ...args) {
+      try {
+        const result = await MainWorldBridge.call(path, ...args);
+        logEvent('api-call', `API ${path}()`, { api: path, result: 'ok' });
+        return result;
+      } catch(err) {
+        logEvent('api-call', `API ${path}() failed: ${err.message}`, { api: path, result: 'failed' });
+        throw err;
+      }
+    },
+    async tcf(command, parameter, timeoutMs) {
+      const reply = await MainWorldBridge.tcf(command, parameter, timeoutMs);
+      const result = !reply ? 'no reply' : reply.success === false ? 'failed' : 'ok';
+      logEvent('api-call', `API __tcfapi('${command}'): ${result}`, { api: `__tcfapi.${command}`, result });
+      return reply;
+    },
+  });
+
   // ── CMP Detection ──────────────────────────────────────────────────────────
-  function detectCMPs() {
-    const checks = [
-      ['OneTrust',      ()=>!!(window.OneTrust||document.getElementById('onetrust-banner-sdk')||document.querySelector('.onetrust-banner-sdk'))],
-      ['Cookiebot',     ()=>!!(window.Cookiebot||window.CookieConsent||document.getElementById('CybotCookiebotDialog'))],
-      ['Didomi',        ()=>!!(window.Didomi||document.getElementById('didomi-host'))],
-      ['Usercentrics',  ()=>!!(window.UC_UI||document.querySelector('[data-testid="uc-center-container"]')||document.querySelector('[id*="usercentrics"]')||document.querySelector('[class*="uc-banner"]'))],
-      ['TrustArc',      ()=>!!(window.truste||document.getElementById('truste-consent-track'))],
-      ['Quantcast',     ()=>!!(window.__qcCmpApi||document.getElementById('qc-cmp2-ui'))],
-      ['Sourcepoint',   ()=>!!(window._sp_||document.getElementById('sp_message_container')||document.querySelector('[id^="sp_message"]'))],
-      ['Axeptio',       ()=>!!(window.axeptio||document.getElementById('axeptio_overlay'))],
-      ['CookieYes',     ()=>!!document.querySelector('.cky-consent-container,[class*="cookieyes"]')],
-      ['Osano',         ()=>!!(window.Osano||document.querySelector('.osano-cm-window'))],
-      ['Termly',        ()=>!!document.querySelector('#termly-code-snippet-support')],
-      ['TCF/IAB',       ()=>!!(window.__tcfapi||window.__cmp||document.cookie.includes('FCCDCF'))],
-      ['Iubenda',       ()=>!!(window._iub||document.querySelector('.iubenda-cs-banner'))],
-      ['Complianz',     ()=>!!document.querySelector('.cmplz-cookiebanner')],
-      ['CookieLaw',     ()=>!!document.querySelector('.cc-window,.cc-banner')],
-      ['WP Cookie',     ()=>!!document.querySelector('#cookie-notice,.cookie-notice-container')],
-    ];
-    const detected = checks.filter(([,fn])=>{ try{return fn();}catch(_){return false;} }).map(([n])=>n);
+  /**
+   * Context handed to CMP adapter hooks (see cmp-adapters/registry.js).
+   * Built per call because R is replaced at the start of every run.
+   */
+  function cmpContext(doc = document) {
+    return {
+      win: window, doc, R,
+      main: loggedBridge,
+      has: path => pageGlobals.has(path),
+      isVisible, textOf, clickElement, sleep, logAction, isBannerVisible,
+      waitUntil, waitForSettle, waitForBannerGone,
+      TCF_PURPOSE_LABELS, MANDATORY_TCF_PURPOSES,
+      allowedTcfPurposes: new Set(tcfChoices.purposes),
+      tcfChoices,
+      keepsTcfChoices: VendorList.keepsAnything(tcfChoices),
+      keepsVendor: id => VendorList.keepsVendor(tcfChoices, id),
+      describeVendor: id => ({ label: VendorList.describe(id), retention: VendorList.retention(id) }),
+    };
+  }
+
+  // Ask the main-world bridge which CMP globals the page has defined
+  async function refreshPageGlobals() {
+    pageGlobals = await MainWorldBridge.probe(CMPRegistry.globalPaths());
+    return pageGlobals;
+  }
+
+  async function detectCMPs() {
+    await refreshPageGlobals();
+    const detected = CMPRegistry.detect(cmpContext());
 
     // Generic: any visible element with cookie/consent text
     if (detected.length===0) {
@@ -916,6 +1098,167 @@
     return el.tagName.toLowerCase();
   }
 
+  // ── Dark patterns ──────────────────────────────────────────────────────────
+  const CONSENT_LAYER_TEXT = /cookie|consent|privacy|partner|vendor|legitimate interest/i;
+
+  // Outermost visible consent modals (findAllModals() also returns their inner parts)
+  function visibleConsentLayers() {
+    const layers = findAllModals().filter(m => isVisible(m) && CONSENT_LAYER_TEXT.test(textOf(m)));
+    return layers.filter(m => !layers.some(other => other !== m && other.contains(m)));
+  }
+
+  // What the consent UI currently says, to tell a reject that closed the
+  // banner from one that moved on to another screen
+  function consentLayerText() {
+    return visibleConsentLayers().map(m => textOf(m).substring(0, 500)).join('|');
+  }
+
+  function noteRejectOutcome(label, before) {
+    const after = consentLayerText();
+    if (after && after !== before) {
+      DarkPatterns.add(R.darkPatterns, 'reject-leads-deeper', `"${label.substring(0, 40)}" opened another screen`);
+    }
+  }
+
+  /**
+   * First-layer dark patterns of the banner as the site shows it, before any
+   * phase clicks anything (dark-patterns.js); toggle patterns are added from
+   * the result when the run ends
+   */
+  function scanDarkPatterns() {
+    if (R.consentOrPay) DarkPatterns.add(R.darkPatterns, 'consent-wall', 'Accept or subscribe / pay to continue');
+    const root = document.documentElement;
+    const bodyLocked = [document.body, root].some(el => el && getComputedStyle(el).overflowY === 'hidden');
+    const viewport = { width: window.innerWidth, height: window.innerHeight };
+    const buttonSelector = 'button,[role="button"],a[class*="btn"],a[class*="button"],input[type="button"],input[type="submit"]';
+
+    for (const banner of visibleConsentLayers()) {
+      const buttons = [...banner.querySelectorAll(buttonSelector),
+        ...(banner.shadowRoot ? findInShadowDOM(banner.shadowRoot, buttonSelector) : [])].filter(isVisible);
+      if (buttons.length === 0) continue;
+      const ranked = classifyButtons(buttons);
+      if (ButtonClassifier.pick(ranked, 'accept')) R.firstLayerAccept = true;
+      for (const [id, evidence] of DarkPatterns.scanFirstLayer(banner, ranked, { bodyLocked, viewport })) {
+        DarkPatterns.add(R.darkPatterns, id, evidence);
+      }
+    }
+    if (R.darkPatterns.findings.length > 0) {
+      logAction(`Dark patterns on the first layer: ${R.darkPatterns.findings.map(f => DarkPatterns.label(f.id)).join(', ')}`);
+    }
+  }
+
+  // ── Evidence ───────────────────────────────────────────────────────────────
+  /**
+   * With "Capture evidence" on, ask background.js for a screenshot of the tab
+   * and hand it the cookies the page can see; both are stored with the run
+   * and exported from its history entry (evidence-bundle.js)
+   * @param {'before'|'after'} stage
+   */
+  async function captureEvidence(stage) {
+    if (!IS_TOP_FRAME || !R.evidence) return;
+    try {
+      const reply = await chrome.runtime.sendMessage({
+        type: 'CAPTURE_EVIDENCE', runId: R.runId, stage, url: window.location.href, cookies: readCookies(),
+      });
+      logAction(reply?.captured ? `Evidence: ${stage} screenshot captured` : `Evidence: no ${stage} screenshot (${reply?.error || 'no reply'})`);
+    } catch(err) {
+      logAction(`Evidence: ${stage} capture failed (${err.message})`);
+    }
+  }
+
+  // Names of the cookies visible to the page (HttpOnly ones are not). Values
+  // are left out: session and auth tokens must not end up in a shared bundle.
+  function readCookies() {
+    return document.cookie.split(/;\s*/).filter(Boolean).map(pair => {
+      const eq = pair.indexOf('=');
+      return {
+        name: eq < 0 ? pair : pair.substring(0, eq),
+        valueLength: eq < 0 ? 0 : pair.length - eq - 1,
+      };
+    });
+  }
+
+  // ── Cookie inventory ───────────────────────────────────────────────────────
+  const COOKIE_RECHECKS_KEY = 'cookieRechecks'; // domain → run waiting for its "after reload" snapshot
+  const COOKIE_RECHECK_WINDOW = 30 * 60 * 1000; // ms - a later load is no longer "the reload"
+
+  async function ensureCookiePurposes() {
+    if (CookieInventory.isLoaded()) return true;
+    const data = await chrome.runtime.sendMessage({ type: 'GET_COOKIE_PURPOSES' });
+    return data ? CookieInventory.load(data) > 0 : false;
+  }
+
+  /**
+   * Add one classified snapshot of the tab's cookies (all frames, HttpOnly
+   * included, read by background.js) to a report
+   * @returns {Promise<boolean>} Whether the snapshot was taken
+   */
+  async function snapshotCookies(report, stage) {
+    try {
+      if (!await ensureCookiePurposes()) return false;
+      const reply = await chrome.runtime.sendMessage({ type: 'GET_COOKIES' });
+      if (!reply?.cookies) return false;
+      CookieInventory.addStage(report, stage, reply.cookies);
+      return true;
+    } catch(_) {
+      return false;
+    }
+  }
+
+  async function recordCookies(stage) {
+    if (!IS_TOP_FRAME) return;
+    R.cookies = R.cookies || CookieInventory.create(window.location.hostname);
+    if (await snapshotCookies(R.cookies, stage)) {
+      logAction(`Cookies ${stage} the run: ${CookieInventory.describe(R.cookies.counts[stage])}`);
+    } else {
+      logAction(`Cookies: no snapshot ${stage} the run`);
+    }
+  }
+
+  /**
+   * Flag the tracking cookies a closed banner left behind, and leave the
+   * report for the next load of the site to add its "after reload" snapshot
+   */
+  function reportPersistingCookies() {
+    if (!R.cookies?.stages.after) return;
+    R.cookies.denied = R.bannerClosed;
+    const persisting = R.cookies.persisting;
+    if (R.bannerClosed && persisting.length > 0) {
+      const names = persisting.slice(0, 5).map(c => c.name).join(', ');
+      logAction(`⚠️ ${persisting.length} tracking cookie(s) still set after the denial: ${names}${persisting.length > 5 ? '…' : ''}`);
+    }
+    if (!R.bannerClosed) return;
+
+    const domain = getDomainKey(window.location.href);
+    const pending = { runId: R.runId, at: Date.now(), pageLoad: performance.timeOrigin, report: R.cookies };
+    chrome.storage.local.get(COOKIE_RECHECKS_KEY).then(data => {
+      const rechecks = Object.fromEntries(Object.entries(data[COOKIE_RECHECKS_KEY] || {})
+        .filter(([, entry]) => Date.now() - entry.at < COOKIE_RECHECK_WINDOW));
+      return chrome.storage.local.set({ [COOKIE_RECHECKS_KEY]: { ...rechecks, [domain]: pending } });
+    }).catch(() => {});
+  }
+
+  // First load of a site after a deny: which tracking cookies come back
+  async function recheckCookies() {
+    if (!IS_TOP_FRAME) return;
+    const domain = getDomainKey(window.location.href);
+    const data = await chrome.storage.local.get(COOKIE_RECHECKS_KEY);
+    const rechecks = data[COOKIE_RECHECKS_KEY] || {};
+    const pending = rechecks[domain];
+    // Same document as the run: not reloaded yet
+    if (!pending || pending.pageLoad === performance.timeOrigin) return;
+    delete rechecks[domain];
+    await chrome.storage.local.set({ [COOKIE_RECHECKS_KEY]: rechecks });
+    if (Date.now() - pending.at > COOKIE_RECHECK_WINDOW) return;
+
+    if (!await snapshotCookies(pending.report, 'reload')) return;
+    console.log(`[Guardr] Cookies after reload: ${CookieInventory.describe(pending.report.counts.reload)}, ` +
+                `${pending.report.persisting.length} tracking cookie(s) persist`);
+    try {
+      chrome.runtime.sendMessage({ type: 'COOKIE_RECHECK', runId: pending.runId, report: pending.report });
+    } catch(_) {}
+  }
+
   // ── Strategy 0: Try learned patterns first ────────────────────────────────
   async function tryLearnedPatterns() {
     const domain = getDomainKey(window.location.href);
@@ -955,9 +1298,7 @@
         if (button && isVisible(button)) {
           logAction(`Found learned pattern: "${pattern.text}" (used ${pattern.successCount} times)`);
           clickElement(button);
-          await sleep(500);
-          
-          const bannerGone = !isBannerVisible();
+          const bannerGone = await waitForBannerGone();
           R.bannerFound = true;
           R.bannerClosed = bannerGone;
           R.cmpMethod = 'learned-pattern';
@@ -1004,83 +1345,52 @@
     
     console.log(`[Guardr] Phase 1: Scanning ${clickables.length} clickable elements for deny buttons`);
 
-    // First pass: buttons inside known banner containers
-    for (const el of clickables) {
-      const text = textOf(el);
-      const attrs = [el.getAttribute('aria-label'),el.getAttribute('title'),el.id,String(el.className||'')].filter(Boolean).join(' ');
-      if (matchesPats(text,DENY_PATTERNS) || matchesPats(attrs,DENY_PATTERNS)) {
-        try {
-          if (el.closest(BANNER_SEL)) {
-            console.log(`[Guardr] Phase 1: Found deny button in banner: "${text || attrs}"`);
-            logAction(`Found deny button in banner: "${text || attrs}"`);
-            clickElement(el);
-            await sleep(500); // Wait for animation/processing
-            const bannerGone = !isBannerVisible();
-            R.bannerFound=true; 
-            R.bannerClosed=bannerGone; 
-            R.cmpMethod='button-click';
-            R.unchecked.push({label:`Clicked "${text||attrs}" button`,category:'Banner Action',type:'deny-all'});
-            logAction(bannerGone ? '✓ Banner closed successfully' : '⚠ Banner still visible after click');
-            
-            // Learn this pattern if successful
-            if (bannerGone && learnIfSuccessful) {
-              const domain = getDomainKey(window.location.href);
-              if (domain) {
-                await saveLearnedPattern(domain, {
-                  text: text || attrs,
-                  selector: getUniqueSelector(el),
-                  method: 'auto-learned'
-                });
-              }
-            }
-            
-            return true;
-          }
-        } catch(_){}
-      }
-    }
-
-    // Second pass: deny buttons by text anywhere on page (catches floating bars)
-    for (const el of clickables) {
-      const text = textOf(el);
-      if (matchesPats(text,DENY_PATTERNS)) {
-        // Guard: not inside nav/header content, and text is short (button-like)
-        const inNav = el.closest('nav,header') && !el.closest('[class*="banner"],[class*="consent"],[class*="cookie"]');
-        if (!inNav && text.length < 60) {
-          console.log(`[Guardr] Phase 1: Found deny button (2nd pass): "${text}"`);
-          logAction(`Found deny button: "${text}"`);
-          clickElement(el);
-          await sleep(1000); // Wait longer for animation/processing (OneTrust can be slow)
-          
-          // Check banner visibility with retry logic (animations can be delayed)
-          let bannerGone = !isBannerVisible();
-          if (!bannerGone) {
-            await sleep(500); // Wait another 500ms and check again
-            bannerGone = !isBannerVisible();
-          }
-          
-          R.bannerFound=true; 
-          R.bannerClosed=bannerGone; 
-          R.cmpMethod='button-click';
-          R.unchecked.push({label:`Clicked "${text}" button`,category:'Banner Action',type:'deny-all'});
-          logAction(bannerGone ? '✓ Banner closed successfully' : '⚠ Banner still visible after click');
-          
-          // Learn this pattern if successful
-          if (bannerGone && learnIfSuccessful) {
-            const domain = getDomainKey(window.location.href);
-            if (domain) {
-              await saveLearnedPattern(domain, {
-                text: text,
-                selector: getUniqueSelector(el),
-                method: 'auto-learned'
-              });
-            }
-          }
-          
-          return true;
+    // Score every clickable once; the first two passes pick from the ranking
+    const classified = classifyButtons(clickables);
+
+    const clickDeny = async ({ element, text, confidence, probabilities }, where) => {
+      const label = text || element.getAttribute('aria-label') || element.getAttribute('title') || element.id;
+      console.log(`[Guardr] Phase 1: Found deny button ${where}: "${label}"`);
+      logEvent('button-classified', `Found deny button ${where}: "${label}" (${confidence.toFixed(2)})`,
+        { selector: getUniqueSelector(element), text: label, classification: 'reject', confidence, probabilities: ButtonClassifier.round(probabilities) });
+      const layerBefore = consentLayerText();
+      clickElement(element, 'reject');
+      const bannerGone = await waitForBannerGone();
+      if (!bannerGone) noteRejectOutcome(label, layerBefore);
+      R.bannerFound=true; 
+      R.bannerClosed=bannerGone; 
+      R.cmpMethod='button-click';
+      R.unchecked.push({label:`Clicked "${label}" button`,category:'Banner Action',type:'deny-all'});
+      logAction(bannerGone ? '✓ Banner closed successfully' : '⚠ Banner still visible after click');
+      
+      // Learn this pattern if successful
+      if (bannerGone && learnIfSuccessful) {
+        const domain = getDomainKey(window.location.href);
+        if (domain) {
+          await saveLearnedPattern(domain, {
+            text: label,
+            selector: getUniqueSelector(element),
+            method: 'auto-learned'
+          });
         }
       }
-    }
+      return true;
+    };
+
+    // First pass: buttons inside known banner containers
+    const inBanner = classified.filter(({ element }) => {
+      try { return !!element.closest(BANNER_SEL); } catch(_) { return false; }
+    });
+    const bannerDeny = ButtonClassifier.pick(inBanner, 'reject');
+    if (bannerDeny) return clickDeny(bannerDeny, 'in banner');
+
+    // Second pass: deny buttons anywhere on page (catches floating bars)
+    // Guard: not inside nav/header content, and text is short (button-like)
+    const loose = classified.filter(({ element, text }) => text.length < 60 &&
+      !(element.closest('nav,header') && !element.closest('[class*="banner"],[class*="consent"],[class*="cookie"]')));
+    const pageDeny = ButtonClassifier.pick(loose, 'reject');
+    if (pageDeny) return clickDeny(pageDeny, '(2nd pass)');
+    logUnsure(classified, 'reject', 'Phase 1');
 
     // Third pass: known CMP deny selectors
     const knownDenySelectors = [
@@ -1122,14 +1432,7 @@
           const text = textOf(btn)||sel;
           logAction(`Clicking deny button: ${text} (selector: ${sel})`);
           clickElement(btn);
-          await sleep(1000); // Wait longer for animation/processing
-          
-          // Check banner visibility with retry logic
-          let bannerGone = !isBannerVisible();
-          if (!bannerGone) {
-            await sleep(500);
-            bannerGone = !isBannerVisible();
-          }
+          const bannerGone = await waitForBannerGone();
           
           R.bannerFound=true; 
           R.bannerClosed=bannerGone; 
@@ -1267,14 +1570,7 @@
           if (isDenyButton) {
             logAction(`Found Usercentrics deny button: "${cleanText}" (testId: ${dataTestId}) - clicking now`);
             clickElement(btn);
-            await sleep(1000); // Wait longer for Usercentrics animations
-            
-            // Check with retry
-            let bannerGone = !isBannerVisible();
-            if (!bannerGone) {
-              await sleep(500);
-              bannerGone = !isBannerVisible();
-            }
+            const bannerGone = await waitForBannerGone();
             
             R.bannerFound = true;
             R.bannerClosed = bannerGone;
@@ -1314,322 +1610,103 @@
   // ── Strategy 2: CMP API calls ──────────────────────────────────────────────
   async function tryCMPApis() {
     let hit = false;
+    await refreshPageGlobals(); // CMP may have finished loading since detection
 
-    // OneTrust - Try multiple approaches
-    try {
-      logAction('Checking OneTrust CMP...');
-      // First, try to find and click reject button directly (most reliable)
-      const oneTrustRejectBtn = document.querySelector(
-        '#onetrust-reject-all-handler,.onetrust-close-btn-handler,.save-preference-btn-handler,button[id*="onetrust"][id*="reject"]'
-      );
-      if (oneTrustRejectBtn && isVisible(oneTrustRejectBtn)) {
-        logAction('OneTrust: Clicking reject button directly');
-        oneTrustRejectBtn.click();
-        await sleep(500);
-        hit = true;
-        R.cmpMethod=R.cmpMethod||'button-click'; R.bannerFound=true; R.bannerClosed=true;
-        R.unchecked.push({label:'OneTrust: Reject button clicked',category:'CMP API',type:'deny-all'});
-        
-        // Try to close the banner
-        try {
-          window.OneTrust?.Close?.();
-          const banner = document.getElementById('onetrust-banner-sdk');
-          if (banner) banner.style.display = 'none';
-        } catch(_){}
-      } else if (window.OneTrust?.RejectAll) {
-        // Fallback to API
-        logAction('OneTrust: Calling RejectAll() API');
-        window.OneTrust.RejectAll(); 
-        await sleep(500);
-        hit=true;
-        R.cmpMethod=R.cmpMethod||'api'; R.bannerFound=true; R.bannerClosed=true;
-        R.unchecked.push({label:'OneTrust: RejectAll()',category:'CMP API',type:'deny-all'});
-        
-        try {
-          window.OneTrust?.Close?.();
-          const banner = document.getElementById('onetrust-banner-sdk');
-          if (banner) banner.style.display = 'none';
-        } catch(_){}
-      } else if (window.OneTrust && document.getElementById('onetrust-banner-sdk')) {
-        // OneTrust exists but no API - try button click
-        logAction('OneTrust: Opening preference center for manual rejection');
-        const btn = document.querySelector('#onetrust-pc-btn-handler');
-        if (btn && isVisible(btn)) {
-          btn.click();
-          await sleep(800); // Wait for preference center
-          const rejectAll = document.querySelector('.ot-pc-refuse-all-handler,button[class*="rejectAll"]');
-          if (rejectAll && isVisible(rejectAll)) {
-            logAction('OneTrust: Clicking reject all in preference center');
-            rejectAll.click();
-            await sleep(300);
-            hit = true;
-          }
-        }
-      }
-    } catch(_){}
-
-    // Cookiebot
-    try {
-      if (window.Cookiebot?.deny||window.CookieConsent?.deny) {
-        logAction('Cookiebot: Calling deny() API');
-        (window.Cookiebot?.deny||window.CookieConsent?.deny).call(window.Cookiebot||window.CookieConsent);
-        hit=true; R.cmpMethod=R.cmpMethod||'api';
-        R.unchecked.push({label:'Cookiebot: deny()',category:'CMP API',type:'deny-all'});
-      }
-    } catch(_){}
-
-    // Didomi
-    try {
-      if (window.Didomi?.setUserDisagreeToAll) {
-        logAction('Didomi: Calling setUserDisagreeToAll()');
-        window.Didomi.setUserDisagreeToAll(); hit=true; R.cmpMethod=R.cmpMethod||'api';
-        R.unchecked.push({label:'Didomi: setUserDisagreeToAll()',category:'CMP API',type:'deny-all'});
-      }
-    } catch(_){}
+    // Reject-all APIs would also drop what the preference profile keeps
+    const keepsSome = keepsSomething();
+    if (keepsSome) logAction('Phase 2: Preference profile set - only profile-aware CMP APIs run');
 
-    // Usercentrics (enhanced with multiple strategies)
-    try {
-      let ucHandled = false;
-      
-      // Strategy 1: API call
-      if (window.UC_UI?.denyAllConsents) {
-        logAction('Usercentrics: Calling UC_UI.denyAllConsents()');
-        window.UC_UI.denyAllConsents();
-        ucHandled = true;
-        hit = true;
-        R.cmpMethod = R.cmpMethod || 'api';
-        R.unchecked.push({label:'Usercentrics: denyAllConsents()',category:'CMP API',type:'deny-all'});
-      }
-      
-      // Strategy 2: Try alternative API methods
-      if (!ucHandled && window.UC_UI?.denyAll) {
-        logAction('Usercentrics: Calling UC_UI.denyAll()');
-        window.UC_UI.denyAll();
-        ucHandled = true;
+    for (const adapter of CMPRegistry.list()) {
+      if (!adapter.denyViaApi && !adapter.denyViaDom) continue;
+      if (keepsSome && !adapter.honorsProfile) continue;
+      const ctx = cmpContext();
+      try {
+        if (!await CMPRegistry.deny(adapter, ctx)) continue;
         hit = true;
-      }
-      
-      // Strategy 3: Try clicking deny button if API didn't work or isn't available
-      if (!ucHandled || !window.UC_UI) {
-        const ucDenySelectors = [
-          '[data-testid="uc-deny-all-button"]',
-          'button[data-testid="uc-deny-all-button"]',
-          '[data-testid="uc-deny-button"]',
-          'button[data-testid="uc-deny-button"]',
-          'button.sc-button-secondary',
-          'button[aria-label*="Deny"]',
-          'button[aria-label*="Reject"]',
-          'button.uc-deny-button',
-          'button[class*="uc-deny"]',
-          'button[id*="uc-deny"]',
-          '.uc-banner button:not([data-testid*="accept"])',
-          // Add specific text-based selectors for Usercentrics
-          'button[data-testid="uc-reject-all-button"]',
-          'button[data-testid*="reject"]',
-          'button.uc-list-button__deny',
-        ];
-        
-        for (const sel of ucDenySelectors) {
-          const btn = document.querySelector(sel);
-          if (btn && isVisible(btn)) {
-            const btnText = textOf(btn);
-            logAction(`Usercentrics: Clicking button "${btnText}" (${sel})`);
-            clickElement(btn);
-            await sleep(500);
-            ucHandled = true;
-            hit = true;
-            R.cmpMethod = R.cmpMethod || 'button-click';
-            R.unchecked.push({label:`Usercentrics: Clicked "${btnText}"`,category:'CMP Button',type:'deny-all'});
-            break;
-          }
-        }
-        
-        // Strategy 4: Try to find "Reject All" button by text within Usercentrics container
-        if (!ucHandled) {
-          logAction('Usercentrics: Trying text-based button search...');
-          const ucSelectors = [
-            '[id*="usercentrics"]',
-            '[class*="usercentrics"]',
-            '[data-testid*="uc-"]',
-            '[class*="uc-banner"]',
-            'usercentrics-cmp',
-            'usercentrics-banner'
-          ];
-          const ucContainers = document.querySelectorAll(ucSelectors.join(','));
-          
-          // Recursive shadow DOM search helper
-          const findButtonsInShadowRecursive = (root, depth = 0) => {
-            if (depth > 3) return [];
-            let buttons = [];
-            const directButtons = Array.from(root.querySelectorAll('button,[role="button"]')).filter(isVisible);
-            buttons.push(...directButtons);
-            const allElements = root.querySelectorAll('*');
-            for (const el of allElements) {
-              if (el.shadowRoot) {
-                buttons.push(...findButtonsInShadowRecursive(el.shadowRoot, depth + 1));
-              }
-            }
-            return buttons;
-          };
-          
-          for (const container of ucContainers) {
-            // More lenient visibility check for custom elements
-            const rect = container.getBoundingClientRect();
-            const style = window.getComputedStyle(container);
-            const isActuallyVisible = rect.width > 0 && rect.height > 0 && 
-                                       style.display !== 'none' && 
-                                       style.visibility !== 'hidden' &&
-                                       parseFloat(style.opacity) > 0;
-            
-            if (!isActuallyVisible) continue;
-            
-            // Check for shadow DOM with recursive search
-            let buttons = [];
-            if (container.shadowRoot) {
-              console.log('[Guardr] Phase 2: Found Shadow DOM in Usercentrics, scanning inside...');
-              buttons = findButtonsInShadowRecursive(container.shadowRoot);
-            } else {
-              buttons = Array.from(container.querySelectorAll('button,[role="button"]')).filter(isVisible);
-              // Also check children for shadow roots
-              const children = container.querySelectorAll('*');
-              for (const child of children) {
-                if (child.shadowRoot) {
-                  buttons.push(...findButtonsInShadowRecursive(child.shadowRoot));
-                }
-              }
-            }
-            
-            console.log(`[Guardr] Phase 2 Usercentrics: Found ${buttons.length} buttons in container${container.shadowRoot ? ' (shadow DOM)' : ''}`);
-            
-            for (const btn of buttons) {
-              const text = textOf(btn).trim();
-              const dataTestId = btn.getAttribute('data-testid') || '';
-              const ariaLabel = btn.getAttribute('aria-label') || '';
-              
-              console.log('[Guardr] Phase 2 Usercentrics button:', {
-                text: text.substring(0, 40),
-                dataTestId,
-                ariaLabel
-              });
-              
-              // Look for "Reject All" or similar deny text, or deny-related attributes
-              const isDeny = /^reject\s*all$/i.test(text) || 
-                           /^deny\s*all$/i.test(text) || 
-                           /^refuse\s*all$/i.test(text) ||
-                           /decline.*all/i.test(text) ||
-                           dataTestId.includes('deny') ||
-                           dataTestId.includes('reject') ||
-                           ariaLabel.toLowerCase().includes('deny') ||
-                           ariaLabel.toLowerCase().includes('reject');
-              
-              if (isDeny) {
-                logAction(`Usercentrics: Found "${text || dataTestId}" button by enhanced search`);
-                clickElement(btn);
-                await sleep(1000);
-                
-                // Check with retry
-                let bannerGone = !isBannerVisible();
-                if (!bannerGone) {
-                  await sleep(500);
-                  bannerGone = !isBannerVisible();
-                }
-                
-                hit = true;
-                ucHandled = true;
-                R.bannerFound = true;
-                R.bannerClosed = bannerGone;
-                R.cmpMethod = R.cmpMethod || 'button-click';
-                R.unchecked.push({label:`Usercentrics: Clicked "${text || dataTestId}" button`,category:'CMP Button',type:'deny-all'});
-                logAction(bannerGone ? '✓ Banner closed successfully' : '⚠ Banner still visible after click');
-                break;
-              }
-            }
-            if (ucHandled) break;
-          }
+        const closed = CMPRegistry.isClosed(adapter, ctx);
+        if (closed !== null) {
+          logAction(`${adapter.name}: ${closed ? 'UI closed' : 'UI still visible'} after deny`);
         }
+      } catch(err) {
+        if (RunController.isAbort(err)) throw err;
+        logEvent('error', `${adapter.name} error: ${err.message}`, { message: err.message });
       }
-      
-      if (ucHandled) {
-        // Already checked above, no need to check again
-      } else {
-        logAction('⚠ Usercentrics: No API or deny button found');
-      }
-    } catch(err) {
-      logAction(`Usercentrics error: ${err.message}`);
     }
 
-    // Osano
-    try { if(window.Osano?.cm?.deny){window.Osano.cm.deny();hit=true;} } catch(_){}
+    return hit;
+  }
 
-    // Iubenda
-    try { if(window._iub?.cs?.api?.rejectAll){window._iub.cs.api.rejectAll();hit=true;} } catch(_){}
+  // ── Strategy 2b: Legitimate-interest objection ─────────────────────────────
+  const LI_VIEW_PATTERNS = [
+    /^(view |manage |show )?legitimate interests?( purposes| vendors)?$/i,
+    /^int[ée]r[êe]ts? l[ée]gitimes?$/i, /^berechtigte[sn]? interessen?$/i,
+    /^inter[ée]s(es)? leg[ií]timos?$/i, /^legittimi? interess[ei]$/i, /^gerechtvaardigd belang$/i,
+  ];
+  const LI_OBJECT_PATTERNS = [
+    /^object( to)?( all)?$/i, /^s'opposer( à tout)?$/i, /^(allen |alle )?widersprechen$/i,
+    /^oponerse( a todo)?$/i, /^opporsi( a tutto)?$/i, /^bezwaar maken( tegen alles)?$/i,
+  ];
 
-    // Sourcepoint
-    try {
-      if (window._sp_?.pushData) {
-        logAction('Sourcepoint: Calling pushData(\'reject_all\')');
-        window._sp_.pushData('reject_all');
-        hit = true;
-        R.unchecked.push({label:'Sourcepoint: reject_all',category:'CMP API',type:'deny-all'});
-      }
-    } catch(_){}
+  /**
+   * Phase 2.5: a bare "Reject all" often leaves legitimate interest on
+   * (OneTrust, Quantcast), so object explicitly: every detected adapter's
+   * objectLegitimateInterest() hook first, then the page's own LI view
+   * @returns {Promise<number>} LI objections made
+   */
+  async function objectLegitimateInterest() {
+    startPhase('2.5', 'Objecting to legitimate interest');
+    if (tcfChoices.legitimateInterest) {
+      logAction('Phase 2.5: Preference profile keeps legitimate interest - not objecting');
+      return 0;
+    }
+    await refreshPageGlobals();
+
+    const results = await CMPRegistry.objectLegitimateInterest(cmpContext());
+    const via = results.filter(r => r.count > 0).map(r => r.name);
+    let count = results.reduce((sum, r) => sum + r.count, 0);
+    if (count === 0) {
+      count = await objectLegitimateInterestInPage();
+      if (count > 0) via.push('page');
+    }
 
-    // Quantcast - Enhanced handling
-    try { 
-      if(window.__qcCmpApi){
-        logAction('Quantcast: Calling setConsentedToAll(false)');
-        window.__qcCmpApi('setConsentedToAll',false,null);
-        await sleep(300);
-        // Also try to close the UI
-        const qcUI = document.getElementById('qc-cmp2-ui');
-        if (qcUI) qcUI.style.display = 'none';
-        hit=true;
-        R.cmpMethod=R.cmpMethod||'api';
-        R.unchecked.push({label:'Quantcast: setConsentedToAll(false)',category:'CMP API',type:'deny-all'});
-      } 
-    } catch(_){}
+    R.liObjection = { count, via };
+    logAction(count > 0
+      ? `✓ Phase 2.5: ${count} legitimate-interest objection(s) via ${via.join(', ')}`
+      : 'Phase 2.5: No legitimate interest left to object to');
+    return count;
+  }
 
-    // IAB TCF v2 — read and report purposes, then try to reject
-    try {
-      if (window.__tcfapi) {
-        logAction('TCF/IAB: Attempting rejectAll()');
-        // First try to reject all via TCF API
-        let tcfSuccess = false;
-        await new Promise(resolve=>{
-          window.__tcfapi('rejectAll', 2, (success) => {
-            if (success) {
-              logAction('TCF/IAB: rejectAll() succeeded');
-              tcfSuccess = true;
-              hit = true;
-              R.unchecked.push({label:'TCF: rejectAll()',category:'CMP API',type:'deny-all'});
-            }
-            resolve();
-          });
-          setTimeout(resolve, 1000); // Timeout fallback
-        });
-        
-        // Read TCF data for reporting
-        await new Promise(resolve=>{
-          window.__tcfapi('getTCData',2,(tcData,success)=>{
-            if(!success||!tcData){resolve();return;}
-            R.cmpMethod=R.cmpMethod||'api';
-            Object.entries(tcData?.purpose?.consents||{}).forEach(([id,consented])=>{
-              const n=parseInt(id);
-              if(MANDATORY_TCF_PURPOSES.has(n)){if(consented)R.mandatory.push({label:TCF_PURPOSE_LABELS[n]||`Purpose ${id}`,category:'TCF (mandatory)',type:'consent'});}
-              else if(consented && !tcfSuccess){R.unchecked.push({label:TCF_PURPOSE_LABELS[n]||`Purpose ${id}`,category:'TCF Purpose',type:'consent'});}
-            });
-            Object.entries(tcData?.purpose?.legitimateInterests||{}).forEach(([id,hasLI])=>{
-              if(!MANDATORY_TCF_PURPOSES.has(parseInt(id))&&hasLI && !tcfSuccess)
-                R.unchecked.push({label:TCF_PURPOSE_LABELS[parseInt(id)]||`Purpose ${id}`,category:'TCF Purpose',type:'legitimate interest'});
-            });
-            resolve();
-          });
-        });
-        hit=true;
-      }
-    } catch(_){}
-
-    return hit;
+  /**
+   * Open a visible "Legitimate interest" tab/link, then click "Object all" or
+   * switch off the toggles it shows, and save
+   * @returns {Promise<number>}
+   */
+  async function objectLegitimateInterestInPage() {
+    if (!isBannerVisible()) return 0;
+    const view = Array.from(document.querySelectorAll('button,[role="button"],[role="tab"],a'))
+      .find(el => isVisible(el) && matchesPats(textOf(el), LI_VIEW_PATTERNS));
+    if (!view) return 0;
+
+    const section = textOf(view);
+    logAction(`Phase 2.5: Opening "${section}"`);
+    clickElement(view);
+    await waitForSettle(MAX_WAIT_PER_SECTION, `"${section}"`, { requireChange: true });
+
+    const objectBtn = Array.from(document.querySelectorAll('button,[role="button"]'))
+      .find(el => isVisible(el) && matchesPats(textOf(el), LI_OBJECT_PATTERNS));
+    let count = 0;
+    if (objectBtn) {
+      logAction(`Phase 2.5: Clicking "${textOf(objectBtn)}"`);
+      R.unchecked.push({label:`Clicked "${textOf(objectBtn)}"`,category:'Legitimate Interest',type:'legitimate interest',section});
+      clickElement(objectBtn);
+      count = 1;
+      await waitForSettle(300, 'objection to apply');
+    } else {
+      const parent = view.closest('[role="tablist"],[class*="tabs"],[class*="nav"]')?.parentElement || document;
+      count = scrapeToggles('Legitimate Interest', parent);
+    }
+    if (count > 0 && tryConfirm()) R.bannerClosed = true;
+    return count;
   }
 
   // ── Strategy 3: Toggle scraping ────────────────────────────────────────────
@@ -1669,12 +1746,14 @@
       }
 
       const checked=toggle.type==='checkbox'?toggle.checked:toggle.getAttribute('aria-checked')==='true';
+      const lo=`${all} ${section}`.toLowerCase();
+      const cat=lo.includes('legitimate interest')?'Legitimate Interest'
+               :lo.includes('special feature')?'Special Feature'
+               :lo.includes('vendor')?'Vendor Consent':'Consent';
       if(checked){
-        const lo=all.toLowerCase();
-        const cat=lo.includes('legitimate interest')?'Legitimate Interest'
-                 :lo.includes('special feature')?'Special Feature'
-                 :lo.includes('vendor')?'Vendor Consent':'Consent';
-        if(safeUncheck(toggle,label,cat,'consent',section)) count++;
+        if(safeUncheck(toggle,label,cat,cat==='Legitimate Interest'?'legitimate interest':'consent',section)) count++;
+      } else {
+        keepForProfile(toggle,label,cat,section); // Switch on what the profile keeps
       }
     });
     return count;
@@ -1682,7 +1761,7 @@
 
   // ── Strategy 3b: Multi-tab/section navigation ──────────────────────────────
   async function navigateAndScrapeAllSections() {
-    if(Date.now() - operationStartTime > MAX_TOTAL_RUNTIME) return 0;
+    if(runOutOfTime()) return 0;
     
     let totalUnchecked = 0;
     
@@ -1730,7 +1809,7 @@
 
     // Click tabs and scrape each
     for(const {el, text, type} of tabsToClick) {
-      if(Date.now() - operationStartTime > MAX_TOTAL_RUNTIME) break;
+      if(runOutOfTime()) break;
       
       try {
         const alreadyActive = el.getAttribute('aria-selected')==='true' || 
@@ -1738,12 +1817,12 @@
                              el.classList.contains('selected');
         
         if(!alreadyActive) {
+          logClick(el);
           el.click();
-          await sleep(MAX_WAIT_PER_SECTION);
+          await waitForSettle(MAX_WAIT_PER_SECTION, `tab "${text}"`, { requireChange: true });
           R.sectionsProcessed.push(`${type}: ${text}`.substring(0,60));
           
           // After clicking tab, check for newly appeared deny/disagree buttons
-          await sleep(200); // Extra time for dynamic content
           const parent = el.closest('[role="tabpanel"],[class*="panel"],[class*="content"]')?.parentElement || document;
           const denyFound = await tryDenyButtonInContext(parent, text);
           if(denyFound && R.bannerClosed) {
@@ -1764,15 +1843,16 @@
 
     // Expand accordion sections
     for(const {el, text} of sectionsToClick) {
-      if(Date.now() - operationStartTime > MAX_TOTAL_RUNTIME) break;
+      if(runOutOfTime()) break;
       
       try {
         const isExpanded = el.getAttribute('aria-expanded')==='true' ||
                           el.classList.contains('expanded');
         
         if(!isExpanded) {
+          logClick(el);
           el.click();
-          await sleep(300);
+          await waitForSettle(300, `section "${text}"`, { requireChange: true });
           R.sectionsProcessed.push(`section: ${text}`.substring(0,60));
           
           const parent = el.closest('[class*="accordion"],[class*="section"]') || el.parentElement;
@@ -1804,9 +1884,7 @@
         try {
           logAction(`Found deny button "${text}" in section: ${sectionName}`);
           clickElement(btn);
-          await sleep(500);
-          
-          const bannerGone = !isBannerVisible();
+          const bannerGone = await waitForBannerGone(500);
           R.unchecked.push({
             label: `Clicked "${text}" in ${sectionName}`,
             category: 'Banner Action',
@@ -1828,9 +1906,10 @@
 
   // ── Strategy 3c: Iframe scanning ───────────────────────────────────────────
   async function scanIframes() {
-    if(Date.now() - operationStartTime > MAX_TOTAL_RUNTIME) return 0;
+    if(runOutOfTime()) return 0;
     
     let count = 0;
+    let crossOrigin = 0;
     const iframes = document.querySelectorAll('iframe');
     
     for(const iframe of iframes) {
@@ -1839,7 +1918,11 @@
       try {
         // Try to access iframe content (same-origin only)
         const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-        if(!iframeDoc) continue;
+        if(!iframeDoc) {
+          crossOrigin++;
+          logAction(`Phase 5: Cross-origin iframe ${frameLabel(iframe.src)} - handing off to its frame script`);
+          continue;
+        }
         
         R.iframesScanned++;
         
@@ -1860,6 +1943,7 @@
         for(const btn of iframeBtns) {
           const text = textOf(btn);
           if(matchesPats(text, DENY_PATTERNS)) {
+            logClick(btn, 'reject');
             btn.click();
             R.unchecked.push({
               label: `Clicked "${text}" in iframe`,
@@ -1877,14 +1961,554 @@
         count += iframeCount;
         
       } catch(err) {
-        // Cross-origin iframe, skip silently
+        crossOrigin++;
+        logAction(`Phase 5: Cross-origin iframe ${frameLabel(iframe.src)} - handing off to its frame script`);
         continue;
       }
     }
     
+    // Cross-origin frames can only be reached by the content script running inside them
+    if (crossOrigin > 0) {
+      count += await denyInChildFrames();
+    }
+    
+    return count;
+  }
+
+  function frameLabel(url) {
+    try {
+      return new URL(url).hostname || 'about:blank';
+    } catch {
+      return 'about:blank';
+    }
+  }
+
+  /**
+   * Ask the background worker to run the deny flow in every child frame of this
+   * tab and merge what each frame did into R
+   * @returns {Promise<number>} Number of items denied inside child frames
+   */
+  async function denyInChildFrames() {
+    const remaining = MAX_TOTAL_RUNTIME - (Date.now() - operationStartTime);
+    const timeoutMs = Math.min(FRAME_DENY_TIMEOUT, remaining);
+    if (timeoutMs <= 0) return 0;
+
+    let frames = [];
+    try {
+      frames = await chrome.runtime.sendMessage({
+        type: 'DENY_IN_FRAMES', timeoutMs, policy: sitePolicy, profile: PreferenceProfile.serialize(profile), tcfChoices,
+      }) || [];
+    } catch(err) {
+      logEvent('error', `Phase 5: Child frame deny failed: ${err.message}`, { message: err.message });
+      return 0;
+    }
+
+    let count = 0;
+    for (const { frameId, url, result } of frames) {
+      count += mergeFrameResult(frameId, url, result);
+    }
     return count;
   }
 
+  function mergeFrameResult(frameId, url, result) {
+    const host = frameLabel(url);
+    const tag = item => ({ ...item, section: item.section ? `${host} / ${item.section}` : host, frameId });
+
+    R.iframesScanned++;
+    R.unchecked.push(...(result.unchecked || []).map(tag));
+    R.mandatory.push(...(result.mandatory || []).map(tag));
+    R.errors.push(...(result.errors || []).map(tag));
+    R.totalTogglesFound += result.totalTogglesFound || 0;
+    if (result.cmpDetected) {
+      const label = `${result.cmpDetected} (${host})`;
+      R.cmpDetected = R.cmpDetected ? `${R.cmpDetected}, ${label}` : label;
+    }
+    R.cmpMethod = R.cmpMethod || result.cmpMethod;
+    if (result.bannerFound) R.bannerFound = true;
+    if (result.bannerClosed) R.bannerClosed = true;
+    if (result.darkPatterns) DarkPatterns.merge(R.darkPatterns, result.darkPatterns, host);
+    if (result.firstLayerAccept) R.firstLayerAccept = true;
+    if (result.liObjection?.count > 0) {
+      R.liObjection = {
+        count: (R.liObjection?.count || 0) + result.liObjection.count,
+        via: [...(R.liObjection?.via || []), ...result.liObjection.via.map(name => `${name} (${host})`)],
+      };
+    }
+
+    for (const entry of result.actionLog || []) {
+      logEvent(ActionLog.typeOf(entry), `[${host}] ${entry.action}`, entry);
+    }
+
+    const denied = (result.unchecked || []).length;
+    R.frames.push({ frameId, url, cmp: result.cmpDetected, denied, bannerClosed: !!result.bannerClosed });
+    logAction(`Phase 5: Frame ${host} denied ${denied} item(s)${result.bannerClosed ? ', banner closed' : ''}`);
+    return denied;
+  }
+
+  /**
+   * Child-frame entry point for RUN_FRAME_DENY. Frames without a CMP (ads,
+   * video embeds...) are skipped so the deny phases never touch them.
+   * @param {string} policy - The top frame's site policy
+   * @param {object} profileData - The top frame's preference profile (serialized)
+   * @param {object} choices - The top frame's resolved TCF choices
+   * @param {object} run - From RunController
+   */
+  async function runFrameDeny(policy, profileData, choices, run) {
+    sitePolicy = policy || SitePolicy.DEFAULT;
+    profile = PreferenceProfile.deserialize(profileData);
+    tcfChoices = choices || VendorList.resolve(VendorList.defaultChoices(), profile);
+    const cmps = await detectCMPs();
+    if (cmps.length === 0 && !isBannerVisible()) return { skipped: true };
+    return runDeny(run);
+  }
+
+  // ── Vendor list ────────────────────────────────────────────────────────────
+  /**
+   * Load the Global Vendor List once per page so vendor ids resolve to names,
+   * purposes and retention: the imported GVL / bundled sample from
+   * background.js, then the CMP's own list when that is only the sample or
+   * vendors the user listed are missing from it
+   */
+  async function ensureVendorList() {
+    if (VendorList.vendors.size === 0) {
+      try {
+        const reply = await chrome.runtime.sendMessage({ type: 'GET_VENDOR_LIST' });
+        const loaded = reply ? VendorList.load(reply.gvl, reply.source) : 0;
+        if (loaded > 0) logAction(VendorList.sample
+          ? `Loaded the bundled vendor sample (${loaded} vendors, not the full GVL)`
+          : `Loaded ${loaded} vendors from the ${reply.source} vendor list (v${VendorList.version})`);
+      } catch(err) {
+        logAction(`Vendor list unavailable: ${err.message}`);
+      }
+    }
+
+    // Vendor choices need IAB ids for the vendor names CMP panels show; the
+    // sample names too few vendors to stand in for the page's list
+    const missing = tcfChoices.vendors.filter(id => !VendorList.name(id));
+    if ((missing.length > 0 || VendorList.sample) && VendorList.source !== 'cmp') {
+      const loaded = await VendorList.loadFromCMP(MainWorldBridge);
+      if (loaded > 0) logAction(`Loaded ${loaded} vendors from the CMP's vendor list (v${VendorList.version})`);
+    }
+  }
+
+  // ── Consent reset ──────────────────────────────────────────────────────────
+  const CONSENT_RESET_KEY = 'guardr_consent_reset'; // sessionStorage: no auto-deny after a reset
+
+  /**
+   * Remove one adapter storageKeys entry (see cmp-adapters/registry.js).
+   * Cookies are expired on every parent domain they could have been set on.
+   * @returns {string[]} Names of the keys that were present
+   */
+  function clearStorageKey({ type, name, pattern }) {
+    try {
+      if (type === 'localStorage') {
+        const keys = name ? [name] : Object.keys(localStorage).filter(key => pattern.test(key));
+        const present = keys.filter(key => localStorage.getItem(key) !== null);
+        present.forEach(key => localStorage.removeItem(key));
+        return present.map(key => `localStorage ${key}`);
+      }
+
+      const cookieNames = document.cookie.split(';').map(c => c.split('=')[0].trim()).filter(Boolean);
+      const present = cookieNames.filter(cookie => name ? cookie === name : pattern.test(cookie));
+      const labels = window.location.hostname.split('.');
+      const domains = labels.slice(0, -1).map((_, i) => labels.slice(i).join('.'));
+      for (const cookie of present) {
+        document.cookie = `${cookie}=; path=/; max-age=0`;
+        domains.forEach(domain => { document.cookie = `${cookie}=; path=/; domain=${domain}; max-age=0`; });
+      }
+      return present.map(cookie => `cookie ${cookie}`);
+    } catch(_) {
+      return []; // Storage blocked (sandboxed frame)
+    }
+  }
+
+  /**
+   * Undo Guardr on this site: clear every CMP's consent cookies and storage
+   * keys, forget the consent seed, and reopen the CMP so the user can choose
+   * again. Auto mode stays off for the rest of this tab session.
+   * HttpOnly cookies cannot be cleared from here.
+   * @returns {Promise<{cleared: string[], reopened: string[]}>}
+   */
+  async function resetConsent() {
+    RunController.cancel('reset'); // a run in progress would answer the CMP again
+    const domain = getDomainKey(window.location.href);
+    const cleared = new Set();
+    for (const adapter of CMPRegistry.list()) {
+      for (const key of adapter.storageKeys || []) {
+        clearStorageKey(key).forEach(entry => cleared.add(entry));
+      }
+    }
+    await ConsentSeeder.forget(domain);
+
+    try {
+      sessionStorage.setItem(CONSENT_RESET_KEY, 'true');
+      sessionStorage.removeItem(AUTO_HANDLED_KEY);
+    } catch(_) {}
+
+    BannerPrehide.remove(); // The reopened dialog must be visible
+    await refreshPageGlobals();
+    const reopened = await CMPRegistry.reopen(cmpContext());
+    console.log(`[Guardr] Consent reset on ${domain}: cleared ${cleared.size} key(s), reopened ${reopened.join(', ') || 'nothing'}`);
+    return { cleared: [...cleared], reopened };
+  }
+
+  // ── Post-deny audit: stored TC string ──────────────────────────────────────
+  /**
+   * Find the TC string the CMP stored: getTCData through the main-world
+   * bridge first, then the euconsent-v2 cookie, then localStorage
+   * @returns {Promise<{source: string, tcString: string}|null>}
+   */
+  async function readStoredTCString() {
+    const reply = await MainWorldBridge.tcf('getTCData');
+    if (reply?.success && TCString.looksLikeTCString(reply.data?.tcString)) {
+      return { source: '__tcfapi getTCData', tcString: reply.data.tcString };
+    }
+
+    const cookie = document.cookie.match(/(?:^|;\s*)euconsent-v2=([^;]*)/);
+    if (cookie) {
+      const value = decodeURIComponent(cookie[1]);
+      if (TCString.looksLikeTCString(value)) return { source: 'euconsent-v2 cookie', tcString: value };
+    }
+
+    try {
+      for (const key of Object.keys(localStorage)) {
+        if (!/consent|tcf|tcstring/i.test(key)) continue;
+        const value = localStorage.getItem(key);
+        if (TCString.looksLikeTCString(value)) return { source: `localStorage "${key}"`, tcString: value };
+      }
+    } catch(_) {} // localStorage can be blocked in sandboxed frames
+
+    return null;
+  }
+
+  async function auditTCString() {
+    const stored = await readStoredTCString();
+    if (!stored) return;
+
+    try {
+      const decoded = TCString.decode(stored.tcString);
+      const allowed = new Set([...MANDATORY_TCF_PURPOSES, ...tcfChoices.purposes]);
+      const { verified, granted } = TCString.verify(decoded, allowed, {
+        specialFeatures: new Set(tcfChoices.specialFeatures),
+        vendor: id => VendorList.keepsVendor(tcfChoices, id),
+      });
+      // Name the vendors still holding consent or LI
+      const named = ids => ids.filter(id => !VendorList.keepsVendor(tcfChoices, id))
+        .slice(0, TCF_AUDIT_VENDOR_LIMIT)
+        .map(id => ({ id, label: VendorList.describe(id), retention: VendorList.retention(id) }));
+      const grantedVendors = { consents: named(decoded.vendorConsents), legitimateInterests: named(decoded.vendorLegitimateInterests) };
+      R.tcfAudit = { source: stored.source, hash: TCString.hash(stored.tcString), ...decoded, verified, granted, grantedVendors };
+
+      if (verified) {
+        logAction(`✓ TCF audit (${stored.source}): no consents or legitimate interests left`);
+      } else {
+        logAction(`⚠ TCF audit (${stored.source}): purposes [${granted.purposeConsents.join(',')}] consented, ` +
+                  `LI [${granted.purposeLegitimateInterests.join(',')}], ` +
+                  `${granted.vendorConsents} vendor consents, ${granted.vendorLegitimateInterests} vendor LI`);
+      }
+    } catch(err) {
+      R.tcfAudit = { source: stored.source, hash: TCString.hash(stored.tcString), error: err.message };
+      logAction(`TCF audit: could not decode TC string (${err.message})`);
+    }
+  }
+
+  // ── Phase 7: Post-deny verification ────────────────────────────────────────
+  // Cookie values some CMPs write only after "Accept"
+  const CONSENT_ACCEPT_COOKIES = [
+    /(?:^|;\s*)(cookieconsent_status=allow)/i,
+    /(?:^|;\s*)(cookie_?consent=(?:true|yes|all|accepted?))(?:;|$)/i,
+    /(?:^|;\s*)(cookies?_accepted=(?:true|yes|1))(?:;|$)/i,
+    /(?:^|;\s*)(cmplz_marketing=allow)/i,
+    /(?:^|;\s*)(cookielawinfo-checkbox-(?:advertisement|analytics)=yes)/i,
+  ];
+
+  /**
+   * Google Consent Mode v2 state from gtag('consent', 'default'|'update', ...)
+   * @returns {Promise<object|null>} { source, defaults, updates, current } or null
+   *   when the page does not use Consent Mode
+   */
+  async function readConsentMode() {
+    const raw = await MainWorldBridge.consentMode();
+    if (!raw) return null;
+
+    const pick = params => Object.fromEntries(CONSENT_MODE_SIGNALS
+      .filter(signal => params?.[signal] === 'granted' || params?.[signal] === 'denied')
+      .map(signal => [signal, params[signal]]));
+
+    const defaults = {};
+    const updates = [];
+    for (const { command, params } of raw.events) {
+      const values = pick(params);
+      if (command === 'default') {
+        // Region-scoped defaults only fill in what the global default left unset
+        for (const [signal, value] of Object.entries(values)) {
+          if (!params.region || !(signal in defaults)) defaults[signal] = value;
+        }
+      } else {
+        updates.push(values);
+      }
+    }
+    const current = Object.assign({}, defaults, ...updates);
+
+    // gtag's own bookkeeping is authoritative when present
+    let source = 'dataLayer';
+    if (raw.ics) {
+      for (const signal of CONSENT_MODE_SIGNALS) {
+        const entry = raw.ics[signal];
+        const value = entry?.update ?? entry?.default;
+        if (typeof value === 'boolean') {
+          current[signal] = value ? 'granted' : 'denied';
+          source = 'google_tag_data.ics';
+        }
+      }
+    }
+
+    if (Object.keys(current).length === 0) return null;
+    return { source, defaults, updates: updates.length, current };
+  }
+
+  function describeConsentMode(state) {
+    return CONSENT_MODE_SIGNALS.map(signal => `${signal}=${state[signal] || 'unset'}`).join(', ');
+  }
+
+  // ── Global Privacy Control ─────────────────────────────────────────────────
+  let gpcAssessment = null; // Promise, created once per page
+
+  /**
+   * With privacy signals on, judge whether the site honoured GPC from the page
+   * as it loaded: no banner and nothing granted means honoured. Runs once per
+   * page, either on a timer after load or at the start of the first run.
+   * @returns {Promise<object|null>} { status: honored | prompted | ignored, ... }
+   */
+  function assessGpc() {
+    if (!gpcAssessment) gpcAssessment = judgeGpc();
+    return gpcAssessment;
+  }
+
+  async function judgeGpc() {
+    if (!IS_TOP_FRAME) return null;
+    const { privacySignals } = await chrome.storage.local.get('privacySignals');
+    if (!privacySignals) return null;
+
+    const bannerVisible = isBannerVisible();
+    const state = await inspectConsentState();
+    let status;
+    if (bannerVisible) status = 'prompted';
+    else if (state.verdict === 'verified') status = 'honored';
+    else if (state.verdict === 'unverified') return null; // No banner, no readable state: can't tell
+    else status = 'ignored';
+
+    const result = { status, bannerVisible, verdict: state.verdict, checkedAt: Date.now() };
+    logAction(`GPC: site ${status} the signal (banner ${bannerVisible ? 'shown' : 'not shown'}, consent state ${state.verdict})`);
+    try {
+      chrome.runtime.sendMessage({ type: 'GPC_STATUS', data: { ...result, url: window.location.href } });
+    } catch(_) {}
+    return result;
+  }
+
+  // ── Consent drift ──────────────────────────────────────────────────────────
+  /**
+   * On a page where no run happens, tell the background what the CMP has
+   * stored so it can compare it with the consent ledger: consent that flipped
+   * to "accepted" without a run is drift. Skipped while a banner is up - that
+   * is a re-prompt, which the run answering it reports.
+   */
+  async function reportConsentState() {
+    if (!IS_TOP_FRAME || operationStartTime || isBannerVisible()) return;
+    await refreshPageGlobals();
+    const cmps = CMPRegistry.detect(cmpContext());
+    if (cmps.length === 0) return;
+
+    const state = await inspectConsentState();
+    if (operationStartTime) return; // A run started meanwhile; it reports instead
+    const granted = [...new Set(state.sources.flatMap(src => src.granted))];
+    try {
+      chrome.runtime.sendMessage({ type: 'CONSENT_OBSERVED', data: {
+        url: window.location.href,
+        cmp: cmps.join(', '),
+        tcHash: R.tcfAudit?.hash || null,
+        vendorListVersion: R.tcfAudit?.vendorListVersion ?? null,
+        verdict: state.verdict,
+        granted: granted.slice(0, 20),
+        acceptedAll: state.sources.some(src => src.acceptedAll),
+        observedAt: state.checkedAt,
+      }});
+    } catch(_) {}
+  }
+
+  // Labels of non-essential toggles still switched on in a visible privacy panel,
+  // or null when no such panel is open (no evidence either way)
+  function findStillCheckedToggles() {
+    let sawPanel = false;
+    const checked = [];
+    for (const panel of findAllModals()) {
+      if (!isVisible(panel)) continue;
+      const text = textOf(panel).toLowerCase();
+      if (!/consent|cookie|vendor|partner|purpose|legitimate interest/.test(text)) continue;
+
+      const toggles = panel.querySelectorAll('input[type="checkbox"],[role="switch"],[role="checkbox"]');
+      if (toggles.length === 0) continue;
+      sawPanel = true;
+
+      toggles.forEach(toggle => {
+        if (!isVisible(toggle.closest('label,div,li,tr') || toggle)) return;
+        if (toggle.disabled || toggle.getAttribute('aria-disabled') === 'true') return;
+        const on = toggle.type === 'checkbox' ? toggle.checked : toggle.getAttribute('aria-checked') === 'true';
+        if (!on) return;
+        const label = getLabel(toggle);
+        const context = (toggle.closest('[class],[id]')?.textContent || '').substring(0, 400);
+        if (hasKeyword(`${label} ${context}`, MANDATORY_KW)) return;
+        const tcf = tcfChoiceFor(label, context);
+        if (tcf ? tcf.kept : PreferenceProfile.keeps(profile, label)) return;
+        checked.push(label);
+      });
+    }
+    return sawPanel ? checked : null;
+  }
+
+  /**
+   * Re-read consent state from every source we can reach and turn it into a verdict
+   * @returns {Promise<{verdict: string, sources: object[], checkedAt: number}>}
+   */
+  async function inspectConsentState() {
+    const sources = [];
+    await refreshPageGlobals();
+    const ctx = cmpContext();
+
+    // 1. CMP APIs / CMP cookies via adapter readState(), minus what the profile keeps
+    const detected = CMPRegistry.detect(ctx);
+    const keptTcfPurposes = new Set(tcfChoices.purposes); // numeric ids come from getTCData
+    for (const adapter of CMPRegistry.list()) {
+      if (typeof adapter.readState !== 'function' || !detected.includes(adapter.name)) continue;
+      try {
+        const state = await adapter.readState(ctx);
+        if (!state) continue;
+        const granted = state.granted.map(String)
+          .filter(item => /^\d+$/.test(item) ? !keptTcfPurposes.has(Number(item)) : !PreferenceProfile.keeps(profile, item));
+        sources.push({
+          source: `${adapter.name} (${state.source})`,
+          adapter: adapter.name,
+          granted,
+          acceptedAll: granted.length > 0 && state.denied.length === 0,
+        });
+      } catch(_) {}
+    }
+
+    // 2. Stored TC string
+    await auditTCString();
+    if (R.tcfAudit && !R.tcfAudit.error) {
+      const g = R.tcfAudit.granted;
+      const granted = [
+        ...g.purposeConsents.map(id => `purpose ${id}`),
+        ...g.purposeLegitimateInterests.map(id => `LI purpose ${id}`),
+        ...g.specialFeatureOptIns.map(id => `special feature ${id}`),
+      ];
+      if (g.vendorConsents) granted.push(`${g.vendorConsents} vendor consents`);
+      if (g.vendorLegitimateInterests) granted.push(`${g.vendorLegitimateInterests} vendor LI`);
+      sources.push({
+        source: `TC string (${R.tcfAudit.source})`,
+        granted,
+        acceptedAll: g.purposeConsents.length >= TCF_ACCEPT_ALL_MIN_PURPOSES,
+      });
+    }
+
+    // 3. Generic consent cookies (only an "accepted" value is evidence)
+    const acceptCookies = CONSENT_ACCEPT_COOKIES
+      .map(pattern => document.cookie.match(pattern)?.[1])
+      .filter(Boolean);
+    if (acceptCookies.length > 0) {
+      sources.push({ source: 'consent cookies', granted: acceptCookies, acceptedAll: true });
+    }
+
+    // 4. Toggles still on in an open panel
+    const stillChecked = findStillCheckedToggles();
+    if (stillChecked !== null) {
+      sources.push({ source: 'visible toggles', granted: stillChecked, acceptedAll: false });
+    }
+
+    // 5. Google Consent Mode signals should have flipped to "denied"
+    const consentMode = await readConsentMode();
+    if (consentMode) {
+      const stillGranted = CONSENT_MODE_SIGNALS.filter(signal => consentMode.current[signal] === 'granted');
+      R.consentMode = {
+        source: consentMode.source,
+        defaults: consentMode.defaults,
+        before: R.consentMode?.before || null,
+        after: consentMode.current,
+        updates: consentMode.updates,
+        stillGranted,
+        allDenied: CONSENT_MODE_SIGNALS.every(signal => consentMode.current[signal] === 'denied'),
+      };
+      sources.push({
+        source: `Google Consent Mode (${consentMode.source})`,
+        consentMode: true,
+        granted: stillGranted,
+        acceptedAll: stillGranted.length === CONSENT_MODE_SIGNALS.length,
+      });
+    }
+
+    // Consent Mode only backs up a CMP source: its "granted" defaults on a page
+    // nothing else could be read from are not a failed denial
+    const evidence = sources.some(src => !src.consentMode) ? sources : [];
+    let verdict;
+    if (evidence.length === 0) verdict = 'unverified';
+    else if (evidence.every(src => src.granted.length === 0)) verdict = 'verified';
+    else if (evidence.some(src => src.acceptedAll)) verdict = 'accepted-by-mistake';
+    else verdict = 'partially-denied';
+
+    return { verdict, sources, checkedAt: Date.now() };
+  }
+
+  function logVerification(v) {
+    const granted = v.sources.filter(src => src.granted.length > 0)
+      .map(src => `${src.source}: ${src.granted.slice(0, 5).join(', ')}${src.granted.length > 5 ? '…' : ''}`);
+    logEvent('verification', `Phase 7 verdict: ${v.verdict}${granted.length ? ` (${granted.join(' | ')})` : ''}`, { verdict: v.verdict });
+  }
+
+  /**
+   * Phase 7: wait for the CMP to persist, re-read the consent state and, when
+   * this run denied something but the CMP's own state still grants, escalate
+   * once to the manage panel
+   */
+  async function verifyDenial() {
+    startPhase('7', 'Verifying stored consent state');
+    await waitForSettle(VERIFY_SETTLE_MS, 'CMP to store the choice', { quietMs: PANEL_QUIET_MS });
+
+    const first = await inspectConsentState();
+    R.verification = { ...first, escalated: false };
+    logVerification(first);
+
+    const denied = R.unchecked.length > 0 || !!R.cmpMethod;
+    const cmpDisagrees = first.sources.some(src => src.adapter && src.granted.length > 0);
+    if (!denied || !cmpDisagrees) return;
+    if (runOutOfTime()) {
+      logAction('Phase 7: Out of time, not escalating');
+      return;
+    }
+
+    logAction('Phase 7: Escalating - reopening preferences and scraping all sections');
+    const reopened = await CMPRegistry.reopen(cmpContext());
+    if (reopened.length > 0) {
+      logAction(`Phase 7: Reopened preferences via ${reopened.join(', ')}`);
+      await waitForSettle(MAX_WAIT_PER_SECTION, 'preferences to reopen', { requireChange: true, quietMs: PANEL_QUIET_MS });
+    }
+
+    const panelCount = await tryManagePanel();
+    if (panelCount === 0) {
+      // Preference center may already be open (reopen API) - work on it directly
+      const count = await navigateAndScrapeAllSections() + scrapeToggles('Verification');
+      if (count > 0) {
+        await waitForSettle(300, 'toggles to update');
+        tryConfirm();
+      }
+    }
+
+    await waitForSettle(VERIFY_SETTLE_MS, 'CMP to store the choice', { quietMs: PANEL_QUIET_MS });
+    const second = await inspectConsentState();
+    R.verification = { ...second, escalated: true, initialVerdict: first.verdict };
+    logVerification(second);
+  }
+
   // ── Strategy 4: Confirm/save after toggling ────────────────────────────────
   function tryConfirm() {
     // Known selectors
@@ -1893,19 +2517,19 @@
       '[data-testid="uc-save-button"]',
       '.qc-cmp2-summary-buttons button:last-child'];
     for(const sel of sels){
-      try{const b=document.querySelector(sel);if(b&&isVisible(b)){b.click();return true;}}catch(_){}
+      try{const b=document.querySelector(sel);if(b&&isVisible(b)){logClick(b, 'confirm');b.click();return true;}}catch(_){}
     }
     // Text-based
     const btns=Array.from(document.querySelectorAll('button,[role="button"]')).filter(isVisible);
     for(const btn of btns){
-      if(matchesPats(textOf(btn),CONFIRM_PATTERNS)){btn.click();return true;}
+      if(matchesPats(textOf(btn),CONFIRM_PATTERNS)){logClick(btn, 'confirm');btn.click();return true;}
     }
     return false;
   }
 
   // ── Strategy 5: Open manage panel then scrape ──────────────────────────────
   async function tryManagePanel() {
-    if(Date.now() - operationStartTime > MAX_TOTAL_RUNTIME) return 0;
+    if(runOutOfTime()) return 0;
     
     const managePatterns=[
       /manage( (preferences?|cookies?|settings?|consent))?$/i,
@@ -1922,14 +2546,15 @@
     
     let clicked = false;
     for(const btn of btns){
-      if(Date.now() - operationStartTime > MAX_TOTAL_RUNTIME) break;
+      if(runOutOfTime()) break;
       
       const text=textOf(btn);
       if(matchesPats(text,managePatterns)){
         const inBanner=btn.closest('[id*="cookie"],[id*="consent"],[id*="gdpr"],[class*="cookie"],[class*="consent"],[class*="cmp"],[class*="banner"],dialog,[role="dialog"]');
         if(inBanner){
+          logClick(btn);
           btn.click();
-          await sleep(MAX_WAIT_PER_SECTION);
+          await waitForSettle(MAX_WAIT_PER_SECTION + 500, 'manage panel', { requireChange: true, quietMs: PANEL_QUIET_MS });
           clicked = true;
           R.sectionsProcessed.push(`Opened: ${text}`.substring(0,60));
           break;
@@ -1940,7 +2565,6 @@
     if(!clicked) return 0;
     
     // After opening panel, first check if deny/disagree buttons appeared
-    await sleep(500); // Give more time for content to load
     logAction('Checking for deny buttons after opening manage panel');
     const denyFoundAfterOpen = await tryDenyButton();
     if(denyFoundAfterOpen) {
@@ -1957,7 +2581,7 @@
     const totalCount = navCount + generalCount;
     
     if(totalCount>0){
-      await sleep(300);
+      await waitForSettle(300, 'toggles to update');
       const confirmed=tryConfirm();
       R.bannerFound=true;
       R.cmpMethod=R.cmpMethod||'multi-section-scrape';
@@ -1968,20 +2592,7 @@
 
   // ── Strategy 6: Hide banner element ───────────────────────────────────────
   function tryHideBanner() {
-    const sels=[
-      '#onetrust-banner-sdk','#onetrust-consent-sdk',
-      '#CybotCookiebotDialog','#qc-cmp2-ui','#truste-consent-track','#truste-overlay',
-      '#didomi-host','#didomi-popup',
-      '[data-testid="uc-center-container"]',
-      '.osano-cm-window','.iubenda-cs-banner','#cmpbox','#sp_message_container',
-      '.cc-window','.cc-banner','.cookielawinfo-bar',
-      '#cookie-notice','.cookie-notice-container','.cmplz-cookiebanner','.fc-consent-root',
-      '[id*="cookie-banner"],[class*="cookie-banner"]',
-      '[id*="consent-banner"],[class*="consent-banner"]',
-      '[id*="gdpr-banner"],[class*="gdpr-banner"]',
-      '[id*="cookie-popup"],[class*="cookie-popup"]',
-      '[id*="privacy-banner"],[class*="privacy-banner"]',
-    ];
+    const sels=BannerSelectors.hideable();
     for(const sel of sels){
       try{
         const el=document.querySelector(sel);
@@ -2078,11 +2689,58 @@
   }
 
   // ── Main ───────────────────────────────────────────────────────────────────
-  async function runDeny() {
+  const RUN_RESUME_LIMIT = 2; // SPA navigations a single run may be resumed across
+  const SPA_RESUME_WAIT = 2000; // ms - max wait for the new route to render before resuming
+
+  /**
+   * Start a deny run through RunController (one active run per frame). A run
+   * cut short by an SPA navigation is resumed on the new route; the caller
+   * gets the result of the last run.
+   * @param {string} source - 'popup' | 'auto' | 'page'
+   * @returns {Promise<object>} The run result
+   */
+  async function startRun(source, resumedFrom = null, resumes = 0) {
+    const result = await RunController.run(source, run => runDeny(run), { resumedFrom });
+    if (result.cancelled !== 'navigation' || resumes >= RUN_RESUME_LIMIT) return result;
+    console.log(`[Guardr] Run ${result.runId} interrupted by navigation to ${window.location.href}, resuming`);
+    await DomWait.settle({ timeoutMs: SPA_RESUME_WAIT, quietMs: PANEL_QUIET_MS });
+    return startRun(source, result.runId, resumes + 1);
+  }
+
+  /**
+   * One deny run. Only call through RunController (startRun() / RUN_FRAME_DENY),
+   * which guarantees no other run in this frame is using R meanwhile.
+   * @param {object} run - { id, source, signal, resumedFrom } from RunController
+   */
+  async function runDeny(run) {
     R = freshResults();
+    R.runId = run.id;
+    R.runSource = run.source;
+    R.resumedFrom = run.resumedFrom;
+    runSignal = run.signal;
     operationStartTime = Date.now();
-    logAction('Starting consent denial operation');
+    currentPhase = null;
+    waitBudget = DomWait.budget(MAX_TOTAL_RUNTIME, PHASE_WAIT_BUDGET, operationStartTime);
+    logAction(`Starting consent denial operation (run ${run.id}, ${run.source}${run.resumedFrom ? `, resuming ${run.resumedFrom}` : ''})`);
+
+    // Site policy is checked before anything else touches the page
+    if (IS_TOP_FRAME) {
+      const domain = getDomainKey(window.location.href);
+      sitePolicy = await SitePolicy.get(domain);
+      profile = await PreferenceProfile.resolve(domain, sitePolicy);
+      tcfChoices = VendorList.resolve(await VendorList.loadChoices(), profile);
+    }
+    R.policy = sitePolicy;
+    R.profile = PreferenceProfile.serialize(profile);
+    if (sitePolicy === 'never') {
+      logAction('Site policy "never": leaving this site alone');
+      R.errors.push({label: 'Site policy', error: 'This site is set to "Never touch". Change the site policy in the popup to run Guardr here.'});
+      finishRun();
+      return R;
+    }
     
+    await recordCookies('before');
+
     // Initialize learning module and load custom patterns
     if (typeof LearningModule !== 'undefined') {
       await LearningModule.init();
@@ -2092,9 +2750,24 @@
     // Load learned patterns from storage
     await loadLearnedPatterns();
     
-    const cmps = detectCMPs();
+    const cmps = await detectCMPs();
     R.cmpDetected = cmps.length>0 ? cmps.join(', ') : null;
     logAction(`CMP detection: ${R.cmpDetected || 'No standard CMP detected'}`);
+    R.bannerVisibleAtStart = isBannerVisible();
+    R.consentExpiryDays = CMPRegistry.consentExpiryDays(cmps);
+
+    // Consent Mode is not a CMP (it carries the CMP's choice to Google tags), so
+    // it is tracked separately and never triggers a run on its own
+    const consentMode = await readConsentMode();
+    if (consentMode) {
+      R.consentMode = { source: consentMode.source, defaults: consentMode.defaults, before: consentMode.current, after: null };
+      logAction(`Google Consent Mode detected: ${describeConsentMode(consentMode.current)}`);
+    }
+
+    await ensureVendorList();
+
+    // Judge GPC on the page as the site left it, before any phase touches it
+    R.gpc = await assessGpc();
     
     // If a CMP is detected, mark banner as found (even if we can't close it later)
     if (R.cmpDetected) {
@@ -2102,50 +2775,72 @@
     }
     // Early consent-or-pay detection
     detectConsentOrPay();
+    R.darkPatterns = DarkPatterns.create();
+    scanDarkPatterns();
     if (R.consentOrPay) {
       logAction('⚠️ Aborting: Consent-or-pay scenario detected. User action required.');
       R.errors.push({label: 'Consent or Pay Wall', error: 'Site requires acceptance or paid subscription. Extension avoided auto-denying to prevent access issues.'});
+      finishRun();
       return R;  // Exit early to avoid locking user out
     }
+    if (IS_TOP_FRAME) {
+      R.evidence = (await chrome.storage.local.get('evidenceCapture')).evidenceCapture === true;
+      await captureEvidence('before');
+    }
 
     try {
-      // Phase 0: Try learned patterns first (highest confidence)
-      logAction('Phase 0: Trying learned patterns from previous visits');
-      const learnedWorked = await tryLearnedPatterns();
-      if (learnedWorked) {
-        logAction('✓ Phase 0 successful: Learned pattern worked!');
-        return R; // Exit early if learned pattern worked
-      }
+      // "Reject all" clicks (phases 0-1) would also reject what the preference
+      // profile keeps, so such runs go to the manage panel and pick toggles
+      let denied = false;
+      if (keepsSomething()) {
+        logAction(`Preference profile keeps ${describeKeeps()}: skipping Reject All phases`);
+      } else {
+        // Phase 0: Try learned patterns first (highest confidence)
+        startPhase('0', 'Trying learned patterns from previous visits');
+        const learnedWorked = await tryLearnedPatterns();
+        if (learnedWorked) {
+          logAction('✓ Phase 0 successful: Learned pattern worked!');
+          await objectLegitimateInterest();
+          return R; // Exit early if learned pattern worked
+        }
       
-      // Phase 0.5: Universal modal detection (semantic analysis - works on most sites)
-      logAction('Phase 0.5: Attempting universal modal detection');
-      const universalWorked = await handleUniversalModal();
-      if (universalWorked && R.bannerClosed) {
-        logAction('✓ Phase 0.5 successful: Universal detection handled modal!');
+        // Phase 0.5: Universal modal detection (semantic analysis - works on most sites)
+        startPhase('0.5', 'Attempting universal modal detection');
+        const universalWorked = await handleUniversalModal();
+        if (universalWorked && R.bannerClosed) {
+          logAction('✓ Phase 0.5 successful: Universal detection handled modal!');
         
-        // Before returning early, check for remaining privacy panels with toggles
-        // (e.g., child modals with legitimate interests/consents from "learn more" buttons)
-        await sleep(500); // Brief wait for any child panels to stabilize
-        const additionalToggles = scrapeTogglesFromRemainingPanels();
+          // Before returning early, check for remaining privacy panels with toggles
+          // (e.g., child modals with legitimate interests/consents from "learn more" buttons)
+          await waitForSettle(500, 'child panels'); // Let any child panels stabilize
+          const additionalToggles = scrapeTogglesFromRemainingPanels();
         
-        if (additionalToggles > 0) {
-          logAction(`✓ Phase 0.5: Captured ${additionalToggles} additional toggles from child panels`);
+          if (additionalToggles > 0) {
+            logAction(`✓ Phase 0.5: Captured ${additionalToggles} additional toggles from child panels`);
+          }
+
+          await objectLegitimateInterest();
+          return R; // Exit early if universal detection closed the banner
         }
-        
-        return R; // Exit early if universal detection closed the banner
-      }
       
-      // Phase 1: Try clicking a Deny/Reject All button (pattern-based fallback)
-      logAction('Phase 1: Attempting direct deny button click (pattern-based)');
-      const denied = await tryDenyButton(true); // Enable learning
-      if (denied) logAction('✓ Phase 1 successful: Deny button clicked');
+        // Phase 1: Try clicking a Deny/Reject All button (pattern-based fallback)
+        startPhase('1', 'Attempting direct deny button click (pattern-based)');
+        denied = await tryDenyButton(true); // Enable learning
+        if (denied) logAction('✓ Phase 1 successful: Deny button clicked');
+
+      }
 
       // Phase 2: CMP-specific API calls (always run, even after button click)
-      if (Date.now() - operationStartTime < MAX_TOTAL_RUNTIME) {
-        logAction('Phase 2: Attempting CMP-specific API calls');
+      if (!runOutOfTime()) {
+        startPhase('2', 'Attempting CMP-specific API calls');
         await tryCMPApis();
       }
 
+      // Phase 2.5: Object to legitimate interest (reject-all usually leaves it on)
+      if (!runOutOfTime()) {
+        await objectLegitimateInterest();
+      }
+
       // Phase 3: Verify toggles even after button click
       // Many "Reject All" buttons are deceptive and don't actually deny everything
       // Only skip verification if:
@@ -2154,17 +2849,17 @@
       const hasConcreteEvidence = R.unchecked.length >= 5; // At least 5 actual consent denials logged
       const canSkipVerification = R.bannerClosed && hasConcreteEvidence;
       
-      if (!canSkipVerification && Date.now() - operationStartTime < MAX_TOTAL_RUNTIME) {
+      if (!canSkipVerification && !runOutOfTime()) {
         if (denied && R.bannerClosed) {
-          logAction('Phase 3: Verifying "Reject All" button actually worked (checking manage panel)');
+          startPhase('3', 'Verifying "Reject All" button actually worked (checking manage panel)');
         } else {
-          logAction('Phase 3: Attempting manage panel navigation');
+          startPhase('3', 'Attempting manage panel navigation');
         }
         const panelCount = await tryManagePanel();
 
         // Phase 4: Raw toggle scrape if nothing found yet
-        if (R.unchecked.length === 0 && Date.now() - operationStartTime < MAX_TOTAL_RUNTIME) {
-          logAction('Phase 4: Scraping toggles from page');
+        if (R.unchecked.length === 0 && !runOutOfTime()) {
+          startPhase('4', 'Scraping toggles from page');
           const mainCount = scrapeToggles('Main');
           logAction(`Found ${mainCount} toggles in main section`);
           
@@ -2174,7 +2869,7 @@
           }
           
           if (R.unchecked.length > 0) {
-            await sleep(300);
+            await waitForSettle(300, 'toggles to update');
             logAction('Attempting to confirm changes with Save/Accept button');
             const confirmed = tryConfirm();
             R.bannerFound = true;
@@ -2187,25 +2882,78 @@
         }
         
         // Phase 5: Scan iframes for CMPs
-        if (Date.now() - operationStartTime < MAX_TOTAL_RUNTIME) {
-          logAction('Phase 5: Scanning iframes for embedded CMPs');
+        if (!runOutOfTime()) {
+          startPhase('5', 'Scanning iframes for embedded CMPs');
           await scanIframes();
         }
       }
 
       // Phase 6: Close banner if still open
-      await sleep(500);
-      if (!R.bannerClosed && Date.now() - operationStartTime < MAX_TOTAL_RUNTIME) {
-        logAction('Phase 6: Attempting to hide banner if still visible');
+      await waitForBannerGone(500);
+      if (!R.bannerClosed && !runOutOfTime()) {
+        startPhase('6', 'Attempting to hide banner if still visible');
         tryHideBanner();
         if (R.bannerClosed) logAction('✓ Banner hidden successfully');
       }
 
     } catch(err) {
-      logAction(`❌ Error: ${err.message}`);
-      R.errors.push({label: 'Operation error', error: err.message});
+      if (RunController.isAbort(err)) {
+        R.cancelled = err.reason;
+        logAction(`⏹ Run cancelled (${err.reason}) during phase ${currentPhase ?? '-'}`);
+      } else {
+        logEvent('error', `❌ Error: ${err.message}`, { message: err.message });
+        R.errors.push({label: 'Operation error', error: err.message});
+      }
+    } finally {
+      // Phase 7 runs on the early exits too: check what the CMP actually stored
+      try {
+        if (!R.cancelled) await verifyDenial();
+      } catch(err) {
+        if (RunController.isAbort(err)) {
+          R.cancelled = err.reason;
+          logAction(`⏹ Run cancelled (${err.reason}) during verification`);
+        } else {
+          logEvent('error', `Phase 7 error: ${err.message}`, { message: err.message });
+        }
+      }
+      if (R.darkPatterns) {
+        DarkPatterns.fromRun(R.darkPatterns, R);
+        if (R.darkPatterns.score > 0) logAction(`Dark pattern score ${R.darkPatterns.score}: ${R.darkPatterns.findings.map(f => DarkPatterns.label(f.id)).join(', ')}`);
+      }
+      R.rejectEffort = RejectEffort.measure(R);
+      if (R.rejectEffort) logAction(`Reject effort: ${RejectEffort.describe(R.rejectEffort)}`);
+      if (!R.cancelled) {
+        await recordCookies('after');
+        reportPersistingCookies();
+        await captureEvidence('after');
+      }
+      // Remember what a verified rejection looks like so consent-seeder.js can
+      // replay it; otherwise at least which CMPs to seed templates for
+      if (IS_TOP_FRAME && R.cmpDetected && !keepsSomething()) {
+        const domain = getDomainKey(window.location.href);
+        const cmps = R.cmpDetected.split(', ');
+        const seeding = R.verification?.verdict === 'verified'
+          ? ConsentSeeder.capture(domain, cmps)
+          : ConsentSeeder.remember(domain, cmps);
+        seeding.catch(() => {});
+      }
+      // Here rather than after the try: Phase 0 / 0.5 return early on success
+      finishRun();
     }
 
+    return R;
+  }
+
+  /**
+   * End of every run, the policy and consent-or-pay exits included: log the
+   * summary, clean up R and (top frame, not cancelled) report it to
+   * background.js and the page
+   */
+  function finishRun() {
+    startPhase(null);
+    waitBudget = null;
+    runSignal = null;
+
     // Summary
     const runtime = Date.now() - operationStartTime;
     logAction(`Operation complete: ${R.unchecked.length} denied, ${R.mandatory.length} kept, ${R.errors.length} errors, runtime ${runtime}ms`);
@@ -2225,6 +2973,10 @@
     R.errors = dedupe(R.errors);
     delete R.processedLabels; // Don't send Set to popup
 
+    // Child frames hand their result back to the top frame instead of reporting;
+    // a cancelled run is not reported (a resumed run reports for it)
+    if (!IS_TOP_FRAME || R.cancelled) return;
+
     try {
       chrome.runtime.sendMessage({
         type:'DSC_SCAN_COMPLETE',
@@ -2252,14 +3004,134 @@
         runtime: Date.now() - operationStartTime
       }));
     } catch(_){}
-
-    return R;
   }
 
   // ── Auto-mode ──────────────────────────────────────────────────────────────
   let autoModeObserver = null; // Module-level to allow cleanup
+  let autoModeArm = 0; // Bumped by every checkAutoMode() so a previous route's detection stops
+  const AUTO_HANDLED_KEY = 'guardr_auto_handled'; // sessionStorage: { [CMP identity]: run summary }
+
+  /**
+   * Dedupe key for auto-mode: the CMPs involved, not the page or route, so an
+   * SPA showing the same CMP on every route is answered once per tab
+   * @param {string[]} cmps - CMP names; none means a generic banner
+   */
+  function cmpIdentity(cmps) {
+    return cmps && cmps.length > 0 ? [...cmps].sort().join('+') : 'generic';
+  }
+
+  function readAutoHandled() {
+    try {
+      return JSON.parse(sessionStorage.getItem(AUTO_HANDLED_KEY)) || {};
+    } catch(_) {
+      return {};
+    }
+  }
+
+  function markAutoHandled(result) {
+    const handled = readAutoHandled();
+    handled[cmpIdentity(result.cmpDetected ? result.cmpDetected.split(', ') : [])] = {
+      denied: result.unchecked?.length || 0,
+      kept: result.mandatory?.length || 0,
+      bannerClosed: result.bannerClosed,
+      cmp: result.cmpDetected,
+      route: window.location.pathname,
+      timestamp: Date.now()
+    };
+    try { sessionStorage.setItem(AUTO_HANDLED_KEY, JSON.stringify(handled)); } catch(_) {}
+  }
+
+  /**
+   * Already answered in this tab and not asking again. A visible banner
+   * means the CMP re-prompted (after login, on a new consent scope...) and
+   * gets answered again.
+   */
+  function wasAutoHandled(cmps) {
+    return !!readAutoHandled()[cmpIdentity(cmps)] && !isBannerVisible();
+  }
+  const ASK_FIRST_TIMEOUT = 20000; // ms - an unanswered "ask first" prompt counts as "no"
+
+  /**
+   * One auto-mode deny: ask first when the site policy says so, then run,
+   * remember the outcome for this page session and show the notification
+   * @param {boolean} askFirst
+   * @returns {Promise<object|null>} The run result, null when the user said no
+   */
+  async function autoDeny(askFirst) {
+    if (askFirst && !await askBeforeDeny()) {
+      console.log('[Guardr] Site policy "ask first": deny declined');
+      BannerPrehide.release(false);
+      return null;
+    }
+
+    const result = await startRun('auto');
+    console.log(`[Guardr] Denial operation complete.`);
+    if (result.cancelled) {
+      BannerPrehide.release(false);
+      return null;
+    }
+
+    // Remember which CMP was answered so later routes in this tab skip it
+    if (result.bannerClosed || (result.unchecked && result.unchecked.length > 0)) {
+      markAutoHandled(result);
+    }
+
+    showAutoModeNotification(result);
+    BannerPrehide.release(result.bannerClosed);
+    return result;
+  }
+
+  /**
+   * "Ask first" site policy: offer a one-click deny on the page
+   * @returns {Promise<boolean>} true when the user chose to deny
+   */
+  function askBeforeDeny() {
+    return new Promise(resolve => {
+      const prompt = document.createElement('div');
+      prompt.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: linear-gradient(135deg, #3498db 0%, #2980b9 100%);
+        color: white;
+        padding: 16px 20px;
+        border-radius: 10px;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.25);
+        z-index: 2147483648;
+        font-family: system-ui, -apple-system, sans-serif;
+        font-size: 13px;
+        max-width: 320px;
+      `;
+      prompt.innerHTML = `
+        <div style="font-weight: 600; margin-bottom: 4px;">🛡️ Guardr</div>
+        <div style="opacity: 0.95; font-size: 12px; margin-bottom: 10px;">Cookie banner found. Deny non-essential cookies on this site?</div>
+        <div style="display: flex; gap: 8px;">
+          <button data-answer="yes" style="flex: 1; padding: 6px; border: none; border-radius: 6px; background: white; color: #2980b9; font-weight: 600; cursor: pointer;">Deny</button>
+          <button data-answer="no" style="flex: 1; padding: 6px; border: 1px solid rgba(255,255,255,0.6); border-radius: 6px; background: transparent; color: white; cursor: pointer;">Not now</button>
+        </div>
+      `;
+
+      const finish = (answer) => {
+        clearTimeout(timer);
+        prompt.remove();
+        resolve(answer);
+      };
+      const timer = setTimeout(() => finish(false), ASK_FIRST_TIMEOUT);
+      prompt.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', () => finish(btn.dataset.answer === 'yes'));
+      });
+      document.body.appendChild(prompt);
+    });
+  }
   
-  async function checkAutoMode() {
+  /**
+   * Arm auto-mode detection for the current page or route
+   * @param {object} options - { route: re-armed by an SPA navigation (the
+   *                             document_start seed check is skipped) }
+   */
+  async function checkAutoMode({ route = false } = {}) {
+    const arm = ++autoModeArm;
+    const stale = () => arm !== autoModeArm;
     try {
       // Cleanup any existing observer first
       if (autoModeObserver) {
@@ -2271,48 +3143,63 @@
       const testMode = sessionStorage.getItem('guardr_test_mode') === 'true';
       
       const data = await new Promise(r=>chrome.storage.local.get('autoMode',r));
-      if (!data.autoMode && !testMode) return;
+      const policy = await SitePolicy.get(getDomainKey(window.location.href));
+      if (policy === 'never') return;
+      if (sessionStorage.getItem(CONSENT_RESET_KEY) === 'true') {
+        console.log('[Guardr] Consent was reset in this tab, auto-mode paused');
+        BannerPrehide.release(false);
+        return;
+      }
+      const askFirst = policy === 'ask-first';
+      if (!testMode && !askFirst && !SitePolicy.runsAutomatically(policy, data.autoMode)) return;
 
-      console.log('[Guardr] Auto-mode enabled, watching for CMPs...');
+      console.log(`[Guardr] Auto-mode enabled (site policy: ${policy}), watching for CMPs...`);
+
+      // consent-seeder.js may already have answered the CMP at document_start
+      const seeded = route ? [] : await ConsentSeeder.ready;
+      if (seeded.length > 0) {
+        const domain = getDomainKey(window.location.href);
+        // A banner showing up means the seed was not accepted
+        if (!await waitUntil(() => isBannerVisible(), SEED_CHECK_DELAY, 'seeded CMP to show a banner')) {
+          console.log(`[Guardr] Seeded consent accepted by ${seeded.join(', ')}, no banner to deny`);
+          ConsentSeeder.markResult(domain, true).catch(() => {});
+          BannerPrehide.release(true);
+          return;
+        }
+        console.log('[Guardr] Seeded consent not accepted, falling back to normal denial');
+        ConsentSeeder.markResult(domain, false).catch(() => {});
+      }
 
       // Strategy 1: Check if CMP is already visible (with retries for slow-loading CMPs)
       let cmpDetected = false;
+      let answered = false;
       for (let attempt = 0; attempt < 5; attempt++) {
-        const cmps = detectCMPs();
+        if (stale()) return;
+        const cmps = await detectCMPs();
+        if (cmps.length > 0 && wasAutoHandled(cmps)) {
+          console.log(`[Guardr] ${cmps.join(', ')} already answered in this tab, watching for a re-prompt`);
+          answered = true;
+          break;
+        }
         if (cmps.length > 0) {
           console.log(`[Guardr] CMP detected on attempt ${attempt + 1}:`, cmps.join(', '));
           cmpDetected = true;
           
-          // Wait longer for Usercentrics (known to be slow)
+          // Allow Usercentrics (known to be slow) longer to finish rendering
           const hasUsercentrics = cmps.some(cmp => cmp === 'Usercentrics');
-          const waitTime = hasUsercentrics ? 3000 : 1500;
-          console.log(`[Guardr] Waiting ${waitTime}ms for CMP to fully render...`);
-          await sleep(waitTime);
+          await waitForSettle(hasUsercentrics ? UC_RENDER_WAIT : CMP_RENDER_WAIT, 'CMP to render');
+          if (stale()) return;
           
           console.log(`[Guardr] Starting denial operation...`);
-          const result = await runDeny();
-          console.log(`[Guardr] Denial operation complete.`);
-          
-          // Mark that auto-denial has completed for this page session
-          if (result.bannerClosed || (result.unchecked && result.unchecked.length > 0)) {
-            sessionStorage.setItem('guardr_auto_complete', 'true');
-            sessionStorage.setItem('guardr_auto_result', JSON.stringify({
-              denied: result.unchecked?.length || 0,
-              kept: result.mandatory?.length || 0,
-              bannerClosed: result.bannerClosed,
-              cmp: result.cmpDetected,
-              timestamp: Date.now()
-            }));
-          }
-          
-          showAutoModeNotification(result);
+          await autoDeny(askFirst);
           return;
         }
-        // Wait before retry (longer for later attempts)
-        if (attempt < 4) await sleep(attempt < 2 ? 800 : 1500);
+        // Wait for the page to change and settle before retrying (longer for later attempts)
+        if (attempt < 4) await waitForSettle(attempt < 2 ? 800 : 1500, 'CMP to load', { requireChange: true });
       }
       
-      if (!cmpDetected) {
+      if (stale()) return;
+      if (!cmpDetected && !answered && !wasAutoHandled([])) {
         // Use universal detection to find any modal/overlay with privacy content
         console.log('[Guardr] No specific CMP detected, trying universal modal detection...');
         const modals = findAllModals();
@@ -2323,22 +3210,8 @@
           for (const modal of modals) {
             if (isPrivacyModal(modal)) {
               console.log('[Guardr] Privacy modal detected by universal detection, attempting denial...');
-              await sleep(1200);
-              const result = await runDeny();
-              
-              // Mark that auto-denial has completed
-              if (result.bannerClosed || (result.unchecked && result.unchecked.length > 0)) {
-                sessionStorage.setItem('guardr_auto_complete', 'true');
-                sessionStorage.setItem('guardr_auto_result', JSON.stringify({
-                  denied: result.unchecked?.length || 0,
-                  kept: result.mandatory?.length || 0,
-                  bannerClosed: result.bannerClosed,
-                  cmp: result.cmpDetected,
-                  timestamp: Date.now()
-                }));
-              }
-              
-              showAutoModeNotification(result);
+              await waitForSettle(CMP_RENDER_WAIT, 'modal to render');
+              await autoDeny(askFirst);
               return;
             }
           }
@@ -2365,22 +3238,8 @@
         
         if (cookieButtons.length > 0) {
           console.log(`[Guardr] Found ${cookieButtons.length} standalone cookie button(s), attempting denial...`);
-          await sleep(1200);
-          const result = await runDeny();
-          
-          // Mark that auto-denial has completed
-          if (result.bannerClosed || (result.unchecked && result.unchecked.length > 0)) {
-            sessionStorage.setItem('guardr_auto_complete', 'true');
-            sessionStorage.setItem('guardr_auto_result', JSON.stringify({
-              denied: result.unchecked?.length || 0,
-              kept: result.mandatory?.length || 0,
-              bannerClosed: result.bannerClosed,
-              cmp: result.cmpDetected,
-              timestamp: Date.now()
-            }));
-          }
-          
-          showAutoModeNotification(result);
+          await waitForSettle(CMP_RENDER_WAIT, 'banner to render');
+          await autoDeny(askFirst);
           return;
         }
       }
@@ -2393,7 +3252,7 @@
       const maxAttempts = 3;
       const observerStartTime = Date.now();
       
-      autoModeObserver = new MutationObserver(async (mutations) => {
+      const observer = autoModeObserver = new MutationObserver(async (mutations) => {
         if (hasRun || teachingMode) return; // Skip if already run or in teaching mode
         
         // Throttle detection to avoid excessive processing
@@ -2437,40 +3296,40 @@
             const isPotentialPrivacyModal = isPrivacyModal(el);
             
             if (hasCmpPattern || isPotentialPrivacyModal) {
+              // Stays connected until the CMP turns out to need an answer
               hasRun = true;
-              autoModeObserver.disconnect();
-              autoModeObserver = null;
               
               // Check if it's Usercentrics (needs more time to fully load)
               const isUsercentrics = id.includes('usercentrics') || cls.includes('usercentrics') || 
                                     id.startsWith('uc-') || cls.includes('uc-');
-              const waitTime = isUsercentrics ? 2000 : 1200;
-              
+
               const detectionType = isPotentialPrivacyModal ? 'Privacy modal (universal)' : 'CMP element';
               console.log(`[Guardr] ${detectionType} appeared in DOM` + 
                          (isUsercentrics ? ' (Usercentrics - waiting longer)' : '') + 
                          ', triggering auto-deny...');
-              await sleep(waitTime);
-              const result = await runDeny();
-              
-              // Mark that auto-denial has completed
-              if (result.bannerClosed || (result.unchecked && result.unchecked.length > 0)) {
-                sessionStorage.setItem('guardr_auto_complete', 'true');
-                sessionStorage.setItem('guardr_auto_result', JSON.stringify({
-                  denied: result.unchecked?.length || 0,
-                  kept: result.mandatory?.length || 0,
-                  bannerClosed: result.bannerClosed,
-                  cmp: result.cmpDetected,
-                  timestamp: Date.now()
-                }));
+              await waitForSettle(isUsercentrics ? UC_RENDER_WAIT : CMP_RENDER_WAIT, 'CMP to render');
+              if (stale()) return;
+              const cmps = await detectCMPs();
+              if (wasAutoHandled(cmps)) {
+                // Keep watching on the same observer and timeout (stopped if it ran out meanwhile)
+                if (autoModeObserver !== observer) {
+                  BannerPrehide.release(false);
+                  return;
+                }
+                console.log(`[Guardr] ${cmpIdentity(cmps)} already answered in this tab, still watching`);
+                hasRun = false;
+                return;
               }
-              
-              showAutoModeNotification(result);
+              observer.disconnect();
+              if (autoModeObserver === observer) autoModeObserver = null;
+              const result = await autoDeny(askFirst);
               
               // Notify background to update badge
-              try {
-                chrome.runtime.sendMessage({ type: 'AUTO_DENY_SUCCESS' });
-              } catch(_){}
+              if (result) {
+                try {
+                  chrome.runtime.sendMessage({ type: 'AUTO_DENY_SUCCESS' });
+                } catch(_){}
+              }
               return;
             }
           }
@@ -2483,20 +3342,32 @@
         subtree: true
       });
 
-      // Fallback: Stop observing after 20 seconds if nothing found
+      // Fallback: Stop observing after 20 seconds if nothing found. An element
+      // still being checked is answered (or denied) by its own handler.
       setTimeout(() => {
-        if (!hasRun && autoModeObserver) {
+        if (autoModeObserver !== observer) return;
+        observer.disconnect();
+        autoModeObserver = null;
+        if (!hasRun) {
           console.log('[Guardr] Auto-mode timeout - no CMP detected after 20 seconds');
-          autoModeObserver.disconnect();
-          autoModeObserver = null;
+          BannerPrehide.release(false);
         }
       }, 20000);
 
     } catch(err){
       console.error('[Guardr] Auto-mode error:', err);
+      BannerPrehide.release(false);
     }
   }
-  checkAutoMode();
+  if (IS_TOP_FRAME) {
+    checkAutoMode();
+    // GPC check and consent-ledger report for pages where no run happens (a run
+    // assesses GPC first and reports its own result otherwise)
+    setTimeout(() => {
+      if (!operationStartTime) assessGpc().then(reportConsentState).catch(() => {});
+      recheckCookies().catch(() => {});
+    }, GPC_ASSESS_DELAY);
+  }
 
   // Cleanup observer on page navigation/unload
   window.addEventListener('beforeunload', () => {
@@ -2779,12 +3650,40 @@
 
   // ── Message listener ──────────────────────────────────────────────────────────────────
   chrome.runtime.onMessage.addListener((msg,_sender,sendResponse)=>{
+    // Tab messages reach every frame; child frames only answer the frame fan-out
+    if (!IS_TOP_FRAME) {
+      if (msg.type==='RUN_FRAME_DENY') {
+        RunController.run('frame', run => runFrameDeny(msg.policy, msg.profile, msg.tcfChoices, run))
+          .then(sendResponse).catch(err=>sendResponse({skipped:true,error:err.message}));
+        return true;
+      }
+      if (msg.type==='CANCEL_RUN') RunController.cancel(msg.reason || 'user');
+      return;
+    }
+
     if (msg.type==='PING') {
       // Quick health check to see if content script is ready
       sendResponse({ ready: true, version: VERSION });
       return true;
     }
     
+    if (msg.type==='CANCEL_RUN') {
+      const cancelled = RunController.cancel(msg.reason || 'user');
+      sendResponse({ success: true, cancelled });
+      return true;
+    }
+
+    if (msg.type==='GET_RUN_STATUS') {
+      const active = RunController.active;
+      sendResponse({ active: active ? { id: active.id, source: active.source, startTime: active.startTime } : null, queued: RunController.queued.length });
+      return true;
+    }
+
+    if (msg.type==='RESET_CONSENT') {
+      resetConsent().then(r=>sendResponse({success:true,...r})).catch(err=>sendResponse({success:false,error:err.message}));
+      return true;
+    }
+
     if (msg.type==='ENTER_TEACHING_MODE') {
       enterTeachingMode();
       sendResponse({ success: true, teachingMode: true });
@@ -2812,48 +3711,69 @@
     }
         
     if (msg.type==='RUN_CLEAN') {
-      runDeny().then(r=>sendResponse({
+      startRun('popup').then(r=>sendResponse({
         success:true,unchecked:r.unchecked,mandatory:r.mandatory,errors:r.errors,
         cmpDetected:r.cmpDetected,cmpMethod:r.cmpMethod,
         bannerFound:r.bannerFound,bannerClosed:r.bannerClosed,
         totalTogglesFound:r.totalTogglesFound,
-        url:window.location.href,title:document.title
+        tcfAudit:r.tcfAudit,verification:r.verification,consentMode:r.consentMode,gpc:r.gpc,
+        policy:r.policy,profile:r.profile,liObjection:r.liObjection,
+        runId:r.runId,resumedFrom:r.resumedFrom,cancelled:r.cancelled||null,url:window.location.href,title:document.title
       })).catch(err=>sendResponse({success:false,error:err.message}));
       return true;
     }
     if (msg.type==='SCAN_ONLY') {
-      const cmps=detectCMPs();
-      const cmpString = cmps.length>0 ? cmps.join(', ') : 'Generic/Unknown';
-      const bannerVisible=[
-        '[id*="cookie"],[class*="cookie-banner"],[class*="consent"]',
-        '#onetrust-banner-sdk','#CybotCookiebotDialog','#didomi-host',
-        'dialog[open],[role="dialog"]',
-      ].some(sel=>{try{const e=document.querySelector(sel);return e&&isVisible(e);}catch(_){return false;}});
+      detectCMPs().then(cmps=>{
+        const cmpString = cmps.length>0 ? cmps.join(', ') : 'Generic/Unknown';
+        const bannerVisible=[
+          '[id*="cookie"],[class*="cookie-banner"],[class*="consent"]',
+          '#onetrust-banner-sdk','#CybotCookiebotDialog','#didomi-host',
+          'dialog[open],[role="dialog"]',
+        ].some(sel=>{try{const e=document.querySelector(sel);return e&&isVisible(e);}catch(_){return false;}});
       
-      // Check if auto-denial already completed in this session
-      const autoComplete = sessionStorage.getItem('guardr_auto_complete') === 'true';
-      const autoResultStr = sessionStorage.getItem('guardr_auto_result');
-      let autoResult = null;
-      if (autoComplete && autoResultStr) {
-        try {
-          autoResult = JSON.parse(autoResultStr);
-        } catch(_) {}
-      }
+        // Check if auto-denial already answered this CMP in this tab
+        const autoResult = readAutoHandled()[cmpIdentity(cmps)] || null;
+        const autoComplete = !!autoResult;
       
-      sendResponse({
-        cmps,
-        cmp: cmpString,
-        bannerVisible,
-        toggleCount:document.querySelectorAll('input[type="checkbox"],[role="switch"],[role="checkbox"]').length,
-        url:window.location.href,
-        title:document.title,
-        autoComplete,  // NEW: indicates auto-denial already ran
-        autoResult     // NEW: the auto-denial result
+        sendResponse({
+          cmps,
+          cmp: cmpString,
+          bannerVisible,
+          toggleCount:document.querySelectorAll('input[type="checkbox"],[role="switch"],[role="checkbox"]').length,
+          url:window.location.href,
+          title:document.title,
+          autoComplete,  // NEW: indicates auto-denial already ran
+          autoResult     // NEW: the auto-denial result
+        });
       });
       return true;
     }
   });
 
-  window.addEventListener('message',e=>{if(e.data?.type==='DSC_CLEAN') runDeny();});
+  if (IS_TOP_FRAME) window.addEventListener('message',e=>{if(e.data?.type==='DSC_CLEAN') startRun('page');});
+
+  // ── SPA routes ─────────────────────────────────────────────────────────────
+  // Route changes arrive from main-world-bridge.js (history.pushState /
+  // replaceState), the Navigation API, popstate and hashchange - usually
+  // several per navigation, so only a changed URL counts. A run in progress is
+  // cancelled (startRun() resumes it on the new route); otherwise auto-mode
+  // detection is re-armed for the new route.
+  if (IS_TOP_FRAME) {
+    let lastUrl = window.location.href;
+    const onRouteChange = (via) => {
+      if (window.location.href === lastUrl) return;
+      lastUrl = window.location.href;
+      console.log(`[Guardr] Route changed (${via}): ${lastUrl}`);
+      if (RunController.active) {
+        RunController.cancel('navigation', { queued: false });
+      } else if (!teachingMode) {
+        checkAutoMode({ route: true });
+      }
+    };
+    MainWorldBridge.on('route-change', msg => onRouteChange(msg.via));
+    window.navigation?.addEventListener('navigatesuccess', () => onRouteChange('navigation'));
+    window.addEventListener('popstate', () => onRouteChange('popstate'));
+    window.addEventListener('hashchange', () => onRouteChange('hashchange'));
+  }
 
 })();
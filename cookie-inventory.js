@@ -0,0 +1,169 @@
+/**
+ * Guardr - Cookie Inventory
+ *
+ * What cookies a site actually sets around a deny run, classified as
+ * necessary / analytics / advertising from the offline database in
+ * data/cookie-purposes.json (unknown when nothing matches). background.js
+ * reads the cookies through chrome.cookies (GET_COOKIES), so HttpOnly and
+ * third-party cookies of the page's frames are included.
+ *
+ * A report is built stage by stage:
+ *   before  - when the run starts
+ *   after   - when it ends
+ *   reload  - on the next load of the site (the tracker cookies that come back)
+ * and flags the tracking cookies (analytics, advertising) still set in the
+ * latest stage as `persisting`. With `denied` set (the banner was closed)
+ * those are trackers that survived the denial.
+ *
+ *   { host, denied, dbVersion, stages: { [stage]: entry[] },
+ *     counts: { [stage]: { total, necessary, analytics, advertising, unknown } },
+ *     persisting: entry[], added, removed }
+ *
+ * Everything but `stages` is small enough for history entries.
+ * Loaded in content scripts and the popup.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const CookieInventory = {
+
+  DATA_PATH: 'data/cookie-purposes.json',
+  PURPOSES: ['necessary', 'analytics', 'advertising', 'unknown'],
+  TRACKING: ['analytics', 'advertising'],
+  STAGES: ['before', 'after', 'reload'],
+  STAGE_LABELS: { before: 'Before', after: 'After the deny', reload: 'After reload' },
+  MAX_PERSISTING: 50,
+
+  names: new Map(),  // exact name → { purpose, vendor }
+  prefixes: [],      // [{ prefix, purpose, vendor }], longest first
+  domains: [],       // [{ domain, purpose, vendor }]
+  version: null,
+
+  /**
+   * Load the cookie-purpose database
+   * @param {object} data - data/cookie-purposes.json
+   * @returns {number} Entries loaded
+   */
+  load(data) {
+    this.names = new Map();
+    this.prefixes = [];
+    for (const entry of data?.cookies || []) {
+      if (!this.PURPOSES.includes(entry.purpose)) continue;
+      const match = { purpose: entry.purpose, vendor: entry.vendor || null };
+      if (entry.name) this.names.set(entry.name, match);
+      else if (entry.prefix) this.prefixes.push({ prefix: entry.prefix, ...match });
+    }
+    this.prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+    this.domains = (data?.domains || []).filter(entry => this.PURPOSES.includes(entry.purpose));
+    this.version = data?.version || null;
+    return this.names.size + this.prefixes.length + this.domains.length;
+  },
+
+  isLoaded() {
+    return this.version !== null;
+  },
+
+  /**
+   * Purpose of one cookie: its name first, then (third-party cookies only)
+   * the domain it is set on
+   * @param {object} cookie - chrome.cookies.Cookie-shaped { name, domain }
+   * @param {string} host - The page's hostname
+   * @returns {{ purpose: string, vendor: string|null }}
+   */
+  classify(cookie, host) {
+    const byName = this.names.get(cookie.name) ||
+      this.prefixes.find(entry => cookie.name.startsWith(entry.prefix));
+    if (byName) return { purpose: byName.purpose, vendor: byName.vendor };
+
+    const domain = (cookie.domain || '').replace(/^\./, '');
+    if (!this.sameSite(domain, host)) {
+      const byDomain = this.domains.find(entry => domain === entry.domain || domain.endsWith(`.${entry.domain}`));
+      if (byDomain) return { purpose: byDomain.purpose, vendor: byDomain.vendor };
+    }
+    return { purpose: 'unknown', vendor: null };
+  },
+
+  // Cookie domain and page host belong to the same site (one is a suffix of the other)
+  sameSite(domain, host) {
+    return domain === host || host.endsWith(`.${domain}`) || domain.endsWith(`.${host}`);
+  },
+
+  key(cookie) {
+    return `${cookie.name}|${cookie.domain}|${cookie.path}`;
+  },
+
+  create(host) {
+    return { host, denied: false, dbVersion: this.version, stages: {}, counts: {}, persisting: [], added: 0, removed: 0 };
+  },
+
+  /**
+   * Classify one snapshot into the report and recompute the diff
+   * @param {object} report
+   * @param {string} stage - One of STAGES
+   * @param {object[]} cookies - From GET_COOKIES
+   */
+  addStage(report, stage, cookies) {
+    const host = report.host;
+    report.stages[stage] = cookies.map(cookie => ({
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      ...this.classify(cookie, host),
+      thirdParty: !this.sameSite((cookie.domain || '').replace(/^\./, ''), host),
+      expires: cookie.session || !cookie.expirationDate ? null : Math.round(cookie.expirationDate * 1000),
+      httpOnly: !!cookie.httpOnly,
+    }));
+    report.counts[stage] = this.count(report.stages[stage]);
+    this.diff(report);
+  },
+
+  count(entries) {
+    const counts = { total: entries.length };
+    for (const purpose of this.PURPOSES) counts[purpose] = entries.filter(entry => entry.purpose === purpose).length;
+    return counts;
+  },
+
+  // Latest stage after the run against the snapshot before it
+  diff(report) {
+    const before = report.stages.before;
+    const latest = report.stages.reload || report.stages.after;
+    if (!latest) return;
+    const beforeKeys = new Set((before || []).map(entry => this.key(entry)));
+    const latestKeys = new Set(latest.map(entry => this.key(entry)));
+    report.persisting = latest
+      .filter(entry => this.TRACKING.includes(entry.purpose))
+      .map(entry => ({ ...entry, new: !!before && !beforeKeys.has(this.key(entry)) }))
+      .slice(0, this.MAX_PERSISTING);
+    report.added = before ? latest.filter(entry => !beforeKeys.has(this.key(entry))).length : 0;
+    report.removed = before ? before.filter(entry => !latestKeys.has(this.key(entry))).length : 0;
+  },
+
+  // The stage persisting cookies come from
+  latestStage(report) {
+    return report?.stages?.reload || report?.counts?.reload ? 'reload' : 'after';
+  },
+
+  /**
+   * "12 cookies (3 analytics, 4 advertising)"
+   */
+  describe(counts) {
+    if (!counts) return '';
+    const tracking = this.TRACKING.filter(purpose => counts[purpose] > 0).map(purpose => `${counts[purpose]} ${purpose}`);
+    return `${counts.total} cookie${counts.total === 1 ? '' : 's'}${tracking.length ? ` (${tracking.join(', ')})` : ''}`;
+  },
+
+  /**
+   * The report without the full snapshots, for history entries
+   */
+  summary(report) {
+    if (!report) return null;
+    const { stages, ...summary } = report;
+    return summary;
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CookieInventory;
+}
@@ -0,0 +1,192 @@
+/**
+ * Guardr - Dark Pattern Detector
+ *
+ * Measures the dark patterns a consent banner uses, for the per-run report
+ * stored in history and the dashboard scorecard. A report is
+ *   { findings: [{ id, evidence: string[] }], score }
+ * where score sums the severity of every pattern found.
+ *
+ * PATTERNS
+ * - no-reject-first-layer: Accept on the first layer without a Reject next to it
+ * - subdued-reject: Reject much smaller, lower-contrast or link-styled next to a filled Accept
+ * - prechecked-toggles: consent toggles that were already on when Guardr got to them
+ * - li-default-on: legitimate-interest toggles / purposes on by default
+ * - reject-leads-deeper: clicking Reject opened another screen instead of closing
+ * - consent-wall: the page is blocked until you accept (or pay)
+ *
+ * The first-layer patterns come from scanFirstLayer() over the banner as the
+ * site shows it; the toggle patterns from the run's result (fromRun()).
+ * Loaded in content scripts and the popup.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const DarkPatterns = {
+
+  PATTERNS: {
+    'no-reject-first-layer': { label: 'No Reject next to Accept', severity: 3 },
+    'subdued-reject': { label: 'Reject subdued next to Accept', severity: 2 },
+    'prechecked-toggles': { label: 'Pre-checked consent toggles', severity: 2 },
+    'li-default-on': { label: 'Legitimate interest on by default', severity: 2 },
+    'reject-leads-deeper': { label: 'Reject leads to more screens', severity: 1 },
+    'consent-wall': { label: 'Consent wall', severity: 3 },
+  },
+
+  MAX_EVIDENCE: 3,
+  SUBDUED_AREA_RATIO: 0.6,      // reject smaller than this share of accept's area
+  SUBDUED_CONTRAST_RATIO: 0.5,  // or less than half its contrast
+  WALL_COVERAGE: 0.8,           // banner covering this share of the viewport
+  LI_TYPES: ['legitimate interest', 'legitimate'],
+
+  create() {
+    return { findings: [], score: 0 };
+  },
+
+  /**
+   * Record a finding (once per pattern; evidence accumulates up to MAX_EVIDENCE)
+   */
+  add(report, id, evidence = null) {
+    if (!report || !this.PATTERNS[id]) return;
+    let finding = report.findings.find(f => f.id === id);
+    if (!finding) {
+      finding = { id, evidence: [] };
+      report.findings.push(finding);
+    }
+    if (evidence && finding.evidence.length < this.MAX_EVIDENCE && !finding.evidence.includes(evidence)) {
+      finding.evidence.push(String(evidence).substring(0, 160));
+    }
+    report.score = this.score(report);
+  },
+
+  /**
+   * Replace a finding's evidence (for counts recomputed at the end of a run)
+   */
+  set(report, id, evidence) {
+    if (!report) return;
+    report.findings = report.findings.filter(f => f.id !== id);
+    this.add(report, id, evidence);
+  },
+
+  has(report, id) {
+    return !!report?.findings.some(f => f.id === id);
+  },
+
+  score(report) {
+    return (report?.findings || []).reduce((sum, f) => sum + (this.PATTERNS[f.id]?.severity || 0), 0);
+  },
+
+  /**
+   * Findings of a child frame's report, evidence tagged with the frame
+   */
+  merge(report, other, host) {
+    for (const finding of other?.findings || []) {
+      if (finding.evidence.length === 0) this.add(report, finding.id);
+      finding.evidence.forEach(evidence => this.add(report, finding.id, `${evidence} (${host})`));
+    }
+  },
+
+  /**
+   * First-layer patterns of one banner
+   * @param {Element} banner
+   * @param {object[]} ranked - ButtonClassifier.rank() of the banner's visible buttons
+   * @param {object} page - { bodyLocked: page scrolling disabled, viewport: { width, height } }
+   * @returns {Array<[string, string]>} [id, evidence] pairs
+   */
+  scanFirstLayer(banner, ranked, { bodyLocked = false, viewport = null } = {}) {
+    const found = [];
+    const accept = ButtonClassifier.pick(ranked, 'accept');
+    const reject = ButtonClassifier.pick(ranked, 'reject');
+    const quote = c => `"${(c.text || '').substring(0, 40)}"`;
+
+    if (accept && !reject) {
+      const manage = ButtonClassifier.pick(ranked, 'manage');
+      found.push(['no-reject-first-layer', `${quote(accept)} with no reject${manage ? `, only ${quote(manage)}` : ''}`]);
+    }
+
+    if (accept && reject) {
+      const a = this.prominence(accept.element);
+      const r = this.prominence(reject.element);
+      if (a.filled && r.linkStyle) {
+        found.push(['subdued-reject', `${quote(reject)} styled as a link next to a filled ${quote(accept)}`]);
+      } else if (a.area > 0 && r.area < a.area * this.SUBDUED_AREA_RATIO) {
+        found.push(['subdued-reject', `${quote(reject)} is ${Math.round(r.area / a.area * 100)}% the size of ${quote(accept)}`]);
+      } else if (a.filled && r.contrast < a.contrast * this.SUBDUED_CONTRAST_RATIO) {
+        found.push(['subdued-reject', `${quote(reject)} contrast ${r.contrast.toFixed(1)} vs ${a.contrast.toFixed(1)} for ${quote(accept)}`]);
+      }
+    }
+
+    if (bodyLocked && !reject && viewport) {
+      const rect = banner.getBoundingClientRect();
+      const visibleWidth = Math.max(0, Math.min(rect.right, viewport.width) - Math.max(rect.left, 0));
+      const visibleHeight = Math.max(0, Math.min(rect.bottom, viewport.height) - Math.max(rect.top, 0));
+      const coverage = (visibleWidth * visibleHeight) / (viewport.width * viewport.height || 1);
+      if (coverage >= this.WALL_COVERAGE) {
+        found.push(['consent-wall', `Banner covers ${Math.round(coverage * 100)}% of the page with scrolling disabled and no reject`]);
+      }
+    }
+
+    return found;
+  },
+
+  /**
+   * Toggle patterns from a finished run: what Guardr had to switch off was on
+   * by default. Only items switched off in the UI count (source 'toggle');
+   * "Reject all" clicks and CMP API / TCF reports are not toggles.
+   * @param {object} report
+   * @param {object} result - The run's result (unchecked, liObjection)
+   */
+  fromRun(report, result) {
+    const switched = (result.unchecked || []).filter(item => item.source === 'toggle');
+    const toggles = switched.filter(item => item.type === 'consent');
+    const li = switched.filter(item => this.LI_TYPES.includes(item.type));
+    const sample = items => items.slice(0, 3).map(item => item.label.substring(0, 40)).join(', ');
+
+    if (toggles.length > 0) {
+      this.set(report, 'prechecked-toggles', `${toggles.length} switched on: ${sample(toggles)}${toggles.length > 3 ? '…' : ''}`);
+    }
+    if (li.length > 0) {
+      this.set(report, 'li-default-on', `${li.length} LI toggle(s) on: ${sample(li)}${li.length > 3 ? '…' : ''}`);
+    } else if (result.liObjection?.count > 0) {
+      this.set(report, 'li-default-on', `${result.liObjection.count} objection(s) needed via ${result.liObjection.via.join(', ')}`);
+    }
+  },
+
+  prominence(el) {
+    const style = ButtonClassifier.style(el) || { filled: false, contrast: 1, linkStyle: false };
+    return { ...style, area: ButtonClassifier.area(el) };
+  },
+
+  label(id) {
+    return this.PATTERNS[id]?.label || id;
+  },
+
+  /**
+   * Scorecard over history entries: the latest report per domain, how many
+   * sites show each pattern and the worst offenders
+   * @param {object[]} history - denyHistory items (newest first)
+   * @returns {{ sites: number, patterns: object[], worst: object[] }}
+   */
+  scorecard(history, worstCount = 5) {
+    const latest = new Map();
+    for (const item of history) {
+      if (item.darkPatterns && !latest.has(item.domain)) latest.set(item.domain, item.darkPatterns);
+    }
+    const sites = latest.size;
+    const patterns = Object.entries(this.PATTERNS).map(([id, { label, severity }]) => {
+      const count = [...latest.values()].filter(report => this.has(report, id)).length;
+      return { id, label, severity, count, share: sites > 0 ? count / sites : 0 };
+    });
+    const worst = [...latest.entries()]
+      .map(([domain, report]) => ({ domain, score: this.score(report), findings: report.findings.map(f => f.id) }))
+      .filter(site => site.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, worstCount);
+    return { sites, patterns, worst };
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DarkPatterns;
+}
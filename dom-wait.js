@@ -0,0 +1,171 @@
+/**
+ * Guardr - DOM Wait
+ *
+ * Event-driven waits used instead of fixed sleeps. A wait resolves as soon as
+ * its condition holds (checked on DOM mutations, animation/transition end and
+ * a short poll for changes neither of those report) or when its timeout runs
+ * out, so fast CMPs are not held up and slow ones get the full allowance.
+ *
+ *   until(predicate, { timeoutMs })     → Promise<boolean>  condition met?
+ *   forElement(find, { timeoutMs })     → Promise<Element|null>
+ *   settle({ quietMs, timeoutMs, requireChange })
+ *                                       → Promise<boolean>  DOM went quiet?
+ *   idle(timeoutMs)                     → Promise<void>     browser idle
+ *   budget(totalMs, shares, startTime)  → per-phase wait budget (see below)
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const DomWait = {
+
+  QUIET_MS: 150,  // no mutations or finite animations for this long = settled
+  POLL_MS: 100,   // fallback re-check (style/layout changes do not mutate the DOM)
+  CHECK_DELAY_MS: 16,  // coalesce bursts of mutations into one predicate check
+
+  /**
+   * Resolve once predicate() returns truthy, or false after timeoutMs (or as
+   * soon as signal aborts)
+   * @param {Function} predicate - Cheap, synchronous; exceptions count as false
+   * @param {object} options - { timeoutMs, root, signal }
+   * @returns {Promise<boolean>}
+   */
+  until(predicate, { timeoutMs = 2000, root = document, signal = null } = {}) {
+    return new Promise(resolve => {
+      const target = root.documentElement || root;
+      let done = false;
+      let queued = false;
+      let observer = null;
+      let poll = null;
+      let timer = null;
+
+      const finish = (ok) => {
+        if (done) return;
+        done = true;
+        if (observer) observer.disconnect();
+        clearInterval(poll);
+        clearTimeout(timer);
+        target.removeEventListener('animationend', schedule, true);
+        target.removeEventListener('transitionend', schedule, true);
+        if (signal) signal.removeEventListener('abort', abort);
+        resolve(ok);
+      };
+      const check = () => {
+        queued = false;
+        if (done) return;
+        let ok = false;
+        try { ok = !!predicate(); } catch (_) {}
+        if (ok) finish(true);
+      };
+      const schedule = () => {
+        if (queued || done) return;
+        queued = true;
+        setTimeout(check, this.CHECK_DELAY_MS);
+      };
+      const abort = () => finish(false);
+
+      check();
+      if (done) return;
+      if (timeoutMs <= 0 || signal?.aborted) return finish(false);
+      if (signal) signal.addEventListener('abort', abort);
+
+      observer = new MutationObserver(schedule);
+      observer.observe(target, { childList: true, subtree: true, attributes: true });
+      target.addEventListener('animationend', schedule, true);
+      target.addEventListener('transitionend', schedule, true);
+      poll = setInterval(check, this.POLL_MS);
+      timer = setTimeout(() => finish(false), timeoutMs);
+    });
+  },
+
+  /**
+   * until() for an element: resolves with whatever find() returned first
+   * @param {Function} find - Returns the element or null
+   * @returns {Promise<Element|null>}
+   */
+  async forElement(find, options = {}) {
+    let found = null;
+    await this.until(() => (found = find()), options);
+    return found || null;
+  },
+
+  /**
+   * Resolve once the DOM has had no mutations and no running finite
+   * animations for quietMs (spinners and other infinite animations are
+   * ignored), or false after timeoutMs. With requireChange the DOM must change
+   * at least once first - for waits right after a click whose effect (a panel
+   * fetched over the network) may not have started yet.
+   * @param {object} options - { quietMs, timeoutMs, root, requireChange, signal }
+   * @returns {Promise<boolean>}
+   */
+  async settle({ quietMs = this.QUIET_MS, timeoutMs = 2000, root = document, requireChange = false, signal = null } = {}) {
+    const target = root.documentElement || root;
+    let lastChange = Date.now();
+    let changed = false;
+    const observer = new MutationObserver(() => { lastChange = Date.now(); changed = true; });
+    observer.observe(target, { childList: true, subtree: true, attributes: true, characterData: true });
+    try {
+      return await this.until(() => (changed || !requireChange) &&
+        Date.now() - lastChange >= quietMs && !this.animating(root), { timeoutMs, root, signal });
+    } finally {
+      observer.disconnect();
+    }
+  },
+
+  /**
+   * Whether a finite CSS animation/transition is still running
+   */
+  animating(root = document) {
+    try {
+      const animations = typeof root.getAnimations === 'function' ? root.getAnimations() : [];
+      return animations.some(a => a.playState === 'running' &&
+        Number.isFinite(a.effect?.getComputedTiming?.().endTime));
+    } catch (_) {
+      return false;
+    }
+  },
+
+  /**
+   * Resolve when the browser is idle (or after timeoutMs)
+   */
+  idle(timeoutMs = 500) {
+    return new Promise(resolve => {
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(() => resolve(), { timeout: timeoutMs });
+      } else {
+        setTimeout(resolve, Math.min(timeoutMs, 50));
+      }
+    });
+  },
+
+  /**
+   * Wait budget for one run: each phase may wait for at most its share of
+   * totalMs (phases without a share get whatever is left of the run), and no
+   * wait outlasts the run itself.
+   * @param {number} totalMs - Whole-run allowance (MAX_TOTAL_RUNTIME)
+   * @param {object} shares - { [phase]: fraction of totalMs }
+   * @param {number} startTime - When the run started
+   * @returns {{ startPhase: Function, remaining: Function, cap: Function }}
+   */
+  budget(totalMs, shares = {}, startTime = Date.now()) {
+    const runEnd = startTime + totalMs;
+    let phaseEnd = runEnd;
+    return {
+      startPhase(phase) {
+        const share = shares[phase];
+        phaseEnd = share ? Math.min(runEnd, Date.now() + share * totalMs) : runEnd;
+      },
+      remaining() {
+        return Math.max(0, phaseEnd - Date.now());
+      },
+      cap(ms) {
+        return Math.min(ms, this.remaining());
+      },
+    };
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomWait;
+}
@@ -0,0 +1,225 @@
+/**
+ * Guardr - Evidence Bundle
+ *
+ * Per-run evidence for complaints to a data protection authority, exported
+ * from a history entry as one ZIP:
+ *
+ *   evidence.json           site, run, CMP, decoded consent state (TC string,
+ *                           Consent Mode, verification), dark patterns,
+ *                           reject effort, cookies before / after and
+ *                           their purposes (cookie-inventory.js)
+ *   action-log.json         the structured action log with absolute timestamps
+ *   screenshot-before.jpg   the page as Guardr found it
+ *   screenshot-after.jpg    the page after the denial
+ *   summary.txt             the same in plain words
+ *
+ * Screenshots and cookies exist only for runs made with "Capture evidence"
+ * on (background.js stores them under evidence:<runId>); other entries export
+ * what the history kept.
+ *
+ *   files(item, stored, { version }) → [{ name, data: string|Uint8Array }]
+ *   zip(files)                       → Blob (stored, uncompressed)
+ *
+ * Loaded in the popup.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const EvidenceBundle = {
+
+  STORAGE_PREFIX: 'evidence:',  // background.js EVIDENCE_PREFIX
+  COOKIE_NOTE: 'Read through document.cookie: HttpOnly cookies are not included, values are left out (length only)',
+
+  storageKey(runId) {
+    return this.STORAGE_PREFIX + runId;
+  },
+
+  /**
+   * Files of one history entry's bundle
+   * @param {object} item - denyHistory entry
+   * @param {object|null} stored - evidence:<runId> record, if any
+   * @param {object} options - { version: extension version }
+   * @returns {Array<{name: string, data: string|Uint8Array}>}
+   */
+  files(item, stored, { version = '' } = {}) {
+    const result = stored?.result || {};
+    const startTime = result.startTime || item.timestamp - (item.runtime || 0);
+    const actionLog = (result.actionLog || item.actionLog || []).map(entry => ({
+      at: new Date(startTime + (entry.time || 0)).toISOString(),
+      ...entry,
+    }));
+
+    const evidence = {
+      generatedBy: `Guardr ${version}`.trim(),
+      exportedAt: new Date().toISOString(),
+      site: { domain: item.domain, url: item.url, title: result.title || null },
+      run: {
+        runId: item.runId || null,
+        startedAt: new Date(startTime).toISOString(),
+        runtimeMs: item.runtime,
+        method: item.method,
+        bannerFound: item.bannerFound,
+        bannerClosed: item.bannerClosed,
+        denied: item.denied,
+        kept: item.kept,
+      },
+      cmp: item.cmp,
+      consentState: {
+        verification: result.verification || item.verification,
+        tcString: result.tcfAudit || null,
+        consentMode: result.consentMode || item.consentMode,
+        gpc: result.gpc || item.gpc,
+      },
+      darkPatterns: item.darkPatterns || result.darkPatterns || null,
+      rejectEffort: item.rejectEffort || result.rejectEffort || null,
+      cookies: stored?.cookies ? { note: this.COOKIE_NOTE, ...stored.cookies } : null,
+      cookieInventory: result.cookies || item.cookies || null,
+      screenshots: {},
+    };
+
+    const files = [];
+    for (const stage of ['before', 'after']) {
+      const shot = stored?.screenshots?.[stage];
+      if (shot?.dataUrl) {
+        const name = `screenshot-${stage}.jpg`;
+        files.push({ name, data: this.decodeDataUrl(shot.dataUrl) });
+        evidence.screenshots[stage] = { file: name, capturedAt: new Date(shot.capturedAt).toISOString() };
+      } else if (shot?.error) {
+        evidence.screenshots[stage] = { error: shot.error };
+      }
+    }
+
+    files.unshift(
+      { name: 'evidence.json', data: JSON.stringify(evidence, null, 2) },
+      { name: 'action-log.json', data: JSON.stringify(actionLog, null, 2) },
+      { name: 'summary.txt', data: this.summary(evidence, actionLog) },
+    );
+    return files;
+  },
+
+  summary(evidence, actionLog) {
+    const lines = [
+      `Consent evidence for ${evidence.site.domain}`,
+      `URL: ${evidence.site.url}`,
+      `Run: ${evidence.run.startedAt} (${evidence.run.runId || 'no run id'})`,
+      `CMP: ${evidence.cmp}`,
+      `Verification after the denial: ${evidence.consentState.verification?.verdict || evidence.consentState.verification || 'not checked'}`,
+    ];
+    const tc = evidence.consentState.tcString;
+    if (tc && !tc.error && tc.granted) {
+      lines.push(`TC string (${tc.source}): purposes consented [${tc.granted.purposeConsents.join(', ')}], ` +
+                 `LI [${tc.granted.purposeLegitimateInterests.join(', ')}], ${tc.granted.vendorConsents} vendor consents`);
+    }
+    if (evidence.rejectEffort) {
+      const e = evidence.rejectEffort;
+      lines.push(`Reject effort: ${e.clicks} clicks, ${e.layers} screens, ${e.seconds}s` +
+                 `${e.acceptClicks ? ` (accept: ${e.acceptClicks} click)` : ''}`);
+    }
+    for (const finding of evidence.darkPatterns?.findings || []) {
+      lines.push(`Dark pattern: ${finding.id}${finding.evidence.length ? ` - ${finding.evidence.join('; ')}` : ''}`);
+    }
+    const inventory = evidence.cookieInventory;
+    if (inventory?.persisting) {
+      const names = inventory.persisting.map(c => `${c.name} (${c.purpose})`).join(', ');
+      lines.push(`Tracking cookies ${inventory.denied ? 'left after the denial' : 'set'}: ${inventory.persisting.length}${names ? ` - ${names}` : ''}`);
+    }
+    if (evidence.cookies) {
+      lines.push(`Cookies: ${evidence.cookies.before?.length ?? '?'} before, ${evidence.cookies.after?.length ?? '?'} after (${this.COOKIE_NOTE})`);
+    }
+    const shots = Object.entries(evidence.screenshots).map(([stage, shot]) => shot.file ? stage : `${stage} missing (${shot.error})`);
+    lines.push(`Screenshots: ${shots.join(', ') || 'none (enable "Capture evidence" before the run)'}`);
+    lines.push(`Action log: ${actionLog.length} events`);
+    return lines.join('\n') + '\n';
+  },
+
+  decodeDataUrl(dataUrl) {
+    const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  },
+
+  // ── ZIP (stored entries, no compression: JPEGs are compressed already) ───
+
+  crcTable: null,
+
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  /**
+   * @param {Array<{name: string, data: string|Uint8Array}>} files
+   * @param {Date} date - Modification time written for every entry
+   * @returns {Blob} application/zip
+   */
+  zip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);        // version needed
+      local.setUint16(6, 0x0800, true);    // UTF-8 names
+      local.setUint16(8, 0, true);         // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);        // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EvidenceBundle;
+}
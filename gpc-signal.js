@@ -0,0 +1,25 @@
+/**
+ * Guardr - Global Privacy Control signal (page side)
+ *
+ * Registered by background.js (scripting.registerContentScripts, "world": "MAIN")
+ * only while the privacy-signals setting is on, so page scripts and CMPs read
+ * the same preference that the Sec-GPC / DNT request headers carry.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+(() => {
+  function expose(prop, value) {
+    try {
+      Object.defineProperty(Navigator.prototype, prop, {
+        get: () => value,
+        configurable: true,
+        enumerable: true,
+      });
+    } catch (_) {}
+  }
+
+  expose('globalPrivacyControl', true);
+  expose('doNotTrack', '1');
+})();
@@ -0,0 +1,183 @@
+/**
+ * Guardr - Main-World Bridge (page side)
+ *
+ * Content scripts run in Chrome's isolated world and cannot see the globals a
+ * CMP defines on the page (window.OneTrust, window.Didomi, window.__tcfapi...).
+ * This script is injected by manifest.json with "world": "MAIN" and answers
+ * requests posted by main-world-client.js.
+ *
+ * CHANNEL:
+ * main-world-client.js creates a MessageChannel and hands one port over at
+ * injection: a synchronous 'guardr-bridge-init' MessageEvent carrying the
+ * port, which this script cancels to confirm it took it (it announces itself
+ * with 'guardr-bridge-ready' in case the client loaded first). Both run at
+ * document_start, before any page script; only the first port is taken and
+ * the init listener is removed then. Nothing goes through window.postMessage,
+ * so page scripts can neither read the traffic nor forge replies or events.
+ *
+ * PROTOCOL (over the port):
+ *   request  { id, op, args }
+ *   response { id, ok, result, error }
+ *
+ * OPS:
+ * - probe { paths }           → { [path]: typeof } for every path that exists
+ * - get   { path }            → cloneable copy of the value at path
+ * - call  { path, args }      → awaited, cloneable return value of path(...args)
+ * - tcf   { command, parameter } → { data, success } from the first __tcfapi callback
+ * - consentMode {}            → Google Consent Mode calls from dataLayer plus
+ *                               gtag's own state (google_tag_data.ics)
+ *
+ * EVENTS (pushed without a request):
+ * - route-change { event, url, via } → history.pushState/replaceState changed the URL
+ *                               (single-page app navigation the isolated world
+ *                               cannot observe)
+ *
+ * Only paths rooted at a known CMP global are resolved. Results are copied
+ * into plain data (functions dropped, cycles cut) so they survive postMessage.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+(() => {
+  const INIT_EVENT = 'guardr-bridge-init';   // MainWorldBridge.INIT_EVENT
+  const READY_EVENT = 'guardr-bridge-ready'; // MainWorldBridge.READY_EVENT
+
+  let port = null;
+  window.addEventListener(INIT_EVENT, function onInit(event) {
+    if (port || !event.ports?.[0]) return;
+    port = event.ports[0];
+    event.preventDefault(); // Tells the client the port was taken
+    window.removeEventListener(INIT_EVENT, onInit);
+    port.onmessage = (message) => handle(message.data);
+  });
+  // The client may have loaded first and sent its port before this listener existed
+  window.dispatchEvent(new Event(READY_EVENT));
+
+  const ALLOWED_ROOTS = new Set([
+    'OneTrust', 'Optanon', 'Cookiebot', 'CookieConsent', 'Didomi', 'UC_UI',
+    '__tcfapi', '__cmp', '__qcCmpApi', '_sp_', 'Osano', '_iub', 'truste', 'axeptio',
+  ]);
+
+  const MAX_CLONE_DEPTH = 8;
+
+  function resolvePath(path) {
+    const parts = String(path).split('.');
+    if (!ALLOWED_ROOTS.has(parts[0])) {
+      throw new Error(`Path not allowed: ${path}`);
+    }
+    let parent = window;
+    let value = window;
+    for (const part of parts) {
+      if (value === null || value === undefined) return { parent: undefined, value: undefined };
+      parent = value;
+      value = value[part];
+    }
+    return { parent, value };
+  }
+
+  // Copy into plain data that postMessage can carry
+  function toCloneable(value, depth = 0, seen = new WeakSet()) {
+    if (value === null || value === undefined) return value;
+    const type = typeof value;
+    if (type === 'string' || type === 'number' || type === 'boolean') return value;
+    if (type === 'function' || type === 'symbol' || type === 'bigint') return undefined;
+    if (depth >= MAX_CLONE_DEPTH || seen.has(value)) return undefined;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof Node !== 'undefined' && value instanceof Node) return undefined;
+
+    seen.add(value);
+    if (Array.isArray(value)) {
+      return value.map(item => toCloneable(item, depth + 1, seen));
+    }
+    const out = {};
+    for (const key of Object.keys(value)) {
+      try {
+        const copy = toCloneable(value[key], depth + 1, seen);
+        if (copy !== undefined) out[key] = copy;
+      } catch (_) {}
+    }
+    return out;
+  }
+
+  const ops = {
+    probe({ paths = [] }) {
+      const found = {};
+      for (const path of paths) {
+        try {
+          const { value } = resolvePath(path);
+          if (value !== undefined && value !== null) found[path] = typeof value;
+        } catch (_) {}
+      }
+      return found;
+    },
+
+    get({ path }) {
+      return toCloneable(resolvePath(path).value);
+    },
+
+    async call({ path, args = [] }) {
+      const { parent, value } = resolvePath(path);
+      if (typeof value !== 'function') throw new Error(`Not a function: ${path}`);
+      return toCloneable(await value.apply(parent, args));
+    },
+
+    tcf({ command, parameter }) {
+      if (typeof window.__tcfapi !== 'function') throw new Error('__tcfapi not available');
+      return new Promise(resolve => {
+        window.__tcfapi(command, 2, (data, success) => {
+          resolve({ data: toCloneable(data), success: !!success });
+        }, parameter);
+      });
+    },
+
+    consentMode() {
+      const events = [];
+      const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+      for (const entry of dataLayer) {
+        // gtag() pushes its `arguments` object: ['consent', 'default'|'update', {...}]
+        if (!entry || entry[0] !== 'consent') continue;
+        if (entry[1] !== 'default' && entry[1] !== 'update') continue;
+        if (entry[2] && typeof entry[2] === 'object') {
+          events.push({ command: entry[1], params: toCloneable(entry[2]) });
+        }
+      }
+
+      let ics = null;
+      const entries = window.google_tag_data?.ics?.entries;
+      if (entries && typeof entries === 'object') {
+        ics = {};
+        for (const [type, entry] of Object.entries(entries)) {
+          ics[type] = { default: entry?.default, update: entry?.update };
+        }
+      }
+      return { events, ics };
+    },
+  };
+
+  // SPA route changes: history.pushState/replaceState fire no event of their own
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    if (typeof original !== 'function') continue;
+    history[method] = function (...args) {
+      const before = location.href;
+      const result = original.apply(this, args);
+      if (port && location.href !== before) {
+        port.postMessage({ event: 'route-change', url: location.href, via: method });
+      }
+      return result;
+    };
+  }
+
+  async function handle(msg) {
+    if (!msg || !ops[msg.op]) return;
+    const response = { id: msg.id, ok: true };
+    try {
+      response.result = await ops[msg.op](msg.args || {});
+    } catch (err) {
+      response.ok = false;
+      response.error = err?.message || String(err);
+    }
+    port.postMessage(response);
+  }
+})();
@@ -0,0 +1,149 @@
+/**
+ * Guardr - Main-World Bridge (content script side)
+ *
+ * Sends requests to main-world-bridge.js, which runs in the page's own
+ * JavaScript world where CMP globals actually live. Every request carries an
+ * id and is settled by the matching response or rejected after a timeout, so
+ * a page without the bridge (or with a hung CMP) never stalls a run. Events
+ * the main world pushes on its own (SPA route changes) are delivered to on().
+ *
+ * The two worlds talk over a private MessageChannel rather than
+ * window.postMessage, which every page script can read and forge. The port is
+ * handed over at injection (see main-world-bridge.js), so this file loads at
+ * document_start, before any page script runs.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const MainWorldBridge = {
+
+  TIMEOUT_MS: 1500,
+  INIT_EVENT: 'guardr-bridge-init',
+  READY_EVENT: 'guardr-bridge-ready',
+
+  port: null,
+
+  nextId: 1,
+  pending: new Map(),
+  handlers: {},  // event name → [handler] (see on())
+
+  /**
+   * Hand one end of a MessageChannel to the bridge. The bridge cancels the
+   * init event when it takes the port; if it has not loaded yet, the init is
+   * sent once more when it announces itself. Either way the ready listener
+   * is gone before page scripts run, so a page cannot ask for the port.
+   */
+  handshake() {
+    const channel = new MessageChannel();
+    const send = () => !window.dispatchEvent(new MessageEvent(this.INIT_EVENT, { cancelable: true, ports: [channel.port2] }));
+    if (!send()) window.addEventListener(this.READY_EVENT, send, { once: true });
+
+    this.port = channel.port1;
+    this.port.onmessage = (event) => this.receive(event.data);
+  },
+
+  receive(msg) {
+    if (!msg) return;
+    if (msg.event) {
+      (this.handlers[msg.event] || []).forEach(handler => {
+        try { handler(msg); } catch (_) {}
+      });
+      return;
+    }
+    const entry = this.pending.get(msg.id);
+    if (!entry) return;
+    this.pending.delete(msg.id);
+    clearTimeout(entry.timer);
+    if (msg.ok) entry.resolve(msg.result);
+    else entry.reject(new Error(msg.error || 'Bridge request failed'));
+  },
+
+  /**
+   * Send one request to the main world
+   * @param {string} op - probe | get | call | tcf | consentMode
+   * @param {object} args
+   * @param {number} timeoutMs
+   * @returns {Promise<*>} The op result; rejects on error or timeout
+   */
+  request(op, args = {}, timeoutMs = this.TIMEOUT_MS) {
+    if (!this.port) return Promise.reject(new Error('Bridge not connected'));
+    const id = `${Date.now().toString(36)}-${this.nextId++}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Bridge timeout: ${op}`));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.port.postMessage({ id, op, args });
+    });
+  },
+
+  /**
+   * Listen for an event the main world pushes on its own, e.g. 'route-change'
+   * @param {string} event
+   * @param {Function} handler - Receives the raw message ({ event, url, via } ...)
+   */
+  on(event, handler) {
+    (this.handlers[event] = this.handlers[event] || []).push(handler);
+  },
+
+  /**
+   * Which of the given global paths exist in the page
+   * @param {string[]} paths - e.g. ['OneTrust', 'OneTrust.RejectAll']
+   * @returns {Promise<Set<string>>} Empty when the bridge does not answer
+   */
+  async probe(paths) {
+    try {
+      const found = await this.request('probe', { paths });
+      return new Set(Object.keys(found || {}));
+    } catch (_) {
+      return new Set();
+    }
+  },
+
+  /**
+   * Read a page global, e.g. get('Cookiebot.consent')
+   */
+  get(path) {
+    return this.request('get', { path });
+  },
+
+  /**
+   * Call a page function with its owner as `this`, e.g. call('Didomi.getUserStatus')
+   */
+  call(path, ...args) {
+    return this.request('call', { path, args });
+  },
+
+  /**
+   * Run a __tcfapi command
+   * @returns {Promise<{data, success}|null>} null on timeout or when __tcfapi is missing
+   */
+  async tcf(command, parameter, timeoutMs = 1000) {
+    try {
+      return await this.request('tcf', { command, parameter }, timeoutMs);
+    } catch (_) {
+      return null;
+    }
+  },
+
+  /**
+   * Raw Google Consent Mode state: { events: [{command, params}], ics }
+   * @returns {Promise<object|null>} null when the bridge does not answer
+   */
+  async consentMode() {
+    try {
+      return await this.request('consentMode');
+    } catch (_) {
+      return null;
+    }
+  },
+};
+
+if (typeof window !== 'undefined') MainWorldBridge.handshake();
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MainWorldBridge;
+}
@@ -7,6 +7,7 @@ const log = DEBUG ? console.log.bind(console) : () => {};
 
 document.addEventListener('DOMContentLoaded', async () => {
   const denyBtn       = document.getElementById('denyBtn');
+  const cancelRunBtn  = document.getElementById('cancelRunBtn');
   const btnText       = document.getElementById('btnText');
   const statusDot     = document.getElementById('statusDot');
   const statusLabel   = document.getElementById('statusLabel');
@@ -22,8 +23,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   const panelRemoved  = document.getElementById('panelRemoved');
   const panelKept     = document.getElementById('panelKept');
   const panelErrors   = document.getElementById('panelErrors');
+  const panelTcf      = document.getElementById('panelTcf');
+  const panelCookies  = document.getElementById('panelCookies');
   const footerTime    = document.getElementById('footerTime');
   const autoModeBadge = document.getElementById('autoModeBadge');
+  const gpcBadge      = document.getElementById('gpcBadge');
   const donationPrompt = document.getElementById('donationPrompt');
   const historyList   = document.getElementById('historyList');
   const historyStats  = document.getElementById('historyStats');
@@ -54,6 +58,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   loadHistory();  
   // Wire up clear history button (using arrow function for consistent scoping)
   document.getElementById('clearHistoryBtn')?.addEventListener('click', () => clearHistory());
+  document.getElementById('exportEffortBtn')?.addEventListener('click', () => exportRejectEffort());
   // Wire up clear filter button (using arrow function to avoid reference error)
   document.getElementById('clearFilterBtn')?.addEventListener('click', () => clearFilter());
   if (tab?.url) {
@@ -62,6 +67,84 @@ document.addEventListener('DOMContentLoaded', async () => {
     } catch (_) { siteDomain.textContent = 'Unknown site'; }
   }
 
+  // Per-site policy (enforced by content.js in auto mode and before any run)
+  const sitePolicySelect = document.getElementById('sitePolicySelect');
+  if (sitePolicySelect && tab?.url) {
+    const policyDomain = extractDomain(tab.url);
+    for (const [value, label] of Object.entries(SitePolicy.LABELS)) {
+      sitePolicySelect.add(new Option(label, value));
+    }
+    sitePolicySelect.value = await SitePolicy.get(policyDomain);
+    sitePolicySelect.addEventListener('change', () => {
+      SitePolicy.set(policyDomain, sitePolicySelect.value)
+        .catch(err => console.error('Failed to save site policy:', err));
+    });
+  }
+
+  // Undo Guardr on this site: clear consent storage, reopen the CMP, mark history
+  const resetConsentBtn = document.getElementById('resetConsentBtn');
+  if (resetConsentBtn && tab?.id && tab.url?.startsWith('http')) {
+    resetConsentBtn.addEventListener('click', async () => {
+      resetConsentBtn.disabled = true;
+      try {
+        const result = await chrome.tabs.sendMessage(tab.id, { type: 'RESET_CONSENT' });
+        if (!result?.success) throw new Error(result?.error || 'No response from the page');
+        await markHistoryReverted(extractDomain(tab.url));
+        const reopened = result.reopened.length ? `, reopened ${result.reopened.join(', ')}` : ', reload the page to see the banner again';
+        setStatus('done', 'Consent reset', `Cleared ${result.cleared.length} stored choice(s)${reopened}`);
+        loadHistory();
+      } catch (err) {
+        setStatus('error', 'Could not reset consent', err.message.includes('Receiving end does not exist')
+          ? 'Extension not ready. Please refresh the page and try again.' : err.message);
+      } finally {
+        resetConsentBtn.disabled = false;
+      }
+    });
+  } else if (resetConsentBtn) {
+    resetConsentBtn.disabled = true;
+  }
+
+  // Stop the run in progress (popup or auto-mode); the page answers RUN_CLEAN
+  // with a cancelled result
+  cancelRunBtn.addEventListener('click', async () => {
+    if (!tab?.id) return;
+    cancelRunBtn.disabled = true;
+    try {
+      const result = await chrome.tabs.sendMessage(tab.id, { type: 'CANCEL_RUN', reason: 'user' });
+      if (!denyBtn.classList.contains('running')) {
+        cancelRunBtn.hidden = true;
+        setStatus('warn', 'Run cancelled', result?.cancelled?.length ? `Stopped run ${result.cancelled.join(', ')}` : 'No run was in progress');
+      }
+    } catch (err) {
+      setStatus('error', 'Could not cancel', err.message);
+    } finally {
+      cancelRunBtn.disabled = false;
+    }
+  });
+
+  // An auto-mode run may already be going when the popup opens
+  if (tab?.id && tab.url?.startsWith('http')) {
+    chrome.tabs.sendMessage(tab.id, { type: 'GET_RUN_STATUS' }).then(status => {
+      if (!status?.active || denyBtn.classList.contains('running')) return;
+      cancelRunBtn.hidden = false;
+      setStatus('running', 'Run in progress', `${status.active.source} run ${status.active.id} started ${formatTimeAgo(status.active.startTime)}`);
+    }).catch(() => {});
+  }
+
+  // GPC status for this site (recorded by content.js while privacy signals are on)
+  chrome.storage.local.get(['privacySignals', 'gpcSites'], (data) => {
+    if (!data.privacySignals || !gpcBadge || !tab?.url) return;
+    const site = (data.gpcSites || {})[extractDomain(tab.url)];
+    const labels = {
+      honored: '🛡 GPC HONORED',
+      prompted: '✗ GPC IGNORED · BANNER SHOWN',
+      ignored: '⚠ GPC IGNORED · CONSENT SET',
+    };
+    gpcBadge.className = `gpc-badge ${site ? site.status : 'pending'}`;
+    gpcBadge.textContent = site ? labels[site.status] : 'GPC SENT · NOT CHECKED YET';
+    if (site) gpcBadge.title = `Checked ${formatTimeAgo(site.checkedAt)} · consent state: ${site.verdict}`;
+  });
+
   // Check for previous scan results (from auto-mode or manual deny)
   let previousResultShown = false;
   try {
@@ -350,6 +433,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  // "Reload & recheck" in the Cookies tab: the next load adds the "after reload" snapshot
+  panelCookies.addEventListener('click', (e) => {
+    if (e.target.id !== 'cookieReloadBtn') return;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0]?.id) chrome.tabs.reload(tabs[0].id);
+      window.close();
+    });
+  });
+
   // ── Deny button ───────────────────────────────────────────────────────────
   denyBtn.addEventListener('click', async () => {
     if (denyBtn.disabled || denyBtn.classList.contains('running') || denyBtn.classList.contains('done-state')) return;
@@ -388,6 +480,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       const result = await chrome.tabs.sendMessage(tab.id, { type: 'RUN_CLEAN' });
       if (!result) throw new Error('No response — ensure a consent banner is visible, then try again');
+      if (result.cancelled) {
+        setCancelled(result);
+        return;
+      }
 
       renderResults(result);
       setDone(result);
@@ -416,6 +512,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   function setRunning() {
     denyBtn.classList.add('running');
     denyBtn.disabled = false;
+    cancelRunBtn.hidden = false;
     btnText.textContent = 'Denying all consents...';
     setStatus('running', 'Working...', 'Finding toggles, unchecking non-essential, closing banner');
     resultsSection.classList.remove('visible');
@@ -424,6 +521,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   function setDone(result, isPreviousResult = false) {
+    cancelRunBtn.hidden = true;
     denyBtn.classList.remove('running');
     denyBtn.classList.add('done-state');
     denyBtn.disabled = true;
@@ -448,10 +546,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       detailParts.filter(Boolean).join(' · ')
     );
 
-    // Banner closed pill
-    if (result.bannerClosed) {
+    // Banner closed pill - the Phase 7 verdict wins when the stored state disagrees
+    const verdict = result.verification?.verdict;
+    if (verdict === 'accepted-by-mistake') {
+      bannerStatus.className = 'banner-status not-closed';
+      bannerStatus.textContent = '⚠ The site recorded an ACCEPT — see the Stored tab';
+    } else if (verdict === 'partially-denied') {
+      bannerStatus.className = 'banner-status not-closed';
+      bannerStatus.textContent = '⚠ Some consents are still stored — see the Stored tab';
+    } else if (result.bannerClosed) {
       bannerStatus.className = 'banner-status closed';
-      bannerStatus.textContent = '✓ Consent banner closed';
+      bannerStatus.textContent = verdict === 'verified' ? '✓ Consent banner closed · denial verified' : '✓ Consent banner closed';
     } else {
       bannerStatus.className = 'banner-status not-closed';
       bannerStatus.textContent = '⚠ Banner may still be visible — choices saved';
@@ -491,12 +596,22 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   function setError(msg) {
+    cancelRunBtn.hidden = true;
     denyBtn.classList.remove('running');
     denyBtn.disabled = false;
     btnText.textContent = 'Deny All Non-Essential Consents';
     setStatus('error', 'Could not complete', msg);
   }
 
+  function setCancelled(result) {
+    cancelRunBtn.hidden = true;
+    denyBtn.classList.remove('running');
+    denyBtn.disabled = false;
+    btnText.textContent = 'Deny All Non-Essential Consents';
+    const done = result.unchecked?.length || 0;
+    setStatus('warn', 'Run cancelled', `Stopped (${result.cancelled}) after ${done} change${done !== 1 ? 's' : ''} — run again to finish`);
+  }
+
   function renderResults(data) {
     const removed = data.unchecked?.length || 0;
     const kept    = data.mandatory?.length || 0;
@@ -509,14 +624,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('tabRemoved').textContent = `🚫 Denied (${removed})`;
     document.getElementById('tabKept').textContent    = `🔒 Kept (${kept})`;
     document.getElementById('tabErrors').textContent  = `⚠ Errors (${errs})`;
+    document.getElementById('tabCookies').textContent = `🍪 Cookies (${data.cookies?.persisting?.length || 0})`;
 
-    panelRemoved.innerHTML = removed > 0
+    panelRemoved.innerHTML = renderEffortSummary(data.rejectEffort) + renderLiSummary(data.liObjection) + (removed > 0
       ? data.unchecked.map(item => renderItem(item, 'removed')).join('')
-      : '<div class="result-empty">No consents were removed.<br>The banner may not have been visible or already denied.</div>';
+      : '<div class="result-empty">No consents were removed.<br>The banner may not have been visible or already denied.</div>');
 
-    panelKept.innerHTML = kept > 0
+    panelKept.innerHTML = renderProfileSummary(data) + (kept > 0
       ? data.mandatory.map(item => renderItem(item, 'kept')).join('')
-      : '<div class="result-empty">No mandatory/essential items detected on this page.</div>';
+      : '<div class="result-empty">No mandatory/essential items detected on this page.</div>');
 
     panelErrors.innerHTML = errs > 0
       ? data.errors.map(e => `
@@ -528,19 +644,178 @@ document.addEventListener('DOMContentLoaded', async () => {
             </div>
           </div>`).join('')
       : '<div class="result-empty">No errors — clean run.</div>';
+
+    panelCookies.innerHTML = renderCookies(data.cookies);
+    panelTcf.innerHTML = renderVerification(data.verification) + renderConsentMode(data.consentMode) + renderTcfAudit(data.tcfAudit);
+  }
+
+  // Cookies the site set around the run, tracking cookies still set first (cookie-inventory.js)
+  function renderCookies(report) {
+    if (!report?.stages?.after) {
+      return '<div class="result-empty">No cookie snapshot yet.<br>Run Guardr on this page to list its cookies.</div>';
+    }
+    const latest = CookieInventory.latestStage(report);
+    const persisting = report.persisting || [];
+    const summary = persisting.length === 0
+      ? '<div class="tcf-summary verified">✓ No analytics or advertising cookies left</div>'
+      : `<div class="tcf-summary unverified">⚠ ${persisting.length} tracking cookie${persisting.length !== 1 ? 's' : ''} ` +
+        `${report.denied ? 'still set after the denial' : 'set (the banner was not closed)'}${latest === 'reload' ? ', after a reload' : ''}</div>`;
+    const stages = CookieInventory.STAGES.filter(stage => report.counts[stage])
+      .map(stage => `${CookieInventory.STAGE_LABELS[stage]}: ${esc(CookieInventory.describe(report.counts[stage]))}`);
+    const recheck = report.denied && latest !== 'reload'
+      ? '<br><button class="clear-history-btn" id="cookieReloadBtn" title="Reload the page and list the cookies again">↻ Reload &amp; recheck</button>'
+      : '';
+    const meta = `
+      <div class="tcf-meta">
+        ${stages.join('<br>')}<br>
+        ${report.added} added, ${report.removed} removed since the run started · cookie database ${esc(report.dbVersion || 'n/a')}${recheck}
+      </div>`;
+
+    const isTracking = cookie => CookieInventory.TRACKING.includes(cookie.purpose);
+    const others = report.stages[latest].filter(cookie => !isTracking(cookie))
+      .sort((a, b) => CookieInventory.PURPOSES.indexOf(a.purpose) - CookieInventory.PURPOSES.indexOf(b.purpose));
+    return summary + meta + [...persisting, ...others].map(renderCookie).join('');
+  }
+
+  function renderCookie(cookie) {
+    const tracking = CookieInventory.TRACKING.includes(cookie.purpose);
+    const purpose = `${cookie.purpose}${cookie.vendor ? ` · ${cookie.vendor}` : ''}`;
+    const where = `${cookie.domain}${cookie.thirdParty ? ' · third-party' : ''}${cookie.httpOnly ? ' · HttpOnly' : ''}`;
+    const expires = cookie.expires ? `expires ${new Date(cookie.expires).toLocaleDateString()}` : 'session';
+    return `
+      <div class="result-item">
+        <span class="item-icon">${tracking ? '⚠' : '🍪'}</span>
+        <div class="item-body">
+          <div class="item-label">${esc(cookie.name)}</div>
+          <span class="item-cat ${cookie.purpose}">${esc(purpose)}</span> <span class="item-cat">${esc(where)}</span>
+          <span class="item-cat">${cookie.new ? 'new · ' : ''}${esc(expires)}</span>
+        </div>
+      </div>`;
+  }
+
+  // One chip per Consent Mode v2 signal, showing before → after when it changed
+  function renderConsentModeChips(cm) {
+    const signals = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+    const state = cm.after || cm.before || {};
+    return signals.map(signal => {
+      // Values come from the page's own gtag() calls
+      const value = String(state[signal] || 'unset');
+      const before = cm.before?.[signal];
+      const change = cm.after && before && String(before) !== value ? `${esc(String(before))} → ` : '';
+      const cls = value === 'denied' ? 'denied' : value === 'granted' ? 'granted' : '';
+      return `<span class="cm-chip ${cls}" title="${esc(signal)}">${esc(signal)}: ${change}${esc(value)}</span>`;
+    }).join('');
+  }
+
+  function renderConsentMode(cm) {
+    if (!cm) return '';
+    const title = cm.after
+      ? (cm.allDenied ? '✓ Google Consent Mode: all signals denied' : '⚠ Google Consent Mode: some signals are not denied')
+      : 'Google Consent Mode detected (not re-checked after the run)';
+    const cls = cm.after && cm.allDenied ? 'verified' : 'unverified';
+    return `<div class="tcf-summary ${cls}">${title}</div><div class="cm-chips">${renderConsentModeChips(cm)}</div>`;
+  }
+
+  // Phase 2.5: legitimate-interest objections, reported apart from consent denials
+  function renderLiSummary(li) {
+    if (!li) return '';
+    return li.count > 0
+      ? `<div class="tcf-meta">Legitimate interest: ${li.count} objection(s) via ${esc(li.via.join(', '))}</div>`
+      : '<div class="tcf-meta">Legitimate interest: nothing left to object to</div>';
+  }
+
+  // Clicks / screens / seconds the denial took against the one-click accept
+  function renderEffortSummary(effort) {
+    if (!effort) return '';
+    const harder = RejectEffort.harderThanAccept(effort);
+    return `<div class="tcf-meta${harder ? ' effort-harder' : ''}">Reject effort: ${esc(RejectEffort.describe(effort))}` +
+      `${harder ? ` — ${effort.ratio.toFixed(1)}× harder than accepting` : ''}${effort.complete ? '' : ' (denial not verified)'}</div>`;
+  }
+
+  // Which categories the preference profile kept on this run
+  function renderProfileSummary(data) {
+    const allowed = data.profile?.allowed || [];
+    if (allowed.length === 0) return '';
+    const labels = allowed.map(key => PreferenceProfile.CATEGORIES[key]?.label || key).join(', ');
+    const fromProfile = (data.mandatory || []).filter(item => item.source === 'profile').length;
+    const source = { site: 'this site', default: 'all sites', 'site policy': 'site policy' }[data.profile.source] || data.profile.source;
+    return `<div class="tcf-meta">Preference profile (${esc(source)}) keeps: ${esc(labels)} · ${fromProfile} item(s) kept because of it</div>`;
+  }
+
+  // Phase 7 verdict and the per-source evidence behind it
+  function renderVerification(v) {
+    if (!v) return '';
+    const labels = {
+      'verified': '✓ Verified: no optional consent left in any stored state',
+      'partially-denied': '⚠ Partially denied: some consent is still stored',
+      'accepted-by-mistake': '⚠ Accepted by mistake: the site stored an "Accept all"',
+      'unverified': 'Could not read any stored consent state to verify',
+    };
+    const cls = v.verdict === 'verified' ? 'verified' : 'unverified';
+    const escalated = v.escalated ? `<br>Escalated after "${esc(v.initialVerdict)}" — manage panel re-scraped` : '';
+    const sources = v.sources.map(src => `
+      <div class="result-item">
+        <span class="item-icon">${src.granted.length ? '⚠' : '✓'}</span>
+        <div class="item-body">
+          <div class="item-label">${esc(src.source)}</div>
+          <span class="item-cat">${src.granted.length ? esc(src.granted.slice(0, 8).join(', ')) + (src.granted.length > 8 ? '…' : '') : 'nothing granted'}</span>
+        </div>
+      </div>`).join('');
+    return `<div class="tcf-summary ${cls}">${labels[v.verdict] || esc(v.verdict)}${escalated}</div>${sources}`;
+  }
+
+  // What the site's stored TC string says after the run (see tc-string.js)
+  function renderTcfAudit(audit) {
+    if (!audit) {
+      return '<div class="result-empty">No IAB TCF consent string found on this page.</div>';
+    }
+    if (audit.error) {
+      return `<div class="result-empty">Found a TC string (${esc(audit.source)}) but could not decode it:<br>${esc(audit.error)}</div>`;
+    }
+
+    const g = audit.granted;
+    const items = [
+      ...g.purposeConsents.map(id => ({ label: TCString.PURPOSE_NAMES[id] || `Purpose ${id}`, category: `Purpose ${id}`, type: 'consent' })),
+      ...g.purposeLegitimateInterests.map(id => ({ label: TCString.PURPOSE_NAMES[id] || `Purpose ${id}`, category: `Purpose ${id}`, type: 'legitimate interest' })),
+      ...g.specialFeatureOptIns.map(id => ({ label: TCString.SPECIAL_FEATURE_NAMES[id] || `Special feature ${id}`, category: 'Special feature', type: 'consent' })),
+    ];
+    // Named vendors (first TCF_AUDIT_VENDOR_LIMIT in content.js), then a count for the rest
+    const vendorItems = (named, count, type, summary) => {
+      const listed = (named || []).map(v => ({ label: v.label, category: `Vendor ${v.id}`, type, retention: v.retention }));
+      if (count > listed.length) {
+        listed.push({ label: listed.length ? `…and ${count - listed.length} more vendors` : summary, category: 'Vendor', type });
+      }
+      return listed;
+    };
+    items.push(...vendorItems(audit.grantedVendors?.consents, g.vendorConsents, 'consent', `${g.vendorConsents} vendors still have consent`));
+    items.push(...vendorItems(audit.grantedVendors?.legitimateInterests, g.vendorLegitimateInterests, 'legitimate interest', `${g.vendorLegitimateInterests} vendors still claim legitimate interest`));
+
+    const summary = audit.verified
+      ? '<div class="tcf-summary verified">✓ Stored consent string confirms: nothing consented, no legitimate interests</div>'
+      : '<div class="tcf-summary unverified">⚠ The site still believes you agreed to:</div>';
+    const restrictions = audit.publisherRestrictions?.length || 0;
+    const meta = `
+      <div class="tcf-meta">
+        Source: ${esc(audit.source)} · CMP #${audit.cmpId} · GVL v${audit.vendorListVersion} · policy v${audit.policyVersion}<br>
+        Updated ${esc(new Date(audit.lastUpdated).toLocaleString())}${restrictions ? ` · ${restrictions} publisher restriction${restrictions !== 1 ? 's' : ''}` : ''}
+      </div>`;
+
+    return summary + items.map(item => renderItem(item, 'granted')).join('') + meta;
   }
 
   function renderItem(item, type) {
-    const icon = type === 'removed' ? '🚫' : '🔒';
-    const catClass = getCatClass(item.category, item.type);
-    const catLabel = item.type ? `${item.category} · ${item.type}` : item.category;
+    const fromProfile = item.source === 'profile';
+    const icon = type === 'removed' ? '🚫' : type === 'granted' ? '⚠' : fromProfile ? '✓' : '🔒';
+    const catClass = fromProfile ? 'profile' : getCatClass(item.category, item.type);
+    const catLabel = fromProfile ? `${item.category} · your profile`
+      : item.type ? `${item.category} · ${item.type}` : item.category;
     const section = item.section && item.section !== 'Main' ? ` [${item.section}]` : '';
     return `
       <div class="result-item">
         <span class="item-icon">${icon}</span>
         <div class="item-body">
           <div class="item-label">${esc(item.label || 'Unknown')}${section}</div>
-          <span class="item-cat ${catClass}">${esc(catLabel || '')}</span>
+          <span class="item-cat ${catClass}">${esc(catLabel || '')}</span>${item.retention ? ` <span class="item-cat">${esc(item.retention)}</span>` : ''}
         </div>
       </div>`;
   }
@@ -619,7 +894,18 @@ async function saveToHistory(result) {
     bannerFound: result.bannerFound || false,
     bannerClosed: result.bannerClosed || false,
     actionLog: result.actionLog || [],  // Detailed action log
-    consentOrPay: result.consentOrPay || false  // Consent-or-pay detection
+    consentOrPay: result.consentOrPay || false,  // Consent-or-pay detection
+    verification: result.verification?.verdict || null,  // Phase 7 verdict
+    gpc: result.gpc?.status || null,  // Global Privacy Control outcome
+    runId: result.runId || null,  // Links consent drift alerts to this run
+    darkPatterns: result.darkPatterns || null,  // Dark pattern report (dark-patterns.js)
+    rejectEffort: result.rejectEffort || null,  // Clicks / screens / seconds to reject (reject-effort.js)
+    cookies: CookieInventory.summary(result.cookies),  // Cookie counts and trackers left (cookie-inventory.js)
+    consentMode: result.consentMode ? {  // Google Consent Mode signals before/after
+      before: result.consentMode.before,
+      after: result.consentMode.after,
+      allDenied: result.consentMode.allDenied ?? null
+    } : null
   };
   
   // Remove expired entries (older than 30 days)
@@ -635,8 +921,19 @@ async function saveToHistory(result) {
   await chrome.storage.local.set({ denyHistory: history });
 }
 
-async function loadHistory() {
+// Flag the latest history entry for a domain as undone by a consent reset
+async function markHistoryReverted(domain) {
   const data = await chrome.storage.local.get('denyHistory');
+  const history = data.denyHistory || [];
+  const entry = history.find(item => item.domain === domain && !item.reverted);
+  if (!entry) return;
+  entry.reverted = true;
+  entry.revertedAt = Date.now();
+  await chrome.storage.local.set({ denyHistory: history });
+}
+
+async function loadHistory() {
+  const data = await chrome.storage.local.get(['denyHistory', 'driftAlerts']);
   let history = data.denyHistory || [];
   
   // Remove expired entries
@@ -672,11 +969,19 @@ async function loadHistory() {
     return;
   }
   
+  const driftByItem = matchDriftAlerts(history, data.driftAlerts || []);
+
   historyList.innerHTML = filteredHistory.map((item, index) => {
     const date = new Date(item.timestamp);
     const timeAgo = formatTimeAgo(item.timestamp);
     const hasActionLog = item.actionLog && item.actionLog.length > 0;
     const consentOrPayBadge = item.consentOrPay ? '<span class="consent-or-pay-badge" title="Consent-or-pay detected">⚠️ Pay Wall</span>' : '';
+    const revertedBadge = item.reverted ? `<span class="reverted-badge" title="Consent reset ${new Date(item.revertedAt).toLocaleString()}">↺ Reverted</span>` : '';
+    const drift = driftByItem.get(item) || [];
+    const darkPatternBadge = item.darkPatterns?.findings.length
+      ? `<span class="dark-pattern-badge" title="${esc(item.darkPatterns.findings.map(f => `${DarkPatterns.label(f.id)}${f.evidence.length ? `: ${f.evidence[0]}` : ''}`).join('\n'))}">🕳 ${item.darkPatterns.findings.length} dark pattern${item.darkPatterns.findings.length === 1 ? '' : 's'}</span>`
+      : '';
+    const driftBadge = drift.length ? `<span class="drift-badge" title="${esc(drift.map(alert => alert.detail).join('\n'))}">⟲ Drift</span>` : '';
     
     // Banner status handling
     let bannerStatus = '';
@@ -707,15 +1012,18 @@ async function loadHistory() {
     }
     
     // Format action log
+    const logCounts = hasActionLog ? ActionLog.counts(item.actionLog) : {};
     const actionLogHtml = hasActionLog ? `
       <div class="history-action-log" id="actionLog${index}" style="display:none;">
         <div class="action-log-title">Action Log:</div>
-        ${item.actionLog.map(log => `
-          <div class="action-log-entry">
-            <span class="action-log-time">${log.time}ms</span>
-            <span class="action-log-action">${esc(log.action)}</span>
-          </div>
-        `).join('')}
+        <div class="action-log-filter">
+          <select class="action-log-type" data-log-index="${index}">
+            <option value="">All events</option>
+            ${Object.keys(logCounts).map(type => `<option value="${type}">${ActionLog.TYPES[type]} (${logCounts[type]})</option>`).join('')}
+          </select>
+          <input class="action-log-search" data-log-index="${index}" type="search" placeholder="Filter text / selector">
+        </div>
+        <div class="action-log-entries" id="actionLogEntries${index}">${renderActionLogEntries(item.actionLog)}</div>
       </div>
     ` : '';
     
@@ -725,6 +1033,9 @@ async function loadHistory() {
           <div class="history-item-domain">
             ${esc(item.domain)}
             ${consentOrPayBadge}
+            ${revertedBadge}
+            ${driftBadge}
+            ${darkPatternBadge}
           </div>
           <div class="history-item-date" title="${date.toLocaleString()}">${timeAgo}</div>
         </div>
@@ -745,15 +1056,44 @@ async function loadHistory() {
             <span class="history-item-stat-icon ${bannerClass}">🎯</span>
             <span>${bannerStatus}</span>
           </div>
+          ${item.consentMode ? `
+          <div class="history-item-stat" title="Google Consent Mode after the run">
+            <span class="history-item-stat-icon ${item.consentMode.allDenied ? 'success' : 'warn'}">📡</span>
+            <span>Consent Mode ${item.consentMode.allDenied ? 'denied' : 'not fully denied'}</span>
+          </div>` : ''}
+          ${item.gpc ? `
+          <div class="history-item-stat" title="Global Privacy Control">
+            <span class="history-item-stat-icon ${item.gpc === 'honored' ? 'success' : 'warn'}">🛡</span>
+            <span>GPC ${esc(item.gpc)}</span>
+          </div>` : ''}
+          ${item.rejectEffort ? `
+          <div class="history-item-stat" title="Effort to reject: ${esc(RejectEffort.describe(item.rejectEffort))}">
+            <span class="history-item-stat-icon ${RejectEffort.harderThanAccept(item.rejectEffort) ? 'warn' : 'success'}">👆</span>
+            <span>${item.rejectEffort.via === 'api' ? 'API' : `${item.rejectEffort.clicks}${item.rejectEffort.acceptClicks ? ` vs ${item.rejectEffort.acceptClicks}` : ''} clicks`}</span>
+          </div>` : ''}
+          ${item.cookies?.counts?.after ? `
+          <div class="history-item-stat" title="Cookies ${esc(CookieInventory.STAGE_LABELS[CookieInventory.latestStage(item.cookies)].toLowerCase())}: ${esc(CookieInventory.describe(item.cookies.counts[CookieInventory.latestStage(item.cookies)]))}">
+            <span class="history-item-stat-icon ${item.cookies.persisting.length ? 'warn' : 'success'}">🍪</span>
+            <span>${item.cookies.persisting.length ? `${item.cookies.persisting.length} trackers left` : 'no trackers'}</span>
+          </div>` : ''}
+          ${item.verification ? `
+          <div class="history-item-stat" title="Post-deny verification">
+            <span class="history-item-stat-icon ${item.verification === 'verified' ? 'success' : 'warn'}">🔎</span>
+            <span>${esc(item.verification)}</span>
+          </div>` : ''}
         </div>
-        ${hasActionLog ? `
+        ${hasActionLog || item.runId ? `
           <div class="history-item-expand">
+            ${hasActionLog ? `
             <button class="expand-log-btn" data-log-index="${index}">
               <span class="expand-icon" id="expandIcon${index}">▶</span>
               View ${item.actionLog.length} actions
-            </button>
+            </button>` : ''}
+            ${item.runId ? `
+            <button class="expand-log-btn export-evidence-btn" data-log-index="${index}" title="Evidence bundle for a complaint (ZIP)">⬇ Evidence</button>` : ''}
           </div>
         ` : ''}
+        ${item.consentMode ? `<div class="cm-chips">${renderConsentModeChips(item.consentMode)}</div>` : ''}
         ${actionLogHtml}
       </div>
     `;
@@ -761,7 +1101,11 @@ async function loadHistory() {
   
   // Add event delegation for expand buttons (after rendering)
   setTimeout(() => {
-    document.querySelectorAll('.expand-log-btn').forEach(btn => {
+    document.querySelectorAll('.export-evidence-btn').forEach(btn => {
+      btn.addEventListener('click', () => exportEvidence(filteredHistory[btn.dataset.logIndex]));
+    });
+
+    document.querySelectorAll('.expand-log-btn:not(.export-evidence-btn)').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const index = btn.dataset.logIndex;
         const log = document.getElementById(`actionLog${index}`);
@@ -773,9 +1117,65 @@ async function loadHistory() {
         }
       });
     });
+
+    // Per-entry event type / text filter
+    document.querySelectorAll('.action-log-type, .action-log-search').forEach(input => {
+      input.addEventListener('input', () => {
+        const index = input.dataset.logIndex;
+        const type = document.querySelector(`.action-log-type[data-log-index="${index}"]`).value;
+        const text = document.querySelector(`.action-log-search[data-log-index="${index}"]`).value;
+        const entries = ActionLog.filter(filteredHistory[index].actionLog, { types: type ? [type] : null, text });
+        document.getElementById(`actionLogEntries${index}`).innerHTML =
+          renderActionLogEntries(entries) || '<div class="action-log-empty">No matching events</div>';
+      });
+    });
   }, 0);
 }
 
+/**
+ * Attach drift alerts to history entries: a re-prompt to the run that answered
+ * it, a consent flip to the latest denial on that domain before it
+ * @returns {Map<object, object[]>} history item → alerts
+ */
+function matchDriftAlerts(history, alerts) {
+  const byItem = new Map();
+  for (const alert of alerts) {
+    const item = alert.runId
+      ? history.find(entry => entry.runId === alert.runId)
+      : history.find(entry => entry.domain === alert.domain && entry.timestamp <= alert.detectedAt);
+    if (!item) continue;
+    byItem.set(item, [...(byItem.get(item) || []), alert]);
+  }
+  return byItem;
+}
+
+/**
+ * Action log rows: time, event type chip, phase, text and (for clicks,
+ * toggles and classifications) the element selector and confidence (hover
+ * for the per-class probabilities).
+ * Entries saved before typed events render as 'info'.
+ */
+function renderActionLogEntries(entries) {
+  return entries.map(log => {
+    const type = ActionLog.typeOf(log);
+    const details = [
+      log.selector && `<code>${esc(log.selector)}</code>`,
+      log.classification && esc(log.classification),
+      typeof log.confidence === 'number' && (log.probabilities
+        ? `<span title="${esc(Object.entries(log.probabilities).map(([c, p]) => `${c} ${Math.round(p * 100)}%`).join(' · '))}">${Math.round(log.confidence * 100)}%</span>`
+        : `${Math.round(log.confidence * 100)}%`),
+      log.result && esc(log.result),
+    ].filter(Boolean).join(' · ');
+    return `
+      <div class="action-log-entry">
+        <span class="action-log-time">${log.time}ms</span>
+        <span class="action-log-type-chip ${type}" title="${ActionLog.TYPES[type]}">${type}</span>
+        ${log.phase != null ? `<span class="action-log-phase">P${esc(String(log.phase))}</span>` : ''}
+        <span class="action-log-action">${esc(log.action)}${details ? `<span class="action-log-details">${details}</span>` : ''}</span>
+      </div>`;
+  }).join('');
+}
+
 // ── Filter Functions ────────────────────────────────────────────────────────
 
 function applyFilter(history, filter) {
@@ -879,6 +1279,32 @@ function switchToHistoryTab() {
   }
 }
 
+// Download the reject-effort measurements of every history entry as CSV
+async function exportRejectEffort() {
+  const data = await chrome.storage.local.get('denyHistory');
+  const csv = RejectEffort.toCsv(data.denyHistory || []);
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `guardr-reject-effort-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download one history entry's evidence bundle (evidence-bundle.js) as ZIP
+async function exportEvidence(item) {
+  if (!item) return;
+  const key = EvidenceBundle.storageKey(item.runId);
+  const data = await chrome.storage.local.get(key);
+  const files = EvidenceBundle.files(item, data[key] || null, { version: chrome.runtime.getManifest().version });
+  const url = URL.createObjectURL(EvidenceBundle.zip(files));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `guardr-evidence-${item.domain}-${new Date(item.timestamp).toISOString().slice(0, 10)}.zip`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 async function clearHistory() {
   if (!confirm('Clear all history? This cannot be undone.')) return;
   
@@ -913,6 +1339,8 @@ async function loadDashboard() {
     createTypesChart(stats);
     createTimelineChart(history);
     createTopSitesChart(history);
+    renderDarkPatternScorecard(history);
+    await loadDriftAlerts();
     
     // Load learning analytics
     await loadLearningAnalytics();
@@ -1336,6 +1764,78 @@ function createTopSitesChart(history) {
   });
 }
 
+// ── Dark pattern scorecard ──────────────────────────────────────────────────
+// Share of sites (latest run per domain) showing each pattern, plus the worst sites
+function renderDarkPatternScorecard(history) {
+  const view = document.getElementById('darkPatternScorecard');
+  if (!view) return;
+  const card = DarkPatterns.scorecard(history);
+  if (card.sites === 0) {
+    view.innerHTML = '<div class="drift-empty">No dark pattern reports yet. They are recorded with each run.</div>';
+    return;
+  }
+
+  const rows = card.patterns.map(p => `
+    <div class="dp-row" title="${p.count} of ${card.sites} sites">
+      <span class="dp-label">${esc(p.label)}</span>
+      <span class="dp-bar"><span class="dp-bar-fill sev${p.severity}" style="width:${Math.round(p.share * 100)}%"></span></span>
+      <span class="dp-count">${p.count}/${card.sites}</span>
+    </div>`).join('');
+  const worst = card.worst.length ? `
+    <div class="dp-worst-title">Worst sites</div>
+    ${card.worst.map(site => `
+      <div class="dp-worst" data-domain="${esc(site.domain)}" title="${esc(site.findings.map(id => DarkPatterns.label(id)).join(', '))}">
+        <span class="dp-worst-domain">${esc(site.domain)}</span>
+        <span class="dp-worst-score">${site.score}</span>
+      </div>`).join('')}` : '';
+  view.innerHTML = rows + worst;
+
+  view.querySelectorAll('.dp-worst').forEach(el => {
+    el.addEventListener('click', () => setFilter('domain', el.dataset.domain, `🌐 ${el.dataset.domain}`));
+  });
+}
+
+// ── Consent drift ───────────────────────────────────────────────────────────
+// Alerts raised by background.js from the per-domain consent ledger
+const DRIFT_TYPE_LABELS = { reprompt: 'Re-prompted early', flip: 'Consent flipped' };
+
+async function loadDriftAlerts() {
+  const view = document.getElementById('driftAlertsView');
+  if (!view) return;
+  const data = await chrome.storage.local.get('driftAlerts');
+  const alerts = data.driftAlerts || [];
+  document.getElementById('driftAlertCount').textContent = alerts.length ? `(${alerts.length})` : '';
+
+  if (alerts.length === 0) {
+    view.innerHTML = '<div class="drift-empty">No consent drift detected. Sites are keeping your choices.</div>';
+    return;
+  }
+
+  view.innerHTML = alerts.map(alert => `
+    <div class="drift-alert">
+      <div class="drift-alert-header">
+        <span class="drift-alert-domain" data-domain="${esc(alert.domain)}" title="Show history for ${esc(alert.domain)}">${esc(alert.domain)}</span>
+        <span class="drift-alert-type ${esc(alert.type)}">${DRIFT_TYPE_LABELS[alert.type] || esc(alert.type)}</span>
+        <span class="drift-alert-time" title="${new Date(alert.detectedAt).toLocaleString()}">${formatTimeAgo(alert.detectedAt)}</span>
+        <button class="drift-dismiss-btn" data-alert-id="${alert.id}" title="Dismiss">✕</button>
+      </div>
+      <div class="drift-alert-detail">${esc(alert.detail)}${alert.cmp ? ` · ${esc(alert.cmp)}` : ''}</div>
+    </div>
+  `).join('');
+
+  view.querySelectorAll('.drift-alert-domain').forEach(el => {
+    el.addEventListener('click', () => setFilter('domain', el.dataset.domain, `🌐 ${el.dataset.domain}`));
+  });
+  view.querySelectorAll('.drift-dismiss-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const latest = (await chrome.storage.local.get('driftAlerts')).driftAlerts || [];
+      await chrome.storage.local.set({ driftAlerts: latest.filter(alert => String(alert.id) !== btn.dataset.alertId) });
+      loadDriftAlerts();
+      loadHistory();
+    });
+  });
+}
+
 // ── Learning Analytics ────────────────────────────────────────────────────
 async function loadLearningAnalytics() {
   try {
@@ -1527,7 +2027,7 @@ document.getElementById('dismissDonationPrompt')?.addEventListener('click', () =
 // ── Settings, Donation & Telemetry ─────────────────────────────────────────
 
 async function initSettings() {
-  const data = await chrome.storage.local.get(['telemetryOptIn','autoMode','donationSnoozedUntil','runCount']);
+  const data = await chrome.storage.local.get(['telemetryOptIn','autoMode','privacySignals','evidenceCapture','donationSnoozedUntil','runCount']);
 
   // Telemetry toggle
   const telToggle = document.getElementById('telemetryToggle');
@@ -1556,6 +2056,24 @@ async function initSettings() {
     });
   }
 
+  // Privacy signals toggle (GPC / DNT) - background.js applies the change
+  const signalsToggle = document.getElementById('privacySignalsToggle');
+  if (signalsToggle) {
+    signalsToggle.checked = data.privacySignals === true;
+    signalsToggle.addEventListener('change', () => {
+      chrome.storage.local.set({ privacySignals: signalsToggle.checked });
+    });
+  }
+
+  // Evidence capture - content.js / banner-prehide.js read it at run start
+  const evidenceToggle = document.getElementById('evidenceCaptureToggle');
+  if (evidenceToggle) {
+    evidenceToggle.checked = data.evidenceCapture === true;
+    evidenceToggle.addEventListener('change', () => {
+      chrome.storage.local.set({ evidenceCapture: evidenceToggle.checked });
+    });
+  }
+
   // Donation bar — show after 3rd use, unless snoozed
   const runCount = (data.runCount || 0);
   const snoozedUntil = data.donationSnoozedUntil || 0;
@@ -1574,6 +2092,143 @@ async function initSettings() {
   }
 }
 
+// Category chips for the preference profile; necessary is shown but locked on
+function renderCategoryChips(container, categories, onChange) {
+  container.innerHTML = Object.entries(PreferenceProfile.CATEGORIES).map(([key, cat]) => {
+    const on = cat.locked || categories[key] === true;
+    return `<button class="cat-chip${on ? ' on' : ''}${cat.locked ? ' locked' : ''}" data-category="${key}"` +
+      `${cat.locked ? ' disabled title="Always kept"' : ''}>${cat.label}</button>`;
+  }).join('');
+  container.querySelectorAll('.cat-chip:not(.locked)').forEach(chip => {
+    chip.addEventListener('click', () => {
+      onChange({ ...categories, [chip.dataset.category]: !chip.classList.contains('on') });
+    });
+  });
+}
+
+// "Keep on all sites" (settings) and "Keep on this site" (main view)
+async function initPreferenceProfile() {
+  const defaultChips = document.getElementById('defaultProfileChips');
+  const siteChips = document.getElementById('siteProfileChips');
+  const domain = tab?.url ? extractDomain(tab.url) : null;
+
+  const render = async () => {
+    const stored = await PreferenceProfile.load();
+    if (defaultChips) {
+      renderCategoryChips(defaultChips, stored.default, async (categories) => {
+        await PreferenceProfile.save(null, categories);
+        render();
+      });
+    }
+    if (siteChips && domain) {
+      const override = stored.sites[domain];
+      renderCategoryChips(siteChips, override || stored.default, async (categories) => {
+        await PreferenceProfile.save(domain, categories);
+        render();
+      });
+      siteChips.title = override ? 'Custom for this site' : 'Same as all sites (change in ⚙ Settings)';
+    }
+  };
+  await render();
+}
+
+// Vendor list status plus import of a full GVL from a local JSON file
+async function initVendorList() {
+  const status = document.getElementById('vendorListStatus');
+  const importBtn = document.getElementById('vendorListImportBtn');
+  const resetBtn = document.getElementById('vendorListResetBtn');
+  const fileInput = document.getElementById('vendorListFile');
+  if (!status || !importBtn || !resetBtn || !fileInput) return;
+
+  const showStatus = () => {
+    if (VendorList.vendors.size === 0) {
+      status.textContent = 'No vendor list loaded';
+    } else if (VendorList.sample) {
+      status.textContent = `Bundled sample · ${VendorList.vendors.size} common vendors only, not the full GVL - import vendor-list.json to name the rest`;
+    } else {
+      status.textContent = `Imported · GVL v${VendorList.version ?? '?'} · ${VendorList.vendors.size} vendors`;
+    }
+    resetBtn.disabled = VendorList.source !== 'imported';
+  };
+  const loadSnapshot = async () => {
+    const snapshot = await VendorList.readSnapshot();
+    if (snapshot) VendorList.load(snapshot.gvl, snapshot.source);
+    showStatus();
+  };
+
+  importBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      await VendorList.importSnapshot(await file.text());
+      showStatus();
+    } catch (err) {
+      status.textContent = `Import failed: ${err.message}`;
+    }
+  });
+  resetBtn.addEventListener('click', async () => {
+    await VendorList.clearImportedSnapshot();
+    await loadSnapshot();
+  });
+
+  await loadSnapshot();
+}
+
+// TCF purpose / special feature checkboxes and the vendor block/allow list
+async function initTcfChoices() {
+  const purposeList = document.getElementById('tcfPurposeChoices');
+  const featureList = document.getElementById('tcfFeatureChoices');
+  const modeSelect = document.getElementById('vendorModeSelect');
+  const idsInput = document.getElementById('vendorIdsInput');
+  const vendorNames = document.getElementById('vendorNames');
+  if (!purposeList || !featureList || !modeSelect || !idsInput) return;
+
+  let choices = await VendorList.loadChoices();
+  const save = async () => { choices = await VendorList.saveChoices(choices); };
+  // Purposes 10 and 11 are always kept by content.js (MANDATORY_TCF_PURPOSES)
+  const ALWAYS_KEPT = [10, 11];
+
+  const renderChecks = (container, names, key, prefix) => {
+    container.innerHTML = Object.entries(names).map(([id, name]) => {
+      const locked = key === 'purposes' && ALWAYS_KEPT.includes(Number(id));
+      const checked = locked || choices[key][id] === true;
+      return `<label><input type="checkbox" data-id="${id}"${checked ? ' checked' : ''}${locked ? ' disabled' : ''}>` +
+        `${prefix} ${id}: ${esc(name)}${locked ? ' (always kept)' : ''}</label>`;
+    }).join('');
+    container.querySelectorAll('input:not([disabled])').forEach(box => {
+      box.addEventListener('change', () => {
+        choices[key] = { ...choices[key], [box.dataset.id]: box.checked };
+        save();
+      });
+    });
+  };
+
+  const showVendorNames = () => {
+    if (!vendorNames) return;
+    const named = choices.vendors.map(id => VendorList.name(id) ? `${id} ${VendorList.name(id)}` : `${id}`);
+    vendorNames.textContent = named.length ? named.join(' · ') : 'No vendors listed';
+  };
+
+  renderChecks(purposeList, TCString.PURPOSE_NAMES, 'purposes', 'Purpose');
+  renderChecks(featureList, TCString.SPECIAL_FEATURE_NAMES, 'specialFeatures', 'Special feature');
+  modeSelect.value = choices.vendorMode;
+  idsInput.value = choices.vendors.join(', ');
+  showVendorNames();
+
+  modeSelect.addEventListener('change', async () => {
+    choices.vendorMode = modeSelect.value;
+    await save();
+  });
+  idsInput.addEventListener('change', async () => {
+    choices.vendors = VendorList.parseIds(idsInput.value);
+    await save();
+    idsInput.value = choices.vendors.join(', ');
+    showVendorNames();
+  });
+}
+
 function initSettingsToggle() {
   const btn = document.getElementById('settingsToggle');
   const drawer = document.getElementById('settingsDrawer');
@@ -1630,5 +2285,7 @@ function getAnonSession() {
 // ── Init all extras ─────────────────────────────────────────────────────────
 initSettings();
 initSettingsToggle();
+initPreferenceProfile();
+initVendorList().then(initTcfChoices);
 
 });
@@ -0,0 +1,154 @@
+/**
+ * Guardr - Preference Profile
+ *
+ * Which cookie categories the user wants to keep instead of denying. Stored in
+ * chrome.storage.local under `preferenceProfile`:
+ *   { default: { functional: false, analytics: true, ... },
+ *     sites:   { [domain]: { ...same shape } } }
+ * A site entry replaces the default for that domain. Necessary cookies are
+ * always kept and are not part of the stored profile.
+ *
+ * A resolved profile ({ allowed: Set<category>, source }) drives toggle
+ * scraping, the TCF adapter and the Phase 7 verdict in content.js.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const PreferenceProfile = {
+
+  STORAGE_KEY: 'preferenceProfile',
+
+  // Checked in this order, so "personalised advertising" is advertising and
+  // "measure advertising performance" is not analytics
+  CATEGORIES: {
+    necessary:          { label: 'Necessary', locked: true },
+    legitimateInterest: { label: 'Legitimate interest' },
+    social:             { label: 'Social', pattern: /\bsocial\b|^C0005$/i },
+    advertising:        { label: 'Advertising', pattern: /advertis|marketing|targeting|\bads?\b|^C0004$/i },
+    personalization:    { label: 'Personalization', pattern: /personali[sz]|content selection/i },
+    analytics:          { label: 'Analytics', pattern: /analytic|statistic|performance|measure|audience|^C0002$/i },
+    functional:         { label: 'Functional', pattern: /\bfunctional(ity)?\b|\bpreferences?\b|store and\/or access|^C0003$/i },
+  },
+
+  // IAB TCF v2 purposes per category (10 and 11 are always kept by content.js)
+  TCF_PURPOSES: {
+    functional: [1],
+    advertising: [2, 3, 4, 7],
+    personalization: [5, 6],
+    analytics: [8, 9],
+  },
+
+  /**
+   * Stored categories a user can switch (everything but necessary)
+   * @returns {string[]}
+   */
+  configurable() {
+    return Object.keys(this.CATEGORIES).filter(key => !this.CATEGORIES[key].locked);
+  },
+
+  /**
+   * A profile that keeps nothing (deny everything non-essential)
+   */
+  none() {
+    return { allowed: new Set(), source: 'default' };
+  },
+
+  async load() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const stored = data[this.STORAGE_KEY] || {};
+    return { default: stored.default || {}, sites: stored.sites || {} };
+  },
+
+  /**
+   * Profile for one domain
+   * @param {string} domain
+   * @param {string} [policy] - Site policy; "functional-only" always keeps functional
+   * @returns {Promise<{allowed: Set<string>, source: string}>}
+   */
+  async resolve(domain, policy) {
+    const stored = await this.load();
+    const site = stored.sites[domain];
+    const categories = site || stored.default;
+    const allowed = new Set(this.configurable().filter(key => categories[key] === true));
+    let source = site ? 'site' : 'default';
+    if (policy === 'functional-only' && !allowed.has('functional')) {
+      allowed.add('functional');
+      source = 'site policy';
+    }
+    return { allowed, source };
+  },
+
+  /**
+   * Save categories for all sites (domain null) or one site; a site that
+   * matches the default is stored as "no override"
+   * @param {string|null} domain
+   * @param {object} categories - { [category]: boolean }
+   */
+  async save(domain, categories) {
+    const stored = await this.load();
+    const clean = {};
+    for (const key of this.configurable()) clean[key] = categories[key] === true;
+
+    if (!domain) {
+      stored.default = clean;
+    } else if (this.configurable().every(key => clean[key] === (stored.default[key] === true))) {
+      delete stored.sites[domain];
+    } else {
+      stored.sites[domain] = clean;
+    }
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: stored });
+  },
+
+  /**
+   * Category a toggle / CMP category label belongs to
+   * @param {string} label
+   * @param {boolean} isLegitimateInterest - Toggle is a legitimate-interest objection
+   * @returns {string|null}
+   */
+  categoryOf(label, isLegitimateInterest = false) {
+    if (isLegitimateInterest) return 'legitimateInterest';
+    const text = String(label || '').trim();
+    for (const [key, category] of Object.entries(this.CATEGORIES)) {
+      if (category.pattern?.test(text)) return key;
+    }
+    return null;
+  },
+
+  /**
+   * @returns {string|null} The category the profile keeps this label for, or null
+   */
+  keeps(profile, label, isLegitimateInterest = false) {
+    if (!profile || profile.allowed.size === 0) return null;
+    const category = this.categoryOf(label, isLegitimateInterest);
+    return category && profile.allowed.has(category) ? category : null;
+  },
+
+  /**
+   * TCF purpose ids the profile keeps
+   * @returns {Set<number>}
+   */
+  tcfPurposes(profile) {
+    const ids = new Set();
+    for (const category of profile?.allowed || []) {
+      for (const id of this.TCF_PURPOSES[category] || []) ids.add(id);
+    }
+    return ids;
+  },
+
+  /**
+   * Plain-data form for messages and results
+   */
+  serialize(profile) {
+    return { allowed: [...profile.allowed], source: profile.source };
+  },
+
+  deserialize(data) {
+    return data ? { allowed: new Set(data.allowed || []), source: data.source || 'default' } : this.none();
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PreferenceProfile;
+}
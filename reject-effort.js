@@ -0,0 +1,110 @@
+/**
+ * Guardr - Reject Effort
+ *
+ * How hard a site makes it to say no, measured from a run's action log: the
+ * clicks (buttons plus every toggle switched off), screens and seconds it
+ * took to reach the denial, against the single click "Accept all" takes on
+ * the first layer. GDPR Art. 7(3) asks for withdrawing consent to be as easy
+ * as giving it; ratio > 1 documents where it is not.
+ *
+ *   measure(result) → { clicks, buttonClicks, toggleClicks, layers, seconds,
+ *                       acceptClicks, ratio, complete, via } | null
+ *   toCsv(history)  → CSV of the measured history entries (popup export)
+ *
+ * Loaded in content scripts and the popup.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const RejectEffort = {
+
+  CSV_COLUMNS: ['date', 'domain', 'cmp', 'clicks', 'buttonClicks', 'toggleClicks', 'layers', 'seconds',
+    'acceptClicks', 'ratio', 'complete', 'via', 'verification', 'url'],
+
+  /**
+   * @param {object} result - A run's result (actionLog, sectionsProcessed,
+   *   firstLayerAccept, verification, darkPatterns, bannerFound)
+   * @returns {object|null} null when there was no banner to answer
+   */
+  measure(result) {
+    if (!result?.bannerFound) return null;
+    const log = result.actionLog || [];
+    const clicks = log.filter(entry => entry.type === 'click');
+    const toggles = log.filter(entry => entry.type === 'toggle-unchecked');
+    const apiCalls = log.filter(entry => entry.type === 'api-call');
+    const steps = [...clicks, ...toggles];
+
+    // Screens: the first layer, every "manage" click, every preference tab
+    // and a reject that led to yet another screen
+    const layers = 1 +
+      clicks.filter(entry => entry.classification === 'manage').length +
+      (result.sectionsProcessed || []).length +
+      (result.darkPatterns?.findings?.some(f => f.id === 'reject-leads-deeper') ? 1 : 0);
+
+    const lastStep = steps.reduce((max, entry) => Math.max(max, entry.time || 0), 0);
+    const acceptClicks = result.firstLayerAccept ? 1 : null;
+    const total = steps.length;
+
+    return {
+      clicks: total,
+      buttonClicks: clicks.length,
+      toggleClicks: toggles.length,
+      layers,
+      seconds: Math.round(lastStep / 100) / 10,
+      acceptClicks,
+      ratio: acceptClicks && total > 0 ? total / acceptClicks : null,
+      complete: result.verification?.verdict === 'verified',
+      // The CMP's API answered without any UI: a person would still need the clicks
+      via: total === 0 && apiCalls.length > 0 ? 'api' : total > 0 ? 'ui' : 'none',
+    };
+  },
+
+  /**
+   * Whether rejecting took more than accepting would have
+   */
+  harderThanAccept(effort) {
+    return !!effort && effort.ratio !== null && effort.ratio > 1;
+  },
+
+  /**
+   * "4 clicks · 2 screens · 3.1s (accept: 1 click)"
+   */
+  describe(effort) {
+    if (!effort) return '';
+    if (effort.via === 'api') return 'Denied through the CMP API (no clicks measured)';
+    const parts = [`${effort.clicks} click${effort.clicks === 1 ? '' : 's'}`,
+      `${effort.layers} screen${effort.layers === 1 ? '' : 's'}`, `${effort.seconds}s`];
+    return `${parts.join(' · ')}${effort.acceptClicks ? ` (accept: ${effort.acceptClicks} click)` : ''}`;
+  },
+
+  /**
+   * CSV export of every history entry with a measurement
+   * @param {object[]} history - denyHistory items
+   * @returns {string}
+   */
+  toCsv(history) {
+    const quote = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = history.filter(item => item.rejectEffort).map(item => {
+      const row = {
+        ...item.rejectEffort,
+        date: new Date(item.timestamp).toISOString(),
+        domain: item.domain,
+        cmp: item.cmp,
+        verification: item.verification,
+        url: item.url,
+        ratio: item.rejectEffort.ratio === null ? '' : item.rejectEffort.ratio.toFixed(1),
+      };
+      return this.CSV_COLUMNS.map(column => quote(row[column])).join(',');
+    });
+    return [this.CSV_COLUMNS.join(','), ...rows].join('\n');
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RejectEffort;
+}
@@ -0,0 +1,93 @@
+/**
+ * Guardr - Run Controller
+ *
+ * Serialises deny runs within one frame. Every run gets an id and an
+ * AbortSignal; runs started while another is active wait for it (mutex), so
+ * a popup click during an auto-mode run can no longer interleave with it.
+ *
+ *   run(source, task, { resumedFrom }) → Promise   task(run) once the frame is free
+ *   cancel(reason)                     → string[]  abort the active and queued runs
+ *   throwIfAborted(signal)                         throw an AbortError if cancelled
+ *
+ * A run handed to task() is { id, source, signal, resumedFrom, startTime }.
+ * Sources: 'popup', 'auto', 'page' (DSC_CLEAN), 'frame' (RUN_FRAME_DENY).
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const RunController = {
+
+  active: null,  // The run currently holding the frame
+  queued: [],    // Runs waiting for it
+  tail: Promise.resolve(),
+  seq: 0,
+
+  newId() {
+    this.seq += 1;
+    return `${Date.now().toString(36)}-${this.seq}`;
+  },
+
+  /**
+   * Run task(run) as the only active run in this frame
+   * @param {string} source - What started the run
+   * @param {Function} task - async (run) => result
+   * @param {object} options - { resumedFrom: id of the run this one resumes }
+   * @returns {Promise<*>} The task's result
+   */
+  run(source, task, { resumedFrom = null } = {}) {
+    const controller = new AbortController();
+    const run = { id: this.newId(), source, signal: controller.signal, resumedFrom, startTime: null, controller };
+    this.queued.push(run);
+    if (this.active) {
+      console.log(`[Guardr] Run ${run.id} (${source}) waiting for run ${this.active.id} (${this.active.source})`);
+    }
+
+    const result = this.tail.then(async () => {
+      this.queued = this.queued.filter(r => r !== run);
+      this.active = run;
+      run.startTime = Date.now();
+      try {
+        return await task(run);
+      } finally {
+        this.active = null;
+      }
+    });
+    this.tail = result.catch(() => {});
+    return result;
+  },
+
+  /**
+   * Abort the active run and every queued one. Queued runs still start, see
+   * the aborted signal at their first check and finish straight away.
+   * @param {string} reason - Recorded on the run's result ('user', 'navigation', ...)
+   * @param {object} options - { queued: also abort waiting runs (default true) }
+   * @returns {string[]} Ids of the runs aborted
+   */
+  cancel(reason = 'user', { queued = true } = {}) {
+    const runs = [this.active, ...(queued ? this.queued : [])].filter(run => run && !run.signal.aborted);
+    runs.forEach(run => run.controller.abort(reason));
+    if (runs.length > 0) console.log(`[Guardr] Cancelled run(s) ${runs.map(run => run.id).join(', ')} (${reason})`);
+    return runs.map(run => run.id);
+  },
+
+  /**
+   * @returns {boolean} Whether err came from throwIfAborted()
+   */
+  isAbort(err) {
+    return err?.name === 'AbortError';
+  },
+
+  throwIfAborted(signal) {
+    if (!signal?.aborted) return;
+    const err = new Error(`Run cancelled (${signal.reason})`);
+    err.name = 'AbortError';
+    err.reason = String(signal.reason);
+    throw err;
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RunController;
+}
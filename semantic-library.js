@@ -629,7 +629,9 @@ const SemanticLibrary = {
   
   /**
    * Classify button intent based on text content
-   * Checks custom learned patterns FIRST before built-in patterns
+   * Checks custom learned patterns FIRST before built-in patterns. This is
+   * the text signal of ButtonClassifier (button-classifier.js), which content.js
+   * uses to weigh it against attributes, styling and position
    * @param {string} text - Button text or aria-label
    * @returns {'deny'|'accept'|'manage'|'confirm'|'unknown'}
    */
@@ -0,0 +1,76 @@
+/**
+ * Guardr - Per-site Policies
+ *
+ * Overrides the global auto-mode switch for individual domains. Stored in
+ * chrome.storage.local under `sitePolicies` as { [domain]: policy }; domains
+ * without an entry follow auto mode.
+ *
+ * POLICIES:
+ * - auto-deny: deny automatically even when auto mode is off
+ * - functional-only: deny everything except functional / preference cookies
+ *   (adds "functional" to the site's preference profile, see preference-profile.js)
+ * - ask-first: never run on its own; offer a one-click deny on the page instead
+ * - never: don't touch the site at all (SSO, checkout...), manual runs included
+ *
+ * Loaded at document_start (content scripts) and by the popup.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const SitePolicy = {
+
+  STORAGE_KEY: 'sitePolicies',
+  DEFAULT: 'default',
+
+  LABELS: {
+    'default': 'Follow auto mode',
+    'auto-deny': 'Always deny',
+    'functional-only': 'Allow functional only',
+    'ask-first': 'Ask first',
+    'never': 'Never touch',
+  },
+
+  domainKey(hostname = window.location.hostname) {
+    return hostname.replace(/^www\./, '');
+  },
+
+  /**
+   * @param {string} domain
+   * @returns {Promise<string>} The site's policy, DEFAULT when none is set
+   */
+  async get(domain) {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const policy = data[this.STORAGE_KEY]?.[domain];
+    return this.LABELS[policy] ? policy : this.DEFAULT;
+  },
+
+  /**
+   * @param {string} domain
+   * @param {string} policy - One of LABELS; DEFAULT removes the entry
+   */
+  async set(domain, policy) {
+    if (!this.LABELS[policy]) throw new Error(`Unknown site policy: ${policy}`);
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    const policies = data[this.STORAGE_KEY] || {};
+    if (policy === this.DEFAULT) delete policies[domain];
+    else policies[domain] = policy;
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: policies });
+  },
+
+  /**
+   * Whether a page load should deny without being asked
+   * @param {string} policy
+   * @param {boolean} autoMode - The global switch
+   */
+  runsAutomatically(policy, autoMode) {
+    if (policy === 'auto-deny') return true;
+    if (policy === 'never' || policy === 'ask-first') return false;
+    return !!autoMode;
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SitePolicy;
+}
@@ -0,0 +1,299 @@
+/**
+ * Guardr - IAB TCF v2 TC String Decoder
+ *
+ * Decodes the consent string a CMP stores after the user (or Guardr) makes a
+ * choice, so a run can be audited against what the site will actually send to
+ * vendors instead of what was clicked. Also encodes the one string Guardr
+ * writes itself: a full rejection (encodeRejection()).
+ *
+ * SEGMENTS:
+ * - Core (always first): metadata, special features, purpose consents / LI,
+ *   vendor consents, vendor LI, publisher restrictions
+ * - Publisher TC (segment type 3): publisher purposes and custom purposes
+ * - Disclosed / allowed vendors (types 1 and 2) are recognised but not decoded
+ *
+ * Field layout follows the IAB "Consent string and vendor list formats v2"
+ * specification (TCF v2.0 - v2.2 share the same core layout).
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const TCString = {
+
+  ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_',
+
+  PURPOSE_NAMES: {
+    1:'Store and/or access information on a device',2:'Use limited data to select advertising',
+    3:'Create profiles for personalised advertising',4:'Use profiles to select personalised advertising',
+    5:'Create profiles to personalise content',6:'Use profiles to select personalised content',
+    7:'Measure advertising performance',8:'Measure content performance',
+    9:'Understand audiences through statistics or combinations of data',
+    10:'Develop and improve services',11:'Use limited data to select content',
+  },
+
+  SPECIAL_FEATURE_NAMES: {
+    1:'Use precise geolocation data',
+    2:'Actively scan device characteristics for identification',
+  },
+
+  RESTRICTION_TYPES: {
+    0: 'not allowed',
+    1: 'require consent',
+    2: 'require legitimate interest',
+  },
+
+  SEGMENT_TYPES: {
+    1: 'disclosed vendors',
+    2: 'allowed vendors',
+    3: 'publisher TC',
+  },
+
+  /**
+   * Quick shape check (v2 strings always start with "C")
+   * @param {string} str
+   * @returns {boolean}
+   */
+  looksLikeTCString(str) {
+    return typeof str === 'string' && /^C[A-Za-z0-9_-]{20,}(\.[A-Za-z0-9_-]+)*$/.test(str);
+  },
+
+  /**
+   * Decode a full TC string
+   * @param {string} tcString
+   * @returns {object} Decoded core segment plus publisherTC (or null)
+   * @throws {Error} If the string is malformed or not version 2
+   */
+  decode(tcString) {
+    if (typeof tcString !== 'string' || !tcString) {
+      throw new Error('Empty TC string');
+    }
+
+    const [coreSegment, ...others] = tcString.trim().split('.');
+    const result = this.decodeCore(this.reader(coreSegment));
+    result.publisherTC = null;
+    result.segments = ['core'];
+
+    for (const segment of others) {
+      const r = this.reader(segment);
+      const type = r.int(3);
+      result.segments.push(this.SEGMENT_TYPES[type] || `unknown (${type})`);
+      if (type === 3) result.publisherTC = this.decodePublisherTC(r);
+    }
+
+    return result;
+  },
+
+  decodeCore(r) {
+    const version = r.int(6);
+    if (version !== 2) throw new Error(`Unsupported TC string version ${version}`);
+
+    const core = {
+      version,
+      created: this.date(r.int(36)),
+      lastUpdated: this.date(r.int(36)),
+      cmpId: r.int(12),
+      cmpVersion: r.int(12),
+      consentScreen: r.int(6),
+      consentLanguage: r.letters(2),
+      vendorListVersion: r.int(12),
+      policyVersion: r.int(6),
+      isServiceSpecific: r.bool(),
+      useNonStandardTexts: r.bool(),
+      specialFeatureOptIns: r.bitfield(12),
+      purposeConsents: r.bitfield(24),
+      purposeLegitimateInterests: r.bitfield(24),
+      purposeOneTreatment: r.bool(),
+      publisherCC: r.letters(2),
+    };
+
+    core.vendorConsents = this.vendorSection(r);
+    core.vendorLegitimateInterests = this.vendorSection(r);
+    core.publisherRestrictions = this.restrictionsSection(r);
+    return core;
+  },
+
+  decodePublisherTC(r) {
+    const purposeConsents = r.bitfield(24);
+    const purposeLegitimateInterests = r.bitfield(24);
+    const numCustomPurposes = r.int(6);
+    return {
+      purposeConsents,
+      purposeLegitimateInterests,
+      customPurposeConsents: r.bitfield(numCustomPurposes),
+      customPurposeLegitimateInterests: r.bitfield(numCustomPurposes),
+    };
+  },
+
+  // MaxVendorId, then either a bitfield or a list of ranges
+  vendorSection(r) {
+    const maxVendorId = r.int(16);
+    const isRangeEncoding = r.bool();
+    return isRangeEncoding ? this.rangeEntries(r) : r.bitfield(maxVendorId);
+  },
+
+  rangeEntries(r) {
+    const ids = [];
+    const numEntries = r.int(12);
+    for (let i = 0; i < numEntries; i++) {
+      const isRange = r.bool();
+      const start = r.int(16);
+      const end = isRange ? r.int(16) : start;
+      for (let id = start; id <= end; id++) ids.push(id);
+    }
+    return ids;
+  },
+
+  restrictionsSection(r) {
+    // Some encoders stop after the vendor sections when there are no restrictions
+    if (r.remaining() < 12) return [];
+    const restrictions = [];
+    const count = r.int(12);
+    for (let i = 0; i < count; i++) {
+      const purposeId = r.int(6);
+      const restrictionType = r.int(2);
+      restrictions.push({
+        purposeId,
+        restrictionType,
+        restriction: this.RESTRICTION_TYPES[restrictionType] || 'undefined',
+        vendors: this.rangeEntries(r),
+      });
+    }
+    return restrictions;
+  },
+
+  /**
+   * Compare a decoded string against a full denial
+   * @param {object} decoded - Output of decode()
+   * @param {Set<number>} allowedPurposes - Purposes Guardr deliberately keeps
+   * @param {object} [keep] - Other deliberate keeps
+   * @param {Set<number>} [keep.specialFeatures] - Special features the user opted into
+   * @param {function(number): boolean} [keep.vendor] - Vendors that keep consent / LI
+   * @returns {{verified: boolean, granted: object}} What is still granted
+   */
+  verify(decoded, allowedPurposes = new Set(), { specialFeatures = new Set(), vendor = () => false } = {}) {
+    const notAllowed = id => !allowedPurposes.has(id);
+    const granted = {
+      purposeConsents: decoded.purposeConsents.filter(notAllowed),
+      purposeLegitimateInterests: decoded.purposeLegitimateInterests.filter(notAllowed),
+      specialFeatureOptIns: decoded.specialFeatureOptIns.filter(id => !specialFeatures.has(id)),
+      vendorConsents: decoded.vendorConsents.filter(id => !vendor(id)).length,
+      vendorLegitimateInterests: decoded.vendorLegitimateInterests.filter(id => !vendor(id)).length,
+    };
+    const verified = granted.purposeConsents.length === 0 &&
+                     granted.purposeLegitimateInterests.length === 0 &&
+                     granted.specialFeatureOptIns.length === 0 &&
+                     granted.vendorConsents === 0 &&
+                     granted.vendorLegitimateInterests === 0;
+    return { verified, granted };
+  },
+
+  /**
+   * Short, stable fingerprint of a TC string (FNV-1a, 32 bit) so consent
+   * changes can be noticed without storing the string itself
+   * @returns {string} 8 hex digits
+   */
+  hash(tcString) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < tcString.length; i++) {
+      h ^= tcString.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h.toString(16).padStart(8, '0');
+  },
+
+  /**
+   * Encode a core segment that grants nothing: no purpose consent or LI, no
+   * special features, no vendors, no publisher restrictions. Used for the
+   * TCF CMPs' reject templates in consent-seeder.js.
+   * @param {object} fields - { cmpId, cmpVersion, vendorListVersion, policyVersion,
+   *                            consentLanguage, publisherCC, date }
+   * @returns {string}
+   */
+  encodeRejection({ cmpId, cmpVersion = 1, vendorListVersion, policyVersion = 5,
+                    consentLanguage = 'EN', publisherCC = 'AA', date = new Date() }) {
+    const w = this.writer();
+    const deciseconds = Math.round(date.getTime() / 100);
+    w.int(2, 6);
+    w.int(deciseconds, 36);             // Created
+    w.int(deciseconds, 36);             // LastUpdated
+    w.int(cmpId, 12);
+    w.int(cmpVersion, 12);
+    w.int(1, 6);                        // ConsentScreen
+    w.letters(consentLanguage);
+    w.int(vendorListVersion, 12);
+    w.int(policyVersion, 6);
+    w.int(1, 1);                        // IsServiceSpecific (required since TCF v2.2)
+    w.int(0, 1 + 12 + 24 + 24 + 1);     // UseNonStandardTexts, special features, purposes, PurposeOneTreatment
+    w.letters(publisherCC);
+    w.int(0, 16 + 1);                   // Vendor consents: MaxVendorId 0, bitfield
+    w.int(0, 16 + 1);                   // Vendor LI: MaxVendorId 0, bitfield
+    w.int(0, 12);                       // NumPubRestrictions
+    return w.toString();
+  },
+
+  // TCF timestamps are deciseconds since the epoch
+  date(deciseconds) {
+    return new Date(deciseconds * 100).toISOString();
+  },
+
+  /**
+   * Sequential bit reader over one base64url segment
+   */
+  reader(segment) {
+    let bits = '';
+    for (const ch of segment.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')) {
+      const value = this.ALPHABET.indexOf(ch);
+      if (value < 0) throw new Error(`Invalid TC string character "${ch}"`);
+      bits += value.toString(2).padStart(6, '0');
+    }
+
+    let pos = 0;
+    const take = (n) => {
+      if (pos + n > bits.length) throw new Error('TC string is truncated');
+      const chunk = bits.slice(pos, pos + n);
+      pos += n;
+      return chunk;
+    };
+
+    return {
+      int: (n) => n === 0 ? 0 : parseInt(take(n), 2),
+      bool: () => take(1) === '1',
+      bitfield: (n) => {
+        const set = [];
+        const field = take(n);
+        for (let i = 0; i < n; i++) if (field[i] === '1') set.push(i + 1);
+        return set;
+      },
+      letters: (n) => {
+        let out = '';
+        for (let i = 0; i < n; i++) out += String.fromCharCode(65 + parseInt(take(6), 2));
+        return out;
+      },
+      remaining: () => bits.length - pos,
+    };
+  },
+
+  /**
+   * Bit writer, the counterpart of reader()
+   */
+  writer() {
+    let bits = '';
+    const int = (value, n) => { bits += value.toString(2).padStart(n, '0').slice(-n); };
+    return {
+      int,
+      letters: (str) => { for (const ch of str.toUpperCase()) int(ch.charCodeAt(0) - 65, 6); },
+      toString: () => {
+        const padded = bits.padEnd(Math.ceil(bits.length / 6) * 6, '0');
+        let out = '';
+        for (let i = 0; i < padded.length; i += 6) out += this.ALPHABET[parseInt(padded.slice(i, i + 6), 2)];
+        return out;
+      },
+    };
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TCString;
+}
@@ -7,6 +7,7 @@
  * 
  * Usage:
  *   node test-automation.js
+ *   node test-automation.js --events=click,error   (print those action-log events per site)
  * 
  * Output:
  *   - test-results.json (structured data)
@@ -17,6 +18,7 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
+const ActionLog = require('./action-log.js');
 
 // Test sites from TESTING.md
 const TEST_SITES = {
@@ -48,6 +50,10 @@ const EXTENSION_PATH = __dirname; // Current directory
 const RESULTS_DIR = path.join(__dirname, 'test-results');
 const SCREENSHOTS_DIR = path.join(RESULTS_DIR, 'screenshots');
 
+// --events=type1,type2 prints matching action-log events after each site
+const EVENTS_ARG = process.argv.find(arg => arg.startsWith('--events='));
+const PRINT_EVENT_TYPES = EVENTS_ARG ? EVENTS_ARG.slice('--events='.length).split(',').filter(Boolean) : null;
+
 class ExtensionTester {
   constructor() {
     this.results = [];
@@ -197,8 +203,14 @@ class ExtensionTester {
           result.uncheckedCount = extensionResult.unchecked?.length || 0;
           result.mandatoryCount = extensionResult.mandatory?.length || 0;
           result.errorsCount = extensionResult.errors?.length || 0;
+          result.eventCounts = ActionLog.counts(result.actionLog);
           
           console.log(`📊 Extension logged ${result.actionLog.length} actions, method: ${result.cmpMethod || 'none'}`);
+          if (PRINT_EVENT_TYPES) {
+            ActionLog.filter(result.actionLog, { types: PRINT_EVENT_TYPES }).forEach(e => {
+              console.log(`   ${e.time}ms [${ActionLog.typeOf(e)}${e.phase != null ? ` P${e.phase}` : ''}] ${e.action}${e.selector ? ` (${e.selector})` : ''}`);
+            });
+          }
           if (result.consentOrPay) {
             console.log('⚠️  Consent-or-pay wall detected');
           }
@@ -241,6 +253,7 @@ class ExtensionTester {
     const successful = this.results.filter(r => r.success).length;
     const bannersDetected = this.results.filter(r => r.bannerDetected).length;
     const bannersClosed = this.results.filter(r => r.bannerClosed).length;
+    const eventTotals = ActionLog.counts(this.results.flatMap(r => r.actionLog || []));
 
     // Save JSON results
     await fs.writeFile(
@@ -265,6 +278,12 @@ class ExtensionTester {
 | Banners detected | ${bannersDetected} | ${((bannersDetected / totalTests) * 100).toFixed(1)}% |
 | Banners closed | ${bannersClosed} | ${bannersDetected > 0 ? ((bannersClosed / bannersDetected) * 100).toFixed(1) : 0}% |
 
+## Action Log Events
+
+| Event type | Count |
+|------------|-------|
+${Object.entries(eventTotals).map(([type, count]) => `| ${ActionLog.TYPES[type]} | ${count} |`).join('\n') || '| (none captured) | 0 |'}
+
 ## Detailed Results
 
 ${Object.entries(TEST_SITES).map(([category, sites]) => `
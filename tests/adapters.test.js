@@ -0,0 +1,271 @@
+/**
+ * Guardr - CMP adapter tests
+ *
+ * Drives adapters through the same ctx object content.js builds (see
+ * cmp-adapters/registry.js), against fixture documents in tests/fixtures/.
+ * The CMP's own scripts are not loaded: each test wires up the few behaviours
+ * the adapter relies on (a click hides the banner, the main-world API opens
+ * the preference center).
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const DomWait = require('../dom-wait.js');
+const TCString = require('../tc-string.js');
+const VendorList = require('../vendor-list.js');
+global.CMPRegistry = require('../cmp-adapters/registry.js');
+const OneTrustAdapter = require('../cmp-adapters/onetrust.js');
+const DidomiAdapter = require('../cmp-adapters/didomi.js');
+const TCFAdapter = require('../cmp-adapters/tcf.js');
+
+function loadFixture(name) {
+  const html = name ? fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8') : '<!DOCTYPE html><body></body>';
+  const dom = new JSDOM(html, { url: 'https://publisher.example/' });
+  global.MutationObserver = dom.window.MutationObserver;
+  return dom.window;
+}
+
+/**
+ * The adapter context for a fixture window. jsdom has no layout, so
+ * isVisible() only looks at display/visibility up the tree.
+ * @param {Window} win
+ * @param {object} options - { globals: page globals the probe found, main: main-world replies by path,
+ *   choices: resolved TCF choices (VendorList.resolve() shape; default: keep nothing) }
+ */
+function testContext(win, { globals = [], main = {}, choices = {} } = {}) {
+  const doc = win.document;
+  const pageGlobals = new Set(globals);
+  const calls = [];
+  const log = [];
+  const R = { cmpMethod: null, bannerFound: false, bannerClosed: false, unchecked: [], mandatory: [] };
+
+  const isVisible = el => {
+    for (let node = el; node; node = node.parentElement) {
+      const style = win.getComputedStyle(node);
+      if (style.display === 'none' || style.visibility === 'hidden') return false;
+    }
+    return !!el && el.isConnected;
+  };
+  const waitUntil = (predicate, maxMs) => DomWait.until(predicate, { timeoutMs: maxMs, root: doc });
+  const tcfChoices = { purposes: [], specialFeatures: [], vendorMode: 'blocklist', vendors: [], legitimateInterest: false, ...choices };
+
+  return {
+    win, doc, R, calls, log,
+    main: {
+      async call(pathName, ...args) { calls.push(pathName); return main[pathName]?.(...args); },
+      async get(pathName) { calls.push(pathName); return main[pathName]?.(); },
+      async tcf(command) { calls.push(`__tcfapi:${command}`); return main[`__tcfapi:${command}`]?.(); },
+    },
+    has: pathName => pageGlobals.has(pathName),
+    isVisible,
+    textOf: el => (el?.textContent || '').trim(),
+    clickElement: el => { el.click(); return true; },
+    sleep: () => Promise.resolve(),
+    logAction: message => log.push(message),
+    isBannerVisible: () => false,
+    waitUntil,
+    waitForSettle: maxMs => DomWait.settle({ quietMs: 0, timeoutMs: maxMs, root: doc }),
+    waitForBannerGone: (maxMs = 500) => waitUntil(() => !isVisible(doc.getElementById('onetrust-banner-sdk')), maxMs),
+    TCF_PURPOSE_LABELS: TCString.PURPOSE_NAMES,
+    MANDATORY_TCF_PURPOSES: new Set([10, 11]), // content.js
+    allowedTcfPurposes: new Set(tcfChoices.purposes),
+    tcfChoices,
+    keepsTcfChoices: VendorList.keepsAnything(tcfChoices),
+    keepsVendor: id => VendorList.keepsVendor(tcfChoices, id),
+    describeVendor: id => ({ label: `Vendor ${id}`, retention: null }),
+  };
+}
+
+// The parts of OneTrust's own script the adapter depends on
+function wireOneTrust(win) {
+  const doc = win.document;
+  const banner = doc.getElementById('onetrust-banner-sdk');
+  const pc = doc.getElementById('onetrust-pc-sdk');
+  const hide = el => { el.style.display = 'none'; };
+  doc.getElementById('onetrust-reject-all-handler').addEventListener('click', () => hide(banner));
+  doc.getElementById('close-pc-btn-handler').addEventListener('click', () => hide(pc));
+  pc.querySelector('.save-preference-btn-handler').addEventListener('click', () => hide(pc));
+  for (const btn of pc.querySelectorAll('.ot-obj-leg-btn-handler')) {
+    btn.addEventListener('click', () => hide(btn));
+  }
+  return {
+    'OneTrust.ToggleInfoDisplay': () => { pc.style.display = 'block'; },
+    'OneTrust.Close': () => { hide(pc); hide(banner); },
+  };
+}
+
+test('OneTrust: detect() matches the banner, not a blank page', () => {
+  assert.deepEqual(CMPRegistry.detect(testContext(loadFixture('onetrust.html'))), ['OneTrust']);
+  assert.deepEqual(CMPRegistry.detect(testContext(loadFixture())), []);
+});
+
+test('OneTrust: detect() matches the page global alone', () => {
+  const ctx = testContext(loadFixture(), { globals: ['OneTrust'] });
+  assert.equal(OneTrustAdapter.detect(ctx), true);
+});
+
+test('OneTrust: denyViaDom() clicks Reject All and closes the banner', async () => {
+  const win = loadFixture('onetrust.html');
+  const ctx = testContext(win, { main: wireOneTrust(win) });
+
+  assert.equal(await CMPRegistry.deny(OneTrustAdapter, ctx), true);
+  assert.equal(ctx.isVisible(win.document.getElementById('onetrust-banner-sdk')), false);
+  assert.equal(ctx.R.cmpMethod, 'button-click');
+  assert.equal(ctx.R.bannerClosed, true);
+  assert.deepEqual(ctx.R.unchecked, [{ label: 'OneTrust: Reject button clicked', category: 'CMP API', type: 'deny-all' }]);
+  assert.deepEqual(ctx.calls, [], 'preferDom: no API call when the button works');
+  assert.equal(CMPRegistry.isClosed(OneTrustAdapter, ctx), true);
+});
+
+test('OneTrust: denyViaDom() falls through without a visible reject button', async () => {
+  const win = loadFixture('onetrust.html');
+  win.document.getElementById('onetrust-reject-all-handler').remove();
+  const ctx = testContext(win, { globals: ['OneTrust', 'OneTrust.RejectAll'] });
+
+  assert.equal(await OneTrustAdapter.denyViaDom(ctx), false);
+  assert.deepEqual(ctx.R.unchecked, []);
+});
+
+test('OneTrust: readState() parses the OptanonConsent groups', async () => {
+  const win = loadFixture('onetrust.html');
+  // OneTrust encodes the values only
+  win.document.cookie = `OptanonConsent=isGpcEnabled=0&groups=${encodeURIComponent('C0001:1,C0002:0,C0003:1,C0004:0')}; path=/`;
+  const state = await OneTrustAdapter.readState(testContext(win));
+
+  assert.equal(state.source, 'OptanonConsent cookie');
+  assert.deepEqual(state.granted, ['C0003']);
+  assert.deepEqual(state.denied, ['C0002', 'C0004']);
+  assert.equal(await OneTrustAdapter.readState(testContext(loadFixture())), null);
+});
+
+test('OneTrust: objectLegitimateInterest() leaves non-TCF setups closed', async () => {
+  const win = loadFixture('onetrust.html');
+  const ctx = testContext(win, { globals: ['OneTrust', 'OneTrust.ToggleInfoDisplay'], main: wireOneTrust(win) });
+
+  assert.equal(await OneTrustAdapter.objectLegitimateInterest(ctx), 0);
+  assert.deepEqual(ctx.calls, []);
+});
+
+test('OneTrust: objectLegitimateInterest() objects in a TCF preference center and saves', async () => {
+  const win = loadFixture('onetrust.html');
+  const ctx = testContext(win, {
+    globals: ['OneTrust', 'OneTrust.ToggleInfoDisplay', '__tcfapi'],
+    main: wireOneTrust(win),
+  });
+
+  assert.equal(await OneTrustAdapter.objectLegitimateInterest(ctx), 3);
+  assert.deepEqual(ctx.calls, ['OneTrust.ToggleInfoDisplay']);
+  assert.deepEqual(ctx.R.unchecked.map(item => item.label), [
+    'OneTrust: Objected to Create profiles for personalised advertising',
+    'OneTrust: Objected to Measure content performance',
+    'OneTrust: Objected to Example Ad Exchange',
+  ]);
+  assert.ok(ctx.R.unchecked.every(item => item.type === 'legitimate interest'));
+  assert.equal(win.document.getElementById('ot-ven-755-leg-out').checked, false);
+  assert.equal(ctx.isVisible(win.document.getElementById('onetrust-pc-sdk')), false);
+});
+
+test('OneTrust: objectLegitimateInterest() closes a reopened center with nothing to object', async () => {
+  const win = loadFixture('onetrust.html');
+  const doc = win.document;
+  doc.querySelectorAll('.ot-obj-leg-btn-handler').forEach(btn => { btn.style.display = 'none'; });
+  doc.getElementById('ot-ven-755-leg-out').checked = false;
+  const ctx = testContext(win, {
+    globals: ['OneTrust', 'OneTrust.ToggleInfoDisplay', 'OneTrust.Close', '__tcfapi'],
+    main: wireOneTrust(win),
+  });
+
+  assert.equal(await OneTrustAdapter.objectLegitimateInterest(ctx), 0);
+  assert.deepEqual(ctx.calls, ['OneTrust.ToggleInfoDisplay', 'OneTrust.Close']);
+  assert.equal(ctx.isVisible(doc.getElementById('onetrust-pc-sdk')), false);
+  assert.deepEqual(ctx.R.unchecked, []);
+});
+
+// What Didomi.getUserStatus() returns before any choice
+function didomiStatus() {
+  const undecided = ids => ({ enabled: [], disabled: ids });
+  return {
+    purposes: {
+      consent: undecided(['cookies', 'select_basic_ads', 'improve_products', 'custom_purpose']),
+      legitimate_interest: undecided(['select_basic_ads', 'measure_ad_performance']),
+    },
+    vendors: {
+      consent: undecided([1, 755, 'c:custom-vendor']),
+      legitimate_interest: undecided([1, 755]),
+    },
+  };
+}
+
+test('Didomi: detect() matches the host element', () => {
+  assert.deepEqual(CMPRegistry.detect(testContext(loadFixture('didomi.html'))), ['Didomi']);
+});
+
+test('Didomi: denyViaApi() disagrees to all when nothing is kept', async () => {
+  const ctx = testContext(loadFixture('didomi.html'), {
+    globals: ['Didomi', 'Didomi.setUserDisagreeToAll', 'Didomi.getUserStatus', 'Didomi.setUserStatus'],
+  });
+
+  assert.equal(await CMPRegistry.deny(DidomiAdapter, ctx), true);
+  assert.deepEqual(ctx.calls, ['Didomi.setUserDisagreeToAll']);
+  assert.equal(ctx.R.cmpMethod, 'api');
+});
+
+test('Didomi: denyViaApi() keeps the TCF choices through setUserStatus()', async () => {
+  let update = null;
+  const ctx = testContext(loadFixture('didomi.html'), {
+    globals: ['Didomi', 'Didomi.setUserDisagreeToAll', 'Didomi.getUserStatus', 'Didomi.setUserStatus'],
+    main: {
+      'Didomi.getUserStatus': didomiStatus,
+      'Didomi.setUserStatus': status => { update = status; },
+    },
+    choices: { purposes: [1], vendors: [755] },
+  });
+
+  assert.equal(await CMPRegistry.deny(DidomiAdapter, ctx), true);
+  assert.deepEqual(ctx.calls, ['Didomi.getUserStatus', 'Didomi.setUserStatus']);
+  assert.deepEqual(update, {
+    purposes: {
+      // Purpose 10 (improve_products) is mandatory; custom purposes are always disabled
+      consent: { enabled: ['cookies', 'improve_products'], disabled: ['select_basic_ads', 'custom_purpose'] },
+      legitimate_interest: { enabled: [], disabled: ['select_basic_ads', 'measure_ad_performance'] },
+    },
+    vendors: {
+      consent: { enabled: [1], disabled: [755, 'c:custom-vendor'] },
+      legitimate_interest: { enabled: [], disabled: [1, 755] },
+    },
+    action: 'click',
+  });
+  assert.deepEqual(ctx.R.unchecked, [{
+    label: 'Didomi: setUserStatus() (2 purposes, 2 vendors denied)', category: 'CMP API', type: 'deny-choices',
+  }]);
+  assert.deepEqual(ctx.R.mandatory.map(item => item.label), [TCString.PURPOSE_NAMES[1]]);
+});
+
+test('TCF: reportVendors() reports one summary item', () => {
+  const ctx = testContext(loadFixture());
+  ctx.keepsVendor = id => id === 755;
+  const tcData = {
+    vendor: {
+      consents: { 1: false, 2: false, 3: true, 755: true },
+      legitimateInterests: { 1: false, 2: true, 3: false },
+    },
+  };
+
+  TCFAdapter.reportVendors(ctx, tcData, true);
+  assert.deepEqual(ctx.R.unchecked, [{
+    label: '1 vendor denied, 2 still granted', category: 'TCF Vendors', type: 'deny-all',
+    vendorsDenied: 1, vendorsGranted: 2,
+  }]);
+  assert.deepEqual(ctx.R.mandatory.map(item => item.vendorId), [755]);
+
+  const notAsked = testContext(loadFixture());
+  TCFAdapter.reportVendors(notAsked, tcData, false);
+  assert.deepEqual(notAsked.R.unchecked, []);
+});
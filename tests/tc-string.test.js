@@ -0,0 +1,149 @@
+/**
+ * Guardr - TC string decoder tests
+ *
+ * The vectors were encoded with the IAB reference library (@iabtcf/core) from
+ * a small test GVL; the expected values are what that library decodes them to.
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TCString = require('../tc-string.js');
+
+const VECTORS = {
+  // Purposes 1,3 consented, LI 2,7, special feature 1, vendors 1,2,3,5 (bitfield), vendor LI 8
+  bitfield: 'CQrbvCAQrejNQAKACBENBuEIAKAAAEIAAAYgACugAQAQAAAA',
+  // Vendor consents 1-400 and 755 (range encoded)
+  range: 'CQrbvCAQrejNQAKACBENBuEAAAAAAAAAAAYgF5wAoAAgMgAvMAAAAAAA',
+  // Purpose 2 requires LI for vendors 32-34, purpose 7 not allowed for vendor 100
+  restrictions: 'CQrbvCAQrejNQAKACBENBuEAAAAAAAAAAAYgAQAAAAAEAAAAQUADACAAIhwAEAMg',
+  // Purpose 1 consented; publisher TC: purposes 1,2, LI 7, custom purpose 2, custom LI 1
+  publisherTC: 'CQrbvCAQrejNQAKACBENBuEAAIAAAAAAAAYgAAAAAAAA.eAAAAEAAATAA',
+  // Nothing consented
+  denied: 'CQrbvCAQrejNQAKACBENBuEAAAAAAAAAAAYgAAAAAAAA',
+};
+
+test('decodes the core metadata', () => {
+  const decoded = TCString.decode(VECTORS.bitfield);
+  assert.equal(decoded.version, 2);
+  assert.equal(decoded.cmpId, 10);
+  assert.equal(decoded.cmpVersion, 2);
+  assert.equal(decoded.consentScreen, 1);
+  assert.equal(decoded.consentLanguage, 'EN');
+  assert.equal(decoded.vendorListVersion, 110);
+  assert.equal(decoded.policyVersion, 4);
+  assert.equal(decoded.publisherCC, 'DE');
+  assert.equal(decoded.isServiceSpecific, false);
+  assert.equal(decoded.created, '2026-10-01T12:00:00.000Z');
+  assert.equal(decoded.lastUpdated, '2026-10-02T08:30:00.000Z');
+  assert.deepEqual(decoded.segments, ['core']);
+});
+
+test('decodes a bitfield-encoded string', () => {
+  const decoded = TCString.decode(VECTORS.bitfield);
+  assert.deepEqual(decoded.purposeConsents, [1, 3]);
+  assert.deepEqual(decoded.purposeLegitimateInterests, [2, 7]);
+  assert.deepEqual(decoded.specialFeatureOptIns, [1]);
+  assert.deepEqual(decoded.vendorConsents, [1, 2, 3, 5]);
+  assert.deepEqual(decoded.vendorLegitimateInterests, [8]);
+  assert.deepEqual(decoded.publisherRestrictions, []);
+  assert.equal(decoded.publisherTC, null);
+});
+
+test('decodes a range-encoded string', () => {
+  const decoded = TCString.decode(VECTORS.range);
+  assert.equal(decoded.vendorConsents.length, 401);
+  assert.equal(decoded.vendorConsents[0], 1);
+  assert.equal(decoded.vendorConsents[399], 400);
+  assert.equal(decoded.vendorConsents[400], 755);
+  assert.deepEqual(decoded.vendorLegitimateInterests, []);
+});
+
+test('decodes publisher restrictions', () => {
+  const decoded = TCString.decode(VECTORS.restrictions);
+  assert.deepEqual(decoded.vendorConsents, [32]);
+  assert.deepEqual(decoded.publisherRestrictions, [
+    { purposeId: 2, restrictionType: 2, restriction: 'require legitimate interest', vendors: [32, 33, 34] },
+    { purposeId: 7, restrictionType: 0, restriction: 'not allowed', vendors: [100] },
+  ]);
+});
+
+test('decodes a publisher TC segment', () => {
+  const decoded = TCString.decode(VECTORS.publisherTC);
+  assert.deepEqual(decoded.segments, ['core', 'publisher TC']);
+  assert.deepEqual(decoded.purposeConsents, [1]);
+  assert.deepEqual(decoded.publisherTC, {
+    purposeConsents: [1, 2],
+    purposeLegitimateInterests: [7],
+    customPurposeConsents: [2],
+    customPurposeLegitimateInterests: [1],
+  });
+});
+
+test('verify() passes a full denial', () => {
+  const result = TCString.verify(TCString.decode(VECTORS.denied));
+  assert.equal(result.verified, true);
+  assert.deepEqual(result.granted, {
+    purposeConsents: [], purposeLegitimateInterests: [], specialFeatureOptIns: [],
+    vendorConsents: 0, vendorLegitimateInterests: 0,
+  });
+});
+
+test('verify() lists what is still granted', () => {
+  const result = TCString.verify(TCString.decode(VECTORS.bitfield));
+  assert.equal(result.verified, false);
+  assert.deepEqual(result.granted, {
+    purposeConsents: [1, 3], purposeLegitimateInterests: [2, 7], specialFeatureOptIns: [1],
+    vendorConsents: 4, vendorLegitimateInterests: 1,
+  });
+});
+
+test('verify() leaves out deliberate keeps', () => {
+  const decoded = TCString.decode(VECTORS.bitfield);
+  const result = TCString.verify(decoded, new Set([1, 2, 3, 7]), {
+    specialFeatures: new Set([1]),
+    vendor: id => id <= 8,
+  });
+  assert.equal(result.verified, true);
+});
+
+test('rejects a truncated string', () => {
+  assert.throws(() => TCString.decode(VECTORS.bitfield.substring(0, 30)), /truncated/);
+});
+
+test('rejects invalid characters', () => {
+  assert.throws(() => TCString.decode(`${VECTORS.denied.substring(0, 20)}*${VECTORS.denied.substring(21)}`),
+    /Invalid TC string character "\*"/);
+});
+
+test('rejects empty strings and other versions', () => {
+  assert.throws(() => TCString.decode(''), /Empty TC string/);
+  // Version 1 strings start with "B"
+  assert.throws(() => TCString.decode('BOEFEAyOEFEAyAHABDENAI4AAAB9vABAASA'), /Unsupported TC string version 1/);
+});
+
+test('hash() is a stable 8-digit fingerprint', () => {
+  assert.match(TCString.hash(VECTORS.denied), /^[0-9a-f]{8}$/);
+  assert.equal(TCString.hash(VECTORS.denied), TCString.hash(VECTORS.denied));
+  assert.notEqual(TCString.hash(VECTORS.denied), TCString.hash(VECTORS.bitfield));
+});
+
+test('encodeRejection() round-trips to a verified denial', () => {
+  const tcString = TCString.encodeRejection({
+    cmpId: 10, vendorListVersion: 110, publisherCC: 'DE', date: new Date('2026-10-01T12:00:00.000Z'),
+  });
+  // Also decoded by @iabtcf/core to the same fields
+  assert.equal(tcString, 'CQrbvCAQrbvCAAKABBENBuFgAAAAAAAAAAYgAAAAAAAA');
+
+  const decoded = TCString.decode(tcString);
+  assert.equal(decoded.cmpId, 10);
+  assert.equal(decoded.vendorListVersion, 110);
+  assert.equal(decoded.policyVersion, 5);
+  assert.equal(decoded.isServiceSpecific, true);
+  assert.equal(decoded.consentLanguage, 'EN');
+  assert.equal(decoded.publisherCC, 'DE');
+  assert.equal(decoded.created, '2026-10-01T12:00:00.000Z');
+  assert.equal(TCString.verify(decoded).verified, true);
+});
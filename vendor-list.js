@@ -0,0 +1,255 @@
+/**
+ * Guardr - TCF Vendor List & Choices
+ *
+ * Two things the TCF path needs beyond "reject all":
+ *
+ * - The vendor list model: IAB Global Vendor List (GVL) entries by vendor id,
+ *   so vendor ids from getTCData and the TC string resolve to names, declared
+ *   purposes, LI claims and retention, and vendor names shown in a CMP panel
+ *   match IAB ids. Sources, in order:
+ *     1. A GVL the user imported in the popup (`gvlSnapshot` in storage)
+ *     2. The bundled data/gvl-snapshot.json - a partial sample of a few
+ *        common vendors (`sample`), not the GVL; ids it lacks stay unnamed
+ *     3. The page CMP's own list (__tcfapi getVendorList), tried whenever
+ *        only the sample is loaded
+ *   Content scripts get 1/2 from background.js (GET_VENDOR_LIST).
+ * - The user's TCF choices, stored in chrome.storage.local under
+ *   `tcfPreferences`:
+ *     { purposes: { [id]: true }, specialFeatures: { [id]: true },
+ *       vendorMode: 'blocklist' | 'allowlist', vendors: [ids] }
+ *
+ * resolve() merges the choices with the preference profile into the plain
+ * object content.js hands to adapters (ctx.tcfChoices).
+ *
+ * VENDOR MODES:
+ * - blocklist: vendors keep consent for the kept purposes, except listed ones
+ * - allowlist: only listed vendors keep consent
+ *
+ * @version 2.1.4
+ * @date 2026-10-19
+ */
+
+const VendorList = {
+
+  STORAGE_KEY: 'tcfPreferences',
+  SNAPSHOT_KEY: 'gvlSnapshot',
+  SNAPSHOT_PATH: 'data/gvl-snapshot.json',
+  VENDOR_MODES: ['blocklist', 'allowlist'],
+
+  vendors: new Map(), // id → { id, name, purposes, legIntPurposes, specialFeatures, cookieMaxAgeSeconds, retentionDays }
+  version: null,
+  source: null, // 'imported' | 'bundled' | 'cmp'
+  sample: false, // The loaded list is the bundled partial sample
+
+  /**
+   * Keep only the fields Guardr uses from GVL-shaped data
+   * ({ vendorListVersion, vendors: { [id]: {...} } }); deleted vendors are dropped
+   * @param {object} gvl
+   * @returns {object} { vendorListVersion, lastUpdated, sample, vendors }
+   * @throws {Error} When the data has no vendors
+   */
+  abridge(gvl) {
+    if (!gvl || typeof gvl.vendors !== 'object' || gvl.vendors === null) {
+      throw new Error('Not a Global Vendor List (no "vendors" object)');
+    }
+    const vendors = {};
+    for (const [key, vendor] of Object.entries(gvl.vendors)) {
+      const id = Number(vendor?.id ?? key);
+      if (!Number.isInteger(id) || !vendor?.name || vendor.deletedDate) continue;
+      vendors[id] = {
+        id,
+        name: vendor.name,
+        purposes: vendor.purposes || [],
+        legIntPurposes: vendor.legIntPurposes || [],
+        specialFeatures: vendor.specialFeatures || [],
+        cookieMaxAgeSeconds: vendor.cookieMaxAgeSeconds ?? null,
+        retentionDays: vendor.dataRetention?.stdRetention ?? vendor.retentionDays ?? null,
+      };
+    }
+    if (Object.keys(vendors).length === 0) throw new Error('The vendor list has no vendors');
+    return { vendorListVersion: gvl.vendorListVersion ?? null, lastUpdated: gvl.lastUpdated ?? null, sample: gvl.sample === true, vendors };
+  },
+
+  /**
+   * Load GVL-shaped data
+   * @param {object} gvl
+   * @param {string} source - Where it came from (see `source`)
+   * @returns {number} Vendors loaded
+   */
+  load(gvl, source = null) {
+    let abridged;
+    try {
+      abridged = this.abridge(gvl);
+    } catch (_) {
+      return 0;
+    }
+    this.vendors = new Map(Object.values(abridged.vendors).map(vendor => [vendor.id, vendor]));
+    this.version = abridged.vendorListVersion;
+    this.source = source;
+    this.sample = abridged.sample;
+    return this.vendors.size;
+  },
+
+  /**
+   * The imported GVL, else the bundled snapshot (extension pages only; content
+   * scripts ask background.js with GET_VENDOR_LIST)
+   * @returns {Promise<{source: string, gvl: object}|null>}
+   */
+  async readSnapshot() {
+    const data = await chrome.storage.local.get(this.SNAPSHOT_KEY);
+    if (data[this.SNAPSHOT_KEY]) return { source: 'imported', gvl: data[this.SNAPSHOT_KEY] };
+    try {
+      const response = await fetch(chrome.runtime.getURL(this.SNAPSHOT_PATH));
+      return { source: 'bundled', gvl: await response.json() };
+    } catch (_) {
+      return null;
+    }
+  },
+
+  /**
+   * Replace the bundled snapshot with a GVL from a local JSON file
+   * @param {string} text - File contents (e.g. vendor-list.json from the IAB)
+   * @returns {Promise<number>} Vendors imported
+   * @throws {Error} When the file is not a vendor list
+   */
+  async importSnapshot(text) {
+    const abridged = this.abridge(JSON.parse(text));
+    await chrome.storage.local.set({ [this.SNAPSHOT_KEY]: abridged });
+    return this.load(abridged, 'imported');
+  },
+
+  async clearImportedSnapshot() {
+    await chrome.storage.local.remove(this.SNAPSHOT_KEY);
+  },
+
+  /**
+   * Ask the page's CMP for its vendor list (TCF v2.0 getVendorList)
+   * @param {object} main - MainWorldBridge
+   * @returns {Promise<number>} Vendors loaded (0 when the CMP has no such command)
+   */
+  async loadFromCMP(main) {
+    const reply = await main.tcf('getVendorList', undefined, 1500);
+    return reply?.success ? this.load(reply.data, 'cmp') : 0;
+  },
+
+  name(id) {
+    return this.vendors.get(Number(id))?.name || null;
+  },
+
+  /**
+   * Vendor name with its declared purposes and LI claims,
+   * e.g. "Criteo SA — purposes 1,2,3,4,7 (LI on 7)"
+   * @param {number} id - IAB vendor id
+   * @returns {string}
+   */
+  describe(id) {
+    const vendor = this.vendors.get(Number(id));
+    if (!vendor) return `Vendor ${id}`;
+    const purposes = [...new Set([...vendor.purposes, ...vendor.legIntPurposes])].sort((a, b) => a - b);
+    if (purposes.length === 0) return vendor.name;
+    const li = vendor.legIntPurposes.length > 0 ? ` (LI on ${vendor.legIntPurposes.join(',')})` : '';
+    return `${vendor.name} — purposes ${purposes.join(',')}${li}`;
+  },
+
+  /**
+   * Declared retention, e.g. "retains data 390 days · cookies 13 months"
+   * @returns {string|null}
+   */
+  retention(id) {
+    const vendor = this.vendors.get(Number(id));
+    if (!vendor) return null;
+    const parts = [];
+    if (vendor.retentionDays != null) parts.push(`retains data ${vendor.retentionDays} days`);
+    if (vendor.cookieMaxAgeSeconds > 0) {
+      const days = Math.round(vendor.cookieMaxAgeSeconds / 86400);
+      parts.push(days >= 60 ? `cookies ${Math.round(days / 30)} months` : `cookies ${days} days`);
+    }
+    return parts.length > 0 ? parts.join(' · ') : null;
+  },
+
+  normalize(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  /**
+   * IAB id of the vendor a CMP panel row is about
+   * @param {string} label - Row label, e.g. "Google Advertising Products"
+   * @returns {number|null}
+   */
+  findByName(label) {
+    const wanted = this.normalize(label);
+    if (!wanted) return null;
+    for (const vendor of this.vendors.values()) {
+      if (this.normalize(vendor.name) === wanted) return vendor.id;
+    }
+    return null;
+  },
+
+  defaultChoices() {
+    return { purposes: {}, specialFeatures: {}, vendorMode: 'blocklist', vendors: [] };
+  },
+
+  async loadChoices() {
+    const data = await chrome.storage.local.get(this.STORAGE_KEY);
+    return { ...this.defaultChoices(), ...(data[this.STORAGE_KEY] || {}) };
+  },
+
+  async saveChoices(choices) {
+    const clean = {
+      purposes: choices.purposes || {},
+      specialFeatures: choices.specialFeatures || {},
+      vendorMode: this.VENDOR_MODES.includes(choices.vendorMode) ? choices.vendorMode : 'blocklist',
+      vendors: [...new Set((choices.vendors || []).map(Number).filter(id => Number.isInteger(id) && id > 0))],
+    };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: clean });
+    return clean;
+  },
+
+  /**
+   * Parse a user-typed vendor list ("755, 793 12") into ids
+   * @returns {number[]}
+   */
+  parseIds(text) {
+    return String(text || '').split(/[\s,;]+/).map(Number).filter(id => Number.isInteger(id) && id > 0);
+  },
+
+  /**
+   * Merge stored choices with what the preference profile keeps
+   * @param {object} stored - loadChoices() result
+   * @param {object} profile - Resolved preference profile
+   * @returns {object} { purposes, specialFeatures, vendorMode, vendors, legitimateInterest } (arrays, message-safe)
+   */
+  resolve(stored, profile) {
+    const chosen = (map) => Object.keys(map || {}).filter(id => map[id] === true).map(Number);
+    const purposes = new Set([...PreferenceProfile.tcfPurposes(profile), ...chosen(stored.purposes)]);
+    return {
+      purposes: [...purposes].sort((a, b) => a - b),
+      specialFeatures: chosen(stored.specialFeatures),
+      vendorMode: stored.vendorMode,
+      vendors: stored.vendors || [],
+      legitimateInterest: profile.allowed.has('legitimateInterest'),
+    };
+  },
+
+  /**
+   * Whether a vendor keeps its consent under the resolved choices
+   */
+  keepsVendor(choices, id) {
+    const listed = choices.vendors.includes(Number(id));
+    if (choices.vendorMode === 'allowlist') return listed;
+    return !listed && choices.purposes.length > 0;
+  },
+
+  /**
+   * Whether the choices keep anything at all (otherwise "reject all" is right)
+   */
+  keepsAnything(choices) {
+    return choices.purposes.length > 0 || choices.specialFeatures.length > 0 ||
+      (choices.vendorMode === 'allowlist' && choices.vendors.length > 0);
+  },
+};
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VendorList;
+}